@@ -0,0 +1,60 @@
+/**
+ * Integration test: token persistence in lib/getAuth.js
+ *
+ * Emits googleapis' `tokens` event on the client getAuth returns and checks
+ * what ends up in the token file. Offline; no real credentials are used.
+ *
+ * Usage: node integration/auth-tokens.js
+ */
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { TokenFileError, getAuth, readTokens } from '../lib/getAuth.js';
+import { check, summarize } from './harness.js';
+
+console.log('=== Auth Token Test ===\n');
+
+process.env.GOOGLE_API_EMULATOR = '0';
+process.env.GOOGLE_CLIENT_ID = 'client-id';
+process.env.GOOGLE_CLIENT_SECRET = 'client-secret';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-tokens-'));
+const stored = { access_token: 'old-access', refresh_token: 'refresh-1', scope: 'docs drive', token_type: 'Bearer', expiry_date: 1 };
+
+function tokenFile(name, tokens = stored) {
+  const tokensPath = path.join(dir, name);
+  fs.writeFileSync(tokensPath, JSON.stringify(tokens));
+  return tokensPath;
+}
+
+try {
+  await check('A refresh with only an access_token keeps the stored refresh_token', async () => {
+    const tokensPath = tokenFile('access-only.json');
+    const auth = getAuth({ tokensPath });
+    auth.emit('tokens', { access_token: 'new-access', expiry_date: 2 });
+
+    assert.deepEqual(readTokens(tokensPath), { ...stored, access_token: 'new-access', expiry_date: 2 });
+    assert.deepEqual(fs.readdirSync(dir).filter(f => f.endsWith('.tmp')), []);
+  });
+
+  await check('A rotated refresh_token replaces the stored one', async () => {
+    const tokensPath = tokenFile('rotated.json');
+    getAuth({ tokensPath }).emit('tokens', { access_token: 'new-access', refresh_token: 'refresh-2' });
+
+    const tokens = readTokens(tokensPath);
+    assert.equal(tokens.refresh_token, 'refresh-2');
+    assert.equal(tokens.scope, stored.scope);
+  });
+
+  await check('Missing or garbled token files are TokenFileErrors', async () => {
+    assert.throws(() => getAuth({ tokensPath: path.join(dir, 'missing.json') }), err => err instanceof TokenFileError && err.code === 'TOKENS_MISSING');
+    const garbled = path.join(dir, 'garbled.json');
+    fs.writeFileSync(garbled, '{"access_token":');
+    assert.throws(() => getAuth({ tokensPath: garbled }), { code: 'TOKENS_INVALID' });
+  });
+} finally {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+summarize();
@@ -0,0 +1,120 @@
+/**
+ * Integration test: changes poller (scripts/changesPoller.js)
+ *
+ * Runs `pollChanges` as separate processes against a shared emulator state
+ * file, in a scratch working directory with its own mapping.json, and checks
+ * the pulled notes, the sync checkpoints and the saved page token.
+ *
+ * Usage: node integration/changes-poller.js
+ */
+import assert from 'assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createEmulator } from '../lib/emulator/index.js';
+import { loadMapping, saveMapping } from '../lib/mapping.js';
+import { check, summarize } from './harness.js';
+
+console.log('=== Changes Poller Test ===\n');
+
+const poller = fileURLToPath(new URL('../scripts/changesPoller.js', import.meta.url));
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'changes-poller-'));
+const statePath = path.join(dir, 'emulator.json');
+const mappingPath = path.join(dir, 'mapping.json');
+const notePath = noteId => path.join(dir, 'local', `${noteId}.md`);
+const pageToken = () => JSON.parse(fs.readFileSync(path.join(dir, 'changes.state.json'), 'utf8')).pageToken;
+
+function poll() {
+  const res = spawnSync(process.execPath, [poller], {
+    cwd: dir,
+    env: { ...process.env, GOOGLE_API_EMULATOR: '1', GOOGLE_API_EMULATOR_STATE: statePath },
+    encoding: 'utf8',
+    timeout: 60_000,
+  });
+  if (res.status !== 0) throw new Error(`pollChanges exited ${res.status}: ${res.stderr || res.error?.message}`);
+  return res.stdout;
+}
+
+// The poller only reads the emulator state, so this process's copy stays current
+const emu = createEmulator({ statePath });
+const { data: file } = await emu.drive.files.create({ requestBody: { name: 'Notebook', mimeType: 'application/vnd.google-apps.document' } });
+const documentId = file.id;
+const secondTab = emu.addTab(documentId, { title: 'Second' });
+const { data: other } = await emu.drive.files.create({ requestBody: { name: 'Unbound', mimeType: 'application/vnd.google-apps.document' } });
+saveMapping({
+  notes: {
+    first: { fileId: documentId, tabId: 't.0' },
+    second: { fileId: documentId, tabId: secondTab },
+  },
+  notebooks: {},
+}, mappingPath);
+
+async function write(tabId, text, fileId = documentId) {
+  await emu.docs.documents.batchUpdate({
+    documentId: fileId,
+    requestBody: { requests: [{ insertText: { text, location: { index: 1, tabId } } }] },
+  });
+}
+
+const revision = async () => (await emu.docs.documents.get({ documentId })).data.revisionId;
+
+try {
+  await check('The first run only records a start page token', async () => {
+    const out = poll();
+    assert.match(out, /Initialized pageToken/);
+    assert.equal(pageToken(), (await emu.drive.changes.getStartPageToken()).data.startPageToken);
+    assert.equal(fs.existsSync(notePath('first')), false);
+  });
+
+  await check('Both tabs of one document are pulled and checkpointed together', async () => {
+    await write('t.0', 'Hello from the first tab');
+    await write(secondTab, 'Hello from the second tab');
+    await write('t.0', 'Ignored ', other.id);
+    poll();
+
+    assert.equal(fs.readFileSync(notePath('first'), 'utf8').trim(), 'Hello from the first tab');
+    assert.equal(fs.readFileSync(notePath('second'), 'utf8').trim(), 'Hello from the second tab');
+    const { notes } = loadMapping(mappingPath);
+    const current = await revision();
+    for (const noteId of ['first', 'second']) {
+      assert.equal(notes[noteId].lastKnownRevisionId, current);
+      assert.ok(notes[noteId].lastSyncTs);
+    }
+    assert.equal(notes.first.lastSyncTs, notes.second.lastSyncTs);
+    assert.equal(pageToken(), (await emu.drive.changes.getStartPageToken()).data.startPageToken);
+  });
+
+  await check('The saved page token carries over to the next process', async () => {
+    const token = pageToken();
+    const { notes: before } = loadMapping(mappingPath);
+    fs.rmSync(notePath('first'));
+    fs.rmSync(notePath('second'));
+
+    // Nothing changed since the token: nothing is pulled again
+    poll();
+    assert.equal(pageToken(), token);
+    assert.equal(fs.existsSync(notePath('first')), false);
+    assert.deepEqual(loadMapping(mappingPath).notes, before);
+
+    // Only changes after the token are seen, and the checkpoint moves on
+    await write(secondTab, 'Edited: ');
+    poll();
+    assert.notEqual(pageToken(), token);
+    assert.equal(fs.readFileSync(notePath('second'), 'utf8').trim(), 'Edited: Hello from the second tab');
+    assert.equal(loadMapping(mappingPath).notes.second.lastKnownRevisionId, await revision());
+  });
+
+  await check('Losing access marks every note of the document', async () => {
+    emu.revokeAccess(documentId);
+    poll();
+    const { notes } = loadMapping(mappingPath);
+    assert.equal(notes.first.accessLost, true);
+    assert.equal(notes.second.accessLost, true);
+  });
+} finally {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+summarize();
@@ -5,17 +5,7 @@
  * 
  * Usage: node integration/converter-roundtrip.js
  */
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-// Import converters from plugin
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const pluginDist = path.join(__dirname, '../../plugin/dist');
-
-// Dynamic import of compiled plugin code
-const { markdownToIR } = await import(path.join(pluginDist, 'converter/md-to-ir.js'));
-const { irToMarkdown, normalizeMarkdown } = await import(path.join(pluginDist, 'converter/ir-to-md.js'));
-const { irToPlainTextWithRanges } = await import(path.join(pluginDist, 'converter/ir-to-docs.js'));
+import { markdownToIR, irToMarkdown, normalizeMarkdown, irToPlainTextWithRanges, docsToIR, mixedLists } from '../lib/converter/index.js';
 
 console.log('=== Converter Roundtrip Test ===\n');
 
@@ -33,6 +23,50 @@ const testCases = [
     name: 'List items',
     markdown: '# Title\n\n- Item 1\n- Item 2\n- Item 3',
   },
+  {
+    name: 'Nested emphasis and escapes',
+    markdown: '# Title\n\n**bold *both* bold** and ***all*** of snake_case_name with a literal \\*star\\*.',
+  },
+  {
+    name: 'Links',
+    markdown: '# Title\n\nSee [the **API**](https://developers.google.com/docs/api), https://example.com and [a section](#section-1).\n\nNot a link: \\[x](y)',
+  },
+  {
+    name: 'Inline code',
+    markdown: '# Title\n\nRun `npm test`, then ``a ` b`` and `` `tick` `` with a literal \\` backtick.',
+  },
+  {
+    name: 'Blockquotes',
+    markdown: '# Title\n\n> First quoted paragraph.\n>\n> Second, with *emphasis*.\n> > Nested.\n\n\\> Not a quote.',
+  },
+  {
+    name: 'Nested and adjacent lists',
+    markdown: '# Title\n\n- a\n    - a.1\n        1. deep\n\n      a.1 continued\n- b\n\n- c\n* separate\n\n3. three\n4. four\n    - mixed',
+  },
+  {
+    name: 'Tables',
+    markdown: '# Title\n\n| Name | Qty | Note |\n| :--- | :---: | ---: |\n| **a** | 1 | pipe \\| inside |\n| `x\\|y` | 2 | one<br>two |\n\nAfter the table.',
+  },
+  {
+    name: 'Images',
+    markdown: '# Title\n\n![Logo](https://example.com/logo.png) and ![a sized one](img/a.png){width=200 height=100px} in text.\n\n<img src="b.png" alt="html" width="50">\n\nNot an image: \\![x](https://example.com)',
+  },
+  {
+    name: 'Smart chips',
+    markdown: '# Title\n\nAsk @[Ada Lovelace](mailto:ada@example.com) about @[the plan](https://docs.google.com/document/d/abc/edit) on **@date(2026-10-19)** at @date(2026-10-19T16:30Z).\n\nNot chips: @date\\(2026-10-19) and \\@[x](mailto:y@example.com)',
+  },
+  {
+    name: 'Task lists',
+    markdown: '- [ ] todo\n- [x] done\n    - [ ] nested\n\n* plain\n* \\[ ] literal',
+  },
+  {
+    name: 'Footnotes',
+    markdown: '# Title\n\nA claim[^a] and a literal \\[^a].\n\n[^a]: The *source*.\n    More on it.',
+  },
+  {
+    name: 'Hard breaks, rules and page breaks',
+    markdown: '# Title\n\nOne\\\ntwo\n\n---\n\n<!-- pagebreak -->\n\n- item\\\n  more\n> quoted\\\n> on\n\nNot breaks: \\---\n\\<!-- pagebreak -->',
+  },
   {
     name: 'Mixed content',
     markdown: `# My Document
@@ -105,6 +139,410 @@ for (const tc of testCases) {
   }
 }
 
+// Docs → Markdown: hand-built document bodies rendered through md-mapping.json
+const para = (text, { style = 'NORMAL_TEXT', bullet, textStyle = {} } = {}) => ({
+  paragraph: {
+    elements: [{ textRun: { content: `${text}\n`, textStyle } }],
+    paragraphStyle: { namedStyleType: style },
+    ...(bullet ? { bullet } : {}),
+  },
+});
+
+const pt = magnitude => ({ magnitude, unit: 'PT' });
+const indented = (el, magnitude) => {
+  el.paragraph.paragraphStyle.indentStart = pt(magnitude);
+  return el;
+};
+
+const cell = (...content) => ({ content });
+const centered = el => {
+  el.paragraph.paragraphStyle.alignment = 'CENTER';
+  return el;
+};
+
+const docsCases = [
+  {
+    name: 'Headings through a remapped headings section',
+    mapping: { headings: { h1: 'HEADING_1', h2: 'HEADING_4', default: 'NORMAL_TEXT' } },
+    doc: { body: { content: [para('Top', { style: 'HEADING_1' }), para('Mapped', { style: 'HEADING_4' }), para('Plain', { style: 'HEADING_3' })] } },
+    expected: '# Top\n## Mapped\n### Plain',
+  },
+  {
+    name: 'Block syntax in plain paragraphs is escaped',
+    doc: { body: { content: [para('# not a heading'), para('```not a fence')] } },
+    expected: '\\# not a heading\n\\`\\`\\`not a fence',
+  },
+  {
+    name: 'Bullets via glyph types',
+    doc: {
+      lists: {
+        num: { listProperties: { nestingLevels: [{ glyphType: 'DECIMAL' }, { glyphType: 'ALPHA' }] } },
+        dot: { listProperties: { nestingLevels: [{ glyphSymbol: '●' }, { glyphSymbol: '○' }] } },
+      },
+      body: { content: [
+        para('one', { bullet: { listId: 'num' } }),
+        para('one.a', { bullet: { listId: 'num', nestingLevel: 1 }, textStyle: { bold: true } }),
+        para('two', { bullet: { listId: 'num' } }),
+        para('two.a', { bullet: { listId: 'num', nestingLevel: 1 } }),
+        para('dot', { bullet: { listId: 'dot' } }),
+        para('dot.a', { bullet: { listId: 'dot', nestingLevel: 1 } }),
+      ] },
+    },
+    expected: '1. one\n    1. **one.a**\n2. two\n    1. two.a\n- dot\n    - dot.a',
+  },
+  {
+    name: 'Links to URLs, headings, bookmarks and tabs',
+    doc: { body: { content: [
+      { paragraph: { elements: [{ textRun: { content: 'Intro Part\n' } }], paragraphStyle: { namedStyleType: 'HEADING_2', headingId: 'h.1' } } },
+      { paragraph: { elements: [
+        { textRun: { content: 'web', textStyle: { link: { url: 'https://example.com/a(b)' } } } },
+        { textRun: { content: ' ' } },
+        { textRun: { content: 'up', textStyle: { link: { heading: { id: 'h.1', tabId: 't.0' } } } } },
+        { textRun: { content: ' ' } },
+        { textRun: { content: 'mark', textStyle: { link: { bookmarkId: 'id.x' } } } },
+        { textRun: { content: ' ' } },
+        { textRun: { content: 'tab', textStyle: { link: { tabId: 't.2' } } } },
+        { textRun: { content: '\n' } },
+      ], paragraphStyle: { namedStyleType: 'NORMAL_TEXT' } } },
+    ] } },
+    expected: '## Intro Part\n[web](https://example.com/a\\(b\\)) [up](#intro-part) [mark](#bookmark=id.x) [tab](#tab=t.2)',
+  },
+  {
+    name: 'Mono font runs become code spans',
+    doc: { body: { content: [
+      { paragraph: { elements: [
+        { textRun: { content: 'run ' } },
+        { textRun: { content: 'a`b', textStyle: { weightedFontFamily: { fontFamily: 'Roboto Mono' } } } },
+        { textRun: { content: ' and ' } },
+        { textRun: { content: '`x', textStyle: { weightedFontFamily: { fontFamily: 'Roboto Mono' }, bold: true } } },
+        { textRun: { content: ' with a literal ` tick\n' } },
+      ], paragraphStyle: { namedStyleType: 'NORMAL_TEXT' } } },
+    ] } },
+    expected: 'run ``a`b`` and **`` `x ``** with a literal \\` tick',
+  },
+  {
+    name: 'Indented paragraphs become blockquotes',
+    doc: { body: { content: [
+      para('quoted'),
+      para(''),
+      para('nested'),
+      para('> literal'),
+      para('listed', { bullet: { listId: 'l' } }),
+    ].map((el, i) => {
+      const indent = [18, 18, 36, 0, 18][i];
+      if (indent) el.paragraph.paragraphStyle.indentStart = { magnitude: indent, unit: 'PT' };
+      return el;
+    }) } },
+    expected: '> quoted\n>\n> > nested\n\\> literal\n- listed',
+  },
+  {
+    name: 'Literal list markers are escaped',
+    doc: { body: { content: [para('- dash'), para('+ plus'), para('1. one'), para('2) two'), para('-not a marker')] } },
+    expected: '\\- dash\n\\+ plus\n1\\. one\n2\\) two\n-not a marker',
+  },
+  {
+    name: 'Lists: start numbers, mixed nesting, continuations and adjacent lists',
+    doc: {
+      lists: {
+        num: { listProperties: { nestingLevels: [
+          { glyphType: 'DECIMAL', startNumber: 3, indentStart: pt(36) },
+          { glyphSymbol: '●', indentStart: pt(72) },
+        ] } },
+        dot: { listProperties: { nestingLevels: [{ glyphSymbol: '●', indentStart: pt(36) }] } },
+        dot2: { listProperties: { nestingLevels: [{ glyphSymbol: '●', indentStart: pt(36) }] } },
+      },
+      body: { content: [
+        para('three', { bullet: { listId: 'num' } }),
+        para('inner', { bullet: { listId: 'num', nestingLevel: 1 } }),
+        indented(para('inner more'), 72),
+        para('four', { bullet: { listId: 'num' } }),
+        indented(para(''), 36),
+        indented(para('four more'), 36),
+        para('dot', { bullet: { listId: 'dot' } }),
+        para('dot2', { bullet: { listId: 'dot2' } }),
+        indented(para('quoted'), 18),
+      ] },
+    },
+    expected: '3. three\n    - inner\n      inner more\n4. four\n\n   four more\n- dot\n* dot2\n> quoted',
+  },
+  {
+    name: 'Lists with a configured indent and bullet',
+    mapping: { lists: { indent: 2, bullet: '+' } },
+    doc: {
+      lists: { l: { listProperties: { nestingLevels: [{ glyphSymbol: '●' }, { glyphType: 'ALPHA' }] } } },
+      body: { content: [para('a', { bullet: { listId: 'l' } }), para('b', { bullet: { listId: 'l', nestingLevel: 1 } })] },
+    },
+    expected: '+ a\n  1. b',
+  },
+  {
+    name: 'Tables: bold header, alignment, pipes and line breaks',
+    doc: { body: { content: [
+      para('Intro'),
+      para(''),
+      { table: { tableRows: [
+        { tableCells: [cell(para('Name', { textStyle: { bold: true } })), cell(centered(para('Qty', { textStyle: { bold: true } })))] },
+        { tableCells: [cell(para('a | b')), cell(para('1'), para('2'))] },
+        { tableCells: [cell(para('<br> literal', { textStyle: { italic: true } })), cell(para(''))] },
+      ] } },
+      para('After'),
+    ] } },
+    expected: 'Intro\n\n| Name | Qty |\n| --- | :---: |\n| a \\| b | 1<br>2 |\n| *\\<br> literal* |  |\n\nAfter',
+  },
+  {
+    name: 'Inline images with title and description',
+    doc: {
+      inlineObjects: {
+        'kix.1': { inlineObjectProperties: { embeddedObject: { title: 'Flow', description: 'A [draft] diagram', imageProperties: { contentUri: 'https://lh3.example/a(1)' } } } },
+        'kix.2': { inlineObjectProperties: { embeddedObject: { imageProperties: { contentUri: 'https://lh3.example/b' } } } },
+      },
+      body: { content: [
+        { paragraph: { elements: [
+          { textRun: { content: 'See ' } },
+          { inlineObjectElement: { inlineObjectId: 'kix.1' } },
+          { textRun: { content: ' and ' } },
+          { inlineObjectElement: { inlineObjectId: 'kix.2', textStyle: { link: { url: 'https://example.com' } } } },
+          { textRun: { content: '\n' } },
+        ], paragraphStyle: { namedStyleType: 'NORMAL_TEXT' } } },
+      ] },
+    },
+    expected: 'See ![A \\[draft\\] diagram](https://lh3.example/a\\(1\\) "Flow") and [![](https://lh3.example/b)](https://example.com)',
+  },
+  {
+    name: 'Alt text of pushed images comes from their image ranges',
+    doc: {
+      namedRanges: {
+        'md.image:["pushed *alt*","A title"]': { name: 'md.image:["pushed *alt*","A title"]', namedRanges: [{ ranges: [{ startIndex: 1, endIndex: 2 }] }] },
+        'md.image:["overridden"]': { name: 'md.image:["overridden"]', namedRanges: [{ ranges: [{ startIndex: 3, endIndex: 4 }] }] },
+        'md.image:["in a footnote"]': { name: 'md.image:["in a footnote"]', namedRanges: [{ ranges: [{ segmentId: 'kix.fn', startIndex: 5, endIndex: 6 }] }] },
+      },
+      inlineObjects: {
+        'kix.1': { inlineObjectProperties: { embeddedObject: { imageProperties: { contentUri: 'https://lh3.example/a' } } } },
+        'kix.2': { inlineObjectProperties: { embeddedObject: { description: 'Set in Docs', imageProperties: { contentUri: 'https://lh3.example/b' } } } },
+        'kix.3': { inlineObjectProperties: { embeddedObject: { imageProperties: { contentUri: 'https://lh3.example/c' } } } },
+      },
+      body: { content: [
+        { startIndex: 1, paragraph: { elements: [
+          { startIndex: 1, inlineObjectElement: { inlineObjectId: 'kix.1' } },
+          { startIndex: 2, textRun: { content: ' ' } },
+          { startIndex: 3, inlineObjectElement: { inlineObjectId: 'kix.2' } },
+          { startIndex: 4, textRun: { content: ' ' } },
+          { startIndex: 5, inlineObjectElement: { inlineObjectId: 'kix.3' } },
+          { startIndex: 6, textRun: { content: '\n' } },
+        ], paragraphStyle: { namedStyleType: 'NORMAL_TEXT' } } },
+      ] },
+    },
+    expected: '![pushed \\*alt\\*](https://lh3.example/a "A title") ![Set in Docs](https://lh3.example/b) ![](https://lh3.example/c)',
+  },
+  {
+    name: 'Image sizes are pulled as px hints',
+    doc: {
+      inlineObjects: {
+        'kix.1': { inlineObjectProperties: { embeddedObject: { description: 'both', size: { width: pt(90), height: pt(67.5) }, imageProperties: { contentUri: 'https://lh3.example/a' } } } },
+        'kix.2': { inlineObjectProperties: { embeddedObject: { size: { width: pt(200) }, imageProperties: { contentUri: 'https://lh3.example/b' } } } },
+        'kix.3': { inlineObjectProperties: { embeddedObject: { size: { width: pt(0), height: pt(0) }, imageProperties: { contentUri: 'https://lh3.example/c' } } } },
+      },
+      body: { content: [
+        { paragraph: { elements: [
+          { inlineObjectElement: { inlineObjectId: 'kix.1' } },
+          { textRun: { content: ' ' } },
+          { inlineObjectElement: { inlineObjectId: 'kix.2' } },
+          { textRun: { content: ' ' } },
+          { inlineObjectElement: { inlineObjectId: 'kix.3' } },
+          { textRun: { content: '\n' } },
+        ], paragraphStyle: { namedStyleType: 'NORMAL_TEXT' } } },
+      ] },
+    },
+    expected: '![both](https://lh3.example/a){width=120 height=90} ![](https://lh3.example/b){width=267} ![](https://lh3.example/c)',
+  },
+  {
+    name: 'Person, rich link and date chips',
+    doc: { body: { content: [
+      { paragraph: { elements: [
+        { person: { personProperties: { name: 'Ada [L]', email: 'ada@example.com' }, textStyle: { bold: true } } },
+        { textRun: { content: ', ' } },
+        { person: { personProperties: { email: 'bob@example.com' } } },
+        { textRun: { content: ' and ' } },
+        { richLink: { richLinkProperties: { title: 'Roadmap', uri: 'https://docs.google.com/document/d/abc/edit' } } },
+        { textRun: { content: ' due ' } },
+        { dateElement: { dateElementProperties: { timestamp: '2026-10-19T00:00:00Z', timeFormat: 'TIME_FORMAT_DISABLED' } } },
+        { textRun: { content: ', call at ' } },
+        { dateElement: { dateElementProperties: { timestamp: '2026-10-19T16:30:00Z', timeFormat: 'TIME_FORMAT_HOUR_MINUTE' } } },
+        { textRun: { content: '. Typed: @date(2026-10-20)\n' } },
+      ], paragraphStyle: { namedStyleType: 'NORMAL_TEXT' } } },
+    ] } },
+    expected: '**@[Ada \\[L\\]](mailto:ada@example.com)**, @[bob@example.com](mailto:bob@example.com) and @[Roadmap](https://docs.google.com/document/d/abc/edit) due @date(2026-10-19), call at @date(2026-10-19T16:30Z). Typed: @date\\(2026-10-20)',
+  },
+  {
+    name: 'Chips as links and text when the syntax is disabled',
+    mapping: { chips: { enabled: false } },
+    doc: { body: { content: [
+      { paragraph: { elements: [
+        { person: { personProperties: { name: 'Ada', email: 'ada@example.com' } } },
+        { textRun: { content: ' on ' } },
+        { dateElement: { dateElementProperties: { timestamp: '2026-10-19T00:00:00Z' } } },
+        { textRun: { content: '\n' } },
+      ] } },
+    ] } },
+    expected: '[Ada](mailto:ada@example.com) on 2026-10-19',
+  },
+  {
+    name: 'Code blocks keep the language of their code range in every rendering',
+    doc: {
+      namedRanges: {
+        'md.code:javascript': { name: 'md.code:javascript', namedRanges: [{ ranges: [{ startIndex: 1, endIndex: 15 }] }] },
+        'md.code:sql': { name: 'md.code:sql', namedRanges: [{ ranges: [{ startIndex: 22, endIndex: 31 }] }] },
+        'md.code': { name: 'md.code', namedRanges: [{ ranges: [{ startIndex: 35, endIndex: 40 }] }] },
+      },
+      body: { content: [
+        { startIndex: 1, ...para('let a;', { textStyle: { weightedFontFamily: { fontFamily: 'Roboto Mono' } } }) },
+        { startIndex: 8, ...para('a = 1;', { textStyle: { weightedFontFamily: { fontFamily: 'Roboto Mono' } } }) },
+        { startIndex: 15, ...para('') },
+        { startIndex: 16, table: { tableRows: [{ tableCells: [cell(
+          { startIndex: 22, ...para('SELECT 1', { textStyle: { weightedFontFamily: { fontFamily: 'Roboto Mono' } } }) },
+        )] }] } },
+        { startIndex: 35, ...para('done', { textStyle: { weightedFontFamily: { fontFamily: 'Roboto Mono' } } }) },
+        { startIndex: 40, ...para('mono', { textStyle: { weightedFontFamily: { fontFamily: 'Roboto Mono' } } }) },
+      ] },
+    },
+    expected: '```javascript\nlet a;\na = 1;\n```\n```sql\nSELECT 1\n```\n```\ndone\n```\n`mono`',
+  },
+  {
+    name: 'Checkbox lists: struck-through items are checked',
+    doc: {
+      lists: {
+        todo: { listProperties: { nestingLevels: [{ glyphSymbol: '☐' }, { glyphSymbol: '☐' }] } },
+        dot: { listProperties: { nestingLevels: [{ glyphSymbol: '●' }] } },
+      },
+      body: { content: [
+        para('open', { bullet: { listId: 'todo' } }),
+        para('shipped', { bullet: { listId: 'todo' }, textStyle: { strikethrough: true } }),
+        { paragraph: { bullet: { listId: 'todo', nestingLevel: 1 }, elements: [
+          { textRun: { content: 'half ', textStyle: { strikethrough: true } } },
+          { textRun: { content: 'done\n' } },
+        ], paragraphStyle: { namedStyleType: 'NORMAL_TEXT' } } },
+        para('', { bullet: { listId: 'todo' } }),
+        para('Between'),
+        para('[x] not a task', { bullet: { listId: 'dot' } }),
+      ] },
+    },
+    expected: '- [ ] open\n- [x] shipped\n    - [ ] half done\n- [ ]\nBetween\n- \\[x] not a task',
+  },
+  {
+    name: 'Footnotes are numbered in reading order',
+    doc: {
+      footnotes: {
+        'kix.fn.b': { footnoteId: 'kix.fn.b', content: [
+          para(' Later'),
+          para('[^1] literal'),
+          para(''),
+        ] },
+        'kix.fn.a': { footnoteId: 'kix.fn.a', content: [{ paragraph: { elements: [
+          { textRun: { content: ' The ' } },
+          { textRun: { content: 'first', textStyle: { italic: true } } },
+          { textRun: { content: '\n' } },
+        ] } }] },
+      },
+      body: { content: [
+        { paragraph: { elements: [
+          { textRun: { content: 'One' } },
+          { footnoteReference: { footnoteId: 'kix.fn.a', footnoteNumber: '1' } },
+          { textRun: { content: ' two' } },
+          { footnoteReference: { footnoteId: 'kix.fn.b', footnoteNumber: '2' } },
+          { textRun: { content: ' [^2]\n' } },
+        ], paragraphStyle: { namedStyleType: 'NORMAL_TEXT' } } },
+      ] },
+    },
+    expected: 'One[^1] two[^2] \\[^2]\n\n[^1]: The *first*\n[^2]: Later\n    \\[^1] literal',
+  },
+  {
+    name: 'Highlight colours in code blocks are dropped',
+    doc: {
+      namedRanges: { 'md.code:python': { name: 'md.code:python', namedRanges: [{ ranges: [{ startIndex: 1, endIndex: 20 }] }] } },
+      body: { content: [
+        { startIndex: 1, paragraph: { elements: [
+          { textRun: { content: 'def', textStyle: { bold: true, foregroundColor: { color: { rgbColor: { red: 0.8 } } } } } },
+          { textRun: { content: ' f(): ' } },
+          { textRun: { content: '# *not* md', textStyle: { italic: true, foregroundColor: { color: { rgbColor: { blue: 0.4 } } } } } },
+          { textRun: { content: '\n' } },
+        ], paragraphStyle: { namedStyleType: 'NORMAL_TEXT' } } },
+      ] },
+    },
+    expected: '```python\ndef f(): # *not* md\n```',
+  },
+  {
+    name: 'Soft line breaks, rules and page breaks',
+    doc: {
+      body: { content: [
+        { endIndex: 1, sectionBreak: { sectionStyle: { sectionType: 'CONTINUOUS' } } },
+        para('One\u000btwo'),
+        { paragraph: { elements: [{ horizontalRule: {} }, { textRun: { content: '\n' } }], paragraphStyle: { namedStyleType: 'NORMAL_TEXT' } } },
+        { paragraph: { elements: [{ textRun: { content: 'Before' } }, { pageBreak: {} }, { textRun: { content: '\n' } }], paragraphStyle: { namedStyleType: 'NORMAL_TEXT' } } },
+        { startIndex: 20, endIndex: 21, sectionBreak: { sectionStyle: { sectionType: 'NEXT_PAGE' } } },
+        { paragraph: {
+          elements: [{ textRun: { content: '\n' } }],
+          paragraphStyle: { namedStyleType: 'NORMAL_TEXT', borderBottom: { color: { color: { rgbColor: { red: 0.8, green: 0.8, blue: 0.8 } } }, width: pt(1), padding: pt(1), dashStyle: 'SOLID' } },
+        } },
+        para('---'),
+        para('# h\u000b- x'),
+        para('Two\u000blines', { style: 'HEADING_2' }),
+        para('end\u000b'),
+      ] },
+    },
+    expected: 'One\\\ntwo\n\n---\nBefore\n<!-- pagebreak -->\n<!-- pagebreak -->\n---\n\\---\n\\# h\\\n\\- x\n## Two lines\nend',
+  },
+];
+
+for (const tc of docsCases) {
+  console.log(`Test (Docs → MD): ${tc.name}`);
+  const md = tc.mapping ? irToMarkdown(docsToIR(tc.doc, tc.mapping), tc.mapping) : irToMarkdown(docsToIR(tc.doc));
+  if (md === tc.expected) {
+    console.log('  ✓ PASS\n');
+    passed++;
+  } else {
+    console.log('  ✗ FAIL');
+    console.log(`  Expected: ${JSON.stringify(tc.expected)}`);
+    console.log(`  Actual:   ${JSON.stringify(md)}\n`);
+    failed++;
+  }
+}
+
+// Markdown → Markdown: what markdownToIR reads a construct as, written back canonically
+const mdCases = [
+  {
+    name: 'Setext headings: `===` and `---` under a paragraph line',
+    markdown: 'Intro\n\nSection\n=====\nBody\n---\n\n---\n> Quoted\n> ---\n> Text\n---\n- item\n---\nNot underlines:\n\\===\n\\--',
+    expected: '# Intro\n\n# Section\n## Body\n\n---\n> ## Quoted\n> Text\n---\n- item\n---\nNot underlines:\n\\===\n\\--',
+  },
+];
+
+for (const tc of mdCases) {
+  console.log(`Test (MD → MD): ${tc.name}`);
+  const md = irToMarkdown(markdownToIR(tc.markdown));
+  if (md === tc.expected) {
+    console.log('  ✓ PASS\n');
+    passed++;
+  } else {
+    console.log('  ✗ FAIL');
+    console.log(`  Expected: ${JSON.stringify(tc.expected)}`);
+    console.log(`  Actual:   ${JSON.stringify(md)}\n`);
+    failed++;
+  }
+}
+
+// Lists pushed with one preset though their levels mix numbered and bulleted items (mdToDocs warns about them)
+{
+  console.log('Test: Lists mixing numbered and bulleted levels are found');
+  const mixed = mixedLists(markdownToIR('1. mixed\n    - nested\n\n- plain\n    - nested\n\n- [ ] task\n    1. numbered'));
+  const found = mixed.map(p => p.runs.map(r => r.text).join(''));
+  if (JSON.stringify(found) === JSON.stringify(['mixed', 'task'])) {
+    console.log('  ✓ PASS\n');
+    passed++;
+  } else {
+    console.log(`  ✗ FAIL: ${JSON.stringify(found)}\n`);
+    failed++;
+  }
+}
+
 console.log('=== Summary ===');
 console.log(`Passed: ${passed}/${passed + failed}`);
 console.log(`Failed: ${failed}/${passed + failed}`);
@@ -0,0 +1,130 @@
+/**
+ * Integration test: API emulator
+ *
+ * Checks the parts of lib/emulator/ the roundtrip test does not reach:
+ * write control, child tabs, changes paging and permissions.
+ *
+ * Usage: node integration/emulator.js
+ */
+import assert from 'assert/strict';
+import { createEmulator } from '../lib/emulator/index.js';
+import { check, rejection, summarize } from './harness.js';
+
+console.log('=== Emulator Test ===\n');
+
+async function newDoc(emu, name = 'Doc') {
+  const { data } = await emu.drive.files.create({ requestBody: { name, mimeType: 'application/vnd.google-apps.document' } });
+  return data.id;
+}
+
+const insert = (text, tabId) => ({ insertText: { text, location: { index: 1, ...(tabId ? { tabId } : {}) } } });
+
+await check('A stale requiredRevisionId is rejected with FAILED_PRECONDITION', async () => {
+  const emu = createEmulator();
+  const documentId = await newDoc(emu);
+  const { data: before } = await emu.docs.documents.get({ documentId });
+
+  const { data: reply } = await emu.docs.documents.batchUpdate({
+    documentId,
+    requestBody: { requests: [insert('one')], writeControl: { requiredRevisionId: before.revisionId } },
+  });
+  assert.notEqual(reply.writeControl.requiredRevisionId, before.revisionId);
+
+  const err = await rejection(emu.docs.documents.batchUpdate({
+    documentId,
+    requestBody: { requests: [insert('two')], writeControl: { requiredRevisionId: before.revisionId } },
+  }));
+  assert.equal(err.code, 400);
+  assert.equal(err.response.data.error.status, 'FAILED_PRECONDITION');
+
+  // Nothing from the rejected batch was applied, and the returned revision still works
+  const { data: after } = await emu.docs.documents.get({ documentId });
+  assert.equal(after.body.content[1].paragraph.elements[0].textRun.content, 'one\n');
+  await emu.docs.documents.batchUpdate({
+    documentId,
+    requestBody: { requests: [insert('three')], writeControl: { requiredRevisionId: reply.writeControl.requiredRevisionId } },
+  });
+});
+
+await check('Child tabs are nested, indexed and writable by tabId', async () => {
+  const emu = createEmulator();
+  const documentId = await newDoc(emu);
+  const parent = emu.addTab(documentId, { title: 'Parent' });
+  const first = emu.addTab(documentId, { title: 'First child', parentTabId: parent });
+  const second = emu.addTab(documentId, { title: 'Second child', parentTabId: parent });
+  const grandchild = emu.addTab(documentId, { title: 'Grandchild', parentTabId: second });
+
+  await emu.docs.documents.batchUpdate({ documentId, requestBody: { requests: [insert('deep', grandchild)] } });
+
+  const { data } = await emu.docs.documents.get({ documentId, includeTabsContent: true });
+  assert.deepEqual(data.tabs.map(t => t.tabProperties.title), ['Tab 1', 'Parent']);
+  const [, parentTab] = data.tabs;
+  assert.equal(parentTab.tabProperties.index, 1);
+  assert.equal(parentTab.tabProperties.parentTabId, undefined);
+  assert.deepEqual(parentTab.childTabs.map(t => [t.tabProperties.tabId, t.tabProperties.index, t.tabProperties.parentTabId, t.tabProperties.nestingLevel]),
+    [[first, 0, parent, 1], [second, 1, parent, 1]]);
+  const deep = parentTab.childTabs[1].childTabs[0];
+  assert.equal(deep.tabProperties.nestingLevel, 2);
+  assert.equal(deep.documentTab.body.content[1].paragraph.elements[0].textRun.content, 'deep\n');
+  // Other tabs are untouched
+  assert.equal(data.tabs[0].documentTab.body.content[1].paragraph.elements[0].textRun.content, '\n');
+
+  const missing = await rejection(emu.docs.documents.batchUpdate({ documentId, requestBody: { requests: [insert('x', 't.missing')] } }));
+  assert.equal(missing.code, 400);
+  assert.throws(() => emu.addTab(documentId, { parentTabId: 't.missing' }), { code: 404 });
+});
+
+await check('changes.list pages from a startPageToken to a newStartPageToken', async () => {
+  const emu = createEmulator();
+  const before = await newDoc(emu, 'Before');
+  const { data: { startPageToken } } = await emu.drive.changes.getStartPageToken();
+
+  const a = await newDoc(emu, 'A');
+  const b = await newDoc(emu, 'B');
+  await emu.drive.files.update({ fileId: a, requestBody: { name: 'A renamed' } });
+  await emu.drive.files.delete({ fileId: b });
+
+  const first = (await emu.drive.changes.list({ pageToken: startPageToken, pageSize: 2 })).data;
+  assert.deepEqual(first.changes.map(c => c.fileId), [a, b]);
+  assert.ok(first.nextPageToken);
+  assert.equal(first.newStartPageToken, undefined);
+
+  // A file changed twice within a page is reported once, with its latest state
+  const second = (await emu.drive.changes.list({ pageToken: first.nextPageToken, pageSize: 2 })).data;
+  assert.deepEqual(second.changes.map(c => [c.fileId, c.removed, c.file?.name]), [[a, false, 'A renamed'], [b, true, undefined]]);
+  assert.equal(second.nextPageToken, undefined);
+  assert.ok(second.newStartPageToken);
+  assert.ok(!second.changes.some(c => c.fileId === before));
+
+  const idle = (await emu.drive.changes.list({ pageToken: second.newStartPageToken })).data;
+  assert.deepEqual(idle.changes, []);
+  assert.equal(idle.newStartPageToken, second.newStartPageToken);
+  assert.equal((await emu.drive.changes.getStartPageToken()).data.startPageToken, second.newStartPageToken);
+
+  const invalid = await rejection(emu.drive.changes.list({ pageToken: String(Number(second.newStartPageToken) + 1) }));
+  assert.equal(invalid.code, 400);
+});
+
+await check('Permissions are created, listed and deleted per file', async () => {
+  const emu = createEmulator();
+  const { data: file } = await emu.drive.files.create({ requestBody: { name: 'image.png' }, media: { mimeType: 'image/png', body: Buffer.from('png') } });
+
+  const { data: anyone } = await emu.drive.permissions.create({ fileId: file.id, requestBody: { type: 'anyone', role: 'reader' } });
+  assert.equal(anyone.id, 'anyoneWithLink');
+  const { data: user } = await emu.drive.permissions.create({ fileId: file.id, requestBody: { type: 'user', role: 'writer', emailAddress: 'a@example.com' } });
+  // Sharing with anyone again replaces the link permission instead of adding one
+  await emu.drive.permissions.create({ fileId: file.id, requestBody: { type: 'anyone', role: 'commenter' } });
+
+  const list = async () => (await emu.drive.permissions.list({ fileId: file.id })).data.permissions;
+  assert.deepEqual((await list()).map(p => [p.id, p.role]), [[user.id, 'writer'], ['anyoneWithLink', 'commenter']]);
+  assert.equal((await emu.drive.files.get({ fileId: file.id })).data.permissions, undefined);
+
+  await emu.drive.permissions.delete({ fileId: file.id, permissionId: 'anyoneWithLink' });
+  assert.deepEqual((await list()).map(p => p.id), [user.id]);
+  const missing = await rejection(emu.drive.permissions.delete({ fileId: file.id, permissionId: 'anyoneWithLink' }));
+  assert.equal(missing.code, 404);
+  const gone = await rejection(emu.drive.permissions.list({ fileId: 'emu-file-missing' }));
+  assert.equal(gone.code, 404);
+});
+
+summarize();
@@ -0,0 +1,37 @@
+/**
+ * Minimal runner for the unit-style integration scripts: `check` runs one
+ * named case and prints PASS/FAIL, `summarize` prints the totals and sets the
+ * exit code.
+ */
+
+let passed = 0;
+let failed = 0;
+
+export async function check(name, fn) {
+  console.log(`Test: ${name}`);
+  try {
+    await fn();
+    console.log('  ✓ PASS\n');
+    passed++;
+  } catch (err) {
+    console.log(`  ✗ FAIL: ${err.message}\n`);
+    failed++;
+  }
+}
+
+export function summarize() {
+  console.log('=== Summary ===');
+  console.log(`Passed: ${passed}/${passed + failed}`);
+  console.log(`Failed: ${failed}/${passed + failed}`);
+  process.exitCode = failed > 0 ? 1 : 0;
+}
+
+/** Resolve with the error `promise` rejects with; fail if it resolves. */
+export async function rejection(promise) {
+  try {
+    await promise;
+  } catch (err) {
+    return err;
+  }
+  throw new Error('Expected the call to be rejected');
+}
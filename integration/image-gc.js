@@ -0,0 +1,159 @@
+/**
+ * Integration test: image cache and `npm run gc` (lib/imageCache.js, scripts/gcImages.js)
+ *
+ * Runs gcImages against the emulator's Drive in a scratch working directory
+ * with one bound note, and checks that writes to image-cache.json keep what
+ * another process recorded meanwhile.
+ *
+ * Usage: node integration/image-gc.js
+ */
+import assert from 'assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createEmulator } from '../lib/emulator/index.js';
+import {
+  claimForDeletion,
+  hashImage,
+  loadImageCache,
+  mergeImageCache,
+  restoreUpload,
+  saveImageCache,
+  touchCachedUpload,
+  updateImageCache,
+} from '../lib/imageCache.js';
+import { saveMapping } from '../lib/mapping.js';
+import { check, rejection, summarize } from './harness.js';
+
+console.log('=== Image GC Test ===\n');
+
+const gc = fileURLToPath(new URL('../scripts/gcImages.js', import.meta.url));
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-gc-'));
+const statePath = path.join(dir, 'emulator.json');
+const cachePath = path.join(dir, 'image-cache.json');
+
+const spawnGc = (...args) => spawnSync(process.execPath, [gc, ...args], {
+  cwd: dir,
+  env: { ...process.env, GOOGLE_API_EMULATOR: '1', GOOGLE_API_EMULATOR_STATE: statePath, IMAGE_CACHE_PATH: cachePath },
+  encoding: 'utf8',
+  timeout: 60_000,
+});
+
+function runGc(...args) {
+  const res = spawnGc(...args);
+  if (res.status !== 0) throw new Error(`gc exited ${res.status}: ${res.stderr || res.error?.message}`);
+  return res.stdout;
+}
+
+// gc changes the state file, so each check reads it afresh
+const driveFile = fileId => createEmulator({ statePath }).drive.files.get({ fileId });
+
+// Two images uploaded to Drive and cached; only the first is in the bound note
+fs.mkdirSync(path.join(dir, 'local', 'images'), { recursive: true });
+const images = {};
+for (const [name, bytes] of [['kept.png', 'kept image'], ['dropped.png', 'dropped image']]) {
+  const filePath = path.join(dir, 'local', 'images', name);
+  fs.writeFileSync(filePath, bytes);
+  const { data } = await createEmulator({ statePath }).drive.files.create({ requestBody: { name }, media: { mimeType: 'image/png', body: bytes } });
+  images[name] = { hash: hashImage(filePath), fileId: data.id };
+}
+fs.writeFileSync(path.join(dir, 'local', 'note.md'), '# Note\n\n![Kept](images/kept.png)\n');
+const bind = (...noteIds) => saveMapping({
+  notes: Object.fromEntries(noteIds.map((noteId, i) => [noteId, { fileId: 'doc', tabId: `t.${i}` }])),
+  notebooks: {},
+}, path.join(dir, 'mapping.json'));
+bind('note');
+const cached = ({ hash, fileId }, lastUsed = '2026-10-01T00:00:00.000Z') => ({ [hash]: { drive: { fileId, uri: `https://drive.example/${fileId}`, lastUsed } } });
+const writeCache = (droppedLastUsed) => saveImageCache({ images: { ...cached(images['kept.png']), ...cached(images['dropped.png'], droppedLastUsed) } }, cachePath);
+writeCache();
+
+try {
+  await check('A dry run reports the unreferenced upload and deletes nothing', async () => {
+    const before = fs.readFileSync(cachePath, 'utf8');
+    const out = runGc('--dry-run');
+    assert.match(out, /referenced: 1, uploads to delete: 1/);
+    assert.match(out, new RegExp(`would delete drive ${images['dropped.png'].fileId}`));
+    assert.equal(fs.readFileSync(cachePath, 'utf8'), before);
+    await driveFile(images['dropped.png'].fileId);
+  });
+
+  await check('An upload used in the last minutes is kept: a push may be inserting it', async () => {
+    writeCache(new Date().toISOString());
+    assert.match(runGc(), new RegExp(`kept drive ${images['dropped.png'].fileId}`));
+    await driveFile(images['dropped.png'].fileId);
+    writeCache();
+  });
+
+  await check('gc deletes nothing while a bound note has no Markdown, unless forced', async () => {
+    bind('note', 'unpulled');
+    const before = fs.readFileSync(cachePath, 'utf8');
+    const res = spawnGc();
+    assert.equal(res.status, 1);
+    assert.match(res.stderr, /unpulled .*--force/s);
+    assert.equal(fs.readFileSync(cachePath, 'utf8'), before);
+    await driveFile(images['dropped.png'].fileId);
+  });
+
+  await check('gc keeps the referenced upload and removes the unreferenced one', async () => {
+    // Still bound without Markdown: forced, gc only warns about it
+    const out = runGc('--force');
+    assert.match(out, new RegExp(`deleted drive ${images['dropped.png'].fileId}`));
+
+    await driveFile(images['kept.png'].fileId);
+    assert.equal((await rejection(driveFile(images['dropped.png'].fileId))).code, 404);
+    assert.deepEqual(Object.keys(loadImageCache(cachePath).images), [images['kept.png'].hash]);
+    assert.deepEqual(fs.readdirSync(dir).filter(f => /\.(tmp|lock)$/.test(f)), []);
+  });
+
+  await check('Writing back merges with uploads another process recorded meanwhile', async () => {
+    const filePath = path.join(dir, 'merge-cache.json');
+    const entry = (fileId, lastUsed) => ({ fileId, uri: `https://drive.example/${fileId}`, lastUsed });
+    saveImageCache({ images: { a: { drive: entry('a1', '2026-10-01T00:00:00.000Z') } } }, filePath);
+
+    // A push loads the cache, reuses `a` and uploads `b`; meanwhile another push records `c`
+    const local = loadImageCache(filePath);
+    const since = '2026-10-02T00:00:00.000Z';
+    local.images.a.drive.lastUsed = '2026-10-02T00:00:01.000Z';
+    local.images.b = { drive: entry('b1', '2026-10-02T00:00:02.000Z') };
+    updateImageCache(saved => { saved.images.c = { gcs: { bucket: 'bk', object: 'c', uri: 'u', lastUsed: since } }; }, filePath);
+    updateImageCache(saved => mergeImageCache(saved, local, since), filePath);
+    const merged = loadImageCache(filePath).images;
+    assert.deepEqual(Object.keys(merged).sort(), ['a', 'b', 'c']);
+    assert.equal(merged.a.drive.lastUsed, '2026-10-02T00:00:01.000Z');
+
+    // gc claims an upload only if it is still the one it saw and unused since; a push sharing it after that uploads anew
+    const upload = (hash, kind) => ({ hash, kind, entry: merged[hash][kind] });
+    updateImageCache(saved => {
+      saved.images.b.drive = entry('b2', '2026-10-03T00:00:00.000Z');
+      assert.equal(claimForDeletion(saved, upload('a', 'drive'), '2026-10-03T00:00:00.000Z'), true);
+      assert.equal(claimForDeletion(saved, upload('b', 'drive'), '2026-10-03T00:00:00.000Z'), false);
+      assert.equal(claimForDeletion(saved, upload('c', 'gcs'), since), false);
+      assert.equal(touchCachedUpload(saved, 'a', 'drive', merged.a.drive), false);
+      assert.equal(touchCachedUpload(saved, 'c', 'gcs', merged.c.gcs), true);
+    }, filePath);
+    assert.deepEqual(Object.keys(loadImageCache(filePath).images).sort(), ['b', 'c']);
+
+    // An upload that could not be deleted goes back, unless another took its place
+    updateImageCache(saved => {
+      restoreUpload(saved, upload('a', 'drive'));
+      restoreUpload(saved, upload('b', 'drive'));
+    }, filePath);
+    const restored = loadImageCache(filePath).images;
+    assert.deepEqual(restored.a, merged.a);
+    assert.equal(restored.b.drive.fileId, 'b2');
+  });
+
+  await check('A held cache lock is waited for, then reported', async () => {
+    const filePath = path.join(dir, 'locked-cache.json');
+    fs.writeFileSync(`${filePath}.lock`, JSON.stringify({ pid: process.pid, ts: Date.now() }));
+    assert.throws(() => updateImageCache(() => {}, filePath, { timeoutMs: 200 }), { code: 'IMAGE_CACHE_LOCKED' });
+    assert.equal(fs.existsSync(filePath), false);
+    fs.rmSync(`${filePath}.lock`);
+  });
+} finally {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+summarize();
@@ -0,0 +1,196 @@
+/**
+ * Integration test: mapping store (lib/mapping.js)
+ *
+ * Locking under contention from several processes, stale-lock recovery,
+ * corrupt files and the backup generation, atomic saves and schema
+ * migrations. Works in a scratch directory; mapping.json is not touched.
+ *
+ * Usage: node integration/mapping.js
+ */
+import assert from 'assert/strict';
+import { spawn, spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  backupPathFor,
+  findNotesByFileId,
+  loadMapping,
+  migrationBackupPathFor,
+  saveMapping,
+  updateMapping,
+  withMappingLock,
+} from '../lib/mapping.js';
+import { MAPPING_SCHEMA_VERSION, migrateMapping } from '../lib/mappingMigrations.js';
+import { check, summarize } from './harness.js';
+
+console.log('=== Mapping Store Test ===\n');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mapping-'));
+const mappingUrl = new URL('../lib/mapping.js', import.meta.url).href;
+let files = 0;
+const scratch = () => path.join(dir, `mapping-${++files}.json`);
+const lockOf = filePath => `${filePath}.lock`;
+const leftovers = () => fs.readdirSync(dir).filter(f => /\.(tmp|stale|lock)$/.test(f));
+
+// Increments a counter `times` times under the lock; a second holder inside the critical section fails it
+const WORKER = `
+import fs from 'fs';
+import { updateMapping } from '${mappingUrl}';
+const [filePath, times] = process.argv.slice(1);
+for (let i = 0; i < Number(times); i++) {
+  updateMapping(map => {
+    fs.writeFileSync(filePath + '.held', String(process.pid), { flag: 'wx' });
+    map.notes.counter = { count: (map.notes.counter?.count || 0) + 1 };
+    fs.rmSync(filePath + '.held');
+  }, filePath);
+}
+`;
+
+function runWorkers(filePath, workers, times) {
+  return Promise.all(Array.from({ length: workers }, () => new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ['--input-type=module', '-e', WORKER, filePath, String(times)], { stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('exit', code => (code === 0 ? resolve() : reject(new Error(`worker exited ${code}: ${stderr.trim()}`))));
+  })));
+}
+
+// The pid of a process that has already exited
+const deadPid = () => spawnSync(process.execPath, ['-e', '']).pid;
+
+function writeLock(filePath, content, { ageMs = 0 } = {}) {
+  fs.writeFileSync(lockOf(filePath), typeof content === 'string' ? content : JSON.stringify(content));
+  if (ageMs) {
+    const at = new Date(Date.now() - ageMs);
+    fs.utimesSync(lockOf(filePath), at, at);
+  }
+}
+
+try {
+  await check('Concurrent writers never overlap and lose no update', async () => {
+    const filePath = scratch();
+    await runWorkers(filePath, 4, 15);
+    assert.equal(loadMapping(filePath).notes.counter.count, 60);
+    assert.deepEqual(leftovers(), []);
+  });
+
+  await check('Writers racing to break one stale lock still take turns', async () => {
+    const filePath = scratch();
+    writeLock(filePath, { pid: deadPid(), ts: Date.now() });
+    await runWorkers(filePath, 4, 5);
+    assert.equal(loadMapping(filePath).notes.counter.count, 20);
+    assert.deepEqual(leftovers(), []);
+  });
+
+  await check('Locks of dead processes, expired locks and abandoned partial locks are broken', async () => {
+    const filePath = scratch();
+    const locks = [
+      [{ pid: deadPid(), ts: Date.now() }],
+      [{ pid: process.pid, ts: Date.now() - 60_000 }],
+      ['{"pid":', { ageMs: 5000 }],
+    ];
+    for (const [content, options] of locks) {
+      writeLock(filePath, content, options);
+      assert.equal(withMappingLock(() => JSON.parse(fs.readFileSync(lockOf(filePath), 'utf8')).pid, filePath, { timeoutMs: 1000 }), process.pid);
+      assert.equal(fs.existsSync(lockOf(filePath)), false);
+    }
+    assert.deepEqual(leftovers(), []);
+  });
+
+  await check('A live lock, or one still being written, is waited for and kept', async () => {
+    const filePath = scratch();
+    for (const content of [{ pid: process.pid, ts: Date.now() }, '']) {
+      writeLock(filePath, content);
+      const before = fs.readFileSync(lockOf(filePath), 'utf8');
+      let ran = false;
+      assert.throws(() => withMappingLock(() => { ran = true; }, filePath, { timeoutMs: 200 }), { code: 'MAPPING_LOCKED' });
+      assert.equal(ran, false);
+      assert.equal(fs.readFileSync(lockOf(filePath), 'utf8'), before);
+      fs.rmSync(lockOf(filePath));
+    }
+  });
+
+  await check('A corrupt mapping is an error pointing at the last good generation', async () => {
+    const filePath = scratch();
+    saveMapping({ notes: { a: { fileId: 'f1' } }, notebooks: {} }, filePath);
+    saveMapping({ notes: { a: { fileId: 'f2' } }, notebooks: {} }, filePath);
+    assert.equal(loadMapping(backupPathFor(filePath)).notes.a.fileId, 'f1');
+
+    fs.writeFileSync(filePath, '{"notes": {"a": ');
+    assert.throws(() => loadMapping(filePath), err => err.code === 'MAPPING_CORRUPT' && err.message.includes(backupPathFor(filePath)));
+    assert.throws(() => updateMapping(() => {}, filePath), { code: 'MAPPING_CORRUPT' });
+    fs.writeFileSync(filePath, '[]');
+    assert.throws(() => loadMapping(filePath), { code: 'MAPPING_CORRUPT' });
+
+    // Saving over the corrupt file keeps the good backup, which restores the mapping
+    saveMapping({ notes: { b: { fileId: 'f3' } }, notebooks: {} }, filePath);
+    assert.equal(loadMapping(backupPathFor(filePath)).notes.a.fileId, 'f1');
+    fs.copyFileSync(backupPathFor(filePath), filePath);
+    assert.equal(loadMapping(filePath).notes.a.fileId, 'f1');
+  });
+
+  await check('Saves replace the file atomically and leave no temp files', async () => {
+    const filePath = scratch();
+    assert.deepEqual(loadMapping(filePath), { schemaVersion: 1, notes: {}, notebooks: {} });
+    saveMapping({ schemaVersion: 0, notes: {}, notebooks: {} }, filePath);
+    const { ino } = fs.statSync(filePath);
+    // A temp file left by a writer that crashed before its rename is ignored
+    fs.writeFileSync(`${filePath}.99999.tmp`, '{"notes":');
+    updateMapping(map => { map.notes.n = { fileId: 'f' }; }, filePath);
+
+    assert.notEqual(fs.statSync(filePath).ino, ino);
+    const saved = fs.readFileSync(filePath, 'utf8');
+    assert.deepEqual(JSON.parse(saved), { schemaVersion: 1, notes: { n: { fileId: 'f' } }, notebooks: {} });
+    assert.ok(saved.startsWith('{\n  "schemaVersion": 1,'));
+    fs.rmSync(`${filePath}.99999.tmp`);
+    assert.deepEqual(leftovers(), []);
+  });
+
+  await check('A v0 mapping is migrated on load after a one-time backup', async () => {
+    const filePath = scratch();
+    const flat = JSON.stringify({ n1: { fileId: 'f1', tabId: 't.0' } });
+    fs.writeFileSync(filePath, flat);
+
+    const map = loadMapping(filePath);
+    assert.deepEqual(map, { schemaVersion: MAPPING_SCHEMA_VERSION, notes: { n1: { fileId: 'f1', tabId: 't.0' } }, notebooks: {} });
+    assert.equal(fs.readFileSync(migrationBackupPathFor(filePath, 0), 'utf8'), flat);
+    // Not upgraded on disk until saved
+    assert.equal(fs.readFileSync(filePath, 'utf8'), flat);
+
+    // A later load of a changed v0 file keeps the first backup
+    fs.writeFileSync(filePath, JSON.stringify({ n2: { fileId: 'f2' } }));
+    assert.deepEqual(Object.keys(loadMapping(filePath).notes), ['n2']);
+    assert.equal(fs.readFileSync(migrationBackupPathFor(filePath, 0), 'utf8'), flat);
+
+    updateMapping(() => {}, filePath);
+    assert.equal(JSON.parse(fs.readFileSync(filePath, 'utf8')).schemaVersion, MAPPING_SCHEMA_VERSION);
+  });
+
+  await check('Namespaced v0 files keep their sections; migrations report what ran', async () => {
+    const { data, from, applied } = migrateMapping({ notes: { n: { fileId: 'f' } } });
+    assert.equal(from, 0);
+    assert.deepEqual(applied.map(m => m.version), [1]);
+    assert.deepEqual(data, { notes: { n: { fileId: 'f' } }, notebooks: {}, schemaVersion: 1 });
+    assert.deepEqual(migrateMapping({ schemaVersion: MAPPING_SCHEMA_VERSION, notes: {} }).applied, []);
+  });
+
+  await check('A current-version file missing notes or notebooks still loads', async () => {
+    const filePath = scratch();
+    fs.writeFileSync(filePath, JSON.stringify({ schemaVersion: MAPPING_SCHEMA_VERSION, notebooks: null }));
+    assert.deepEqual(loadMapping(filePath), { schemaVersion: MAPPING_SCHEMA_VERSION, notes: {}, notebooks: {} });
+    assert.deepEqual(findNotesByFileId('f1', filePath), []);
+    assert.equal(fs.existsSync(migrationBackupPathFor(filePath, MAPPING_SCHEMA_VERSION)), false);
+  });
+
+  await check('A newer schemaVersion is refused', async () => {
+    const filePath = scratch();
+    fs.writeFileSync(filePath, JSON.stringify({ schemaVersion: MAPPING_SCHEMA_VERSION + 1, notes: {}, notebooks: {} }));
+    assert.throws(() => loadMapping(filePath), { code: 'MAPPING_VERSION_UNSUPPORTED' });
+  });
+} finally {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+summarize();
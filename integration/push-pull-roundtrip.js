@@ -8,34 +8,47 @@
  * 4. Verifies roundtrip fidelity
  * 5. Cleans up the test doc
  * 
- * Usage: node integration/push-pull-roundtrip.js
+ * Usage: node integration/push-pull-roundtrip.js [--emulator]
  * 
- * Requires: Valid OAuth tokens in .token.json (run: npm run auth)
+ * Requires: Valid OAuth tokens in .token.json (run: npm run auth), unless
+ * --emulator (or GOOGLE_API_EMULATOR=1) runs against lib/emulator/ offline.
  */
 import path from 'path';
 import fs from 'fs';
+import os from 'os';
 import { fileURLToPath } from 'url';
 import { getAuth, getDocs, getDrive } from '../lib/getAuth.js';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const pluginDist = path.join(__dirname, '../../plugin/dist');
-
-// Import converters from compiled plugin (use index for convenience)
-const converter = await import(path.join(pluginDist, 'converter/index.js'));
-const { 
-  markdownToIR, 
-  irToMarkdown, 
-  normalizeMarkdown, 
+import { isEmulatorEnabled } from '../lib/emulator/index.js';
+import { withRetries } from '../lib/retry.js';
+import {
+  markdownToIR,
+  irToMarkdown,
+  normalizeMarkdown,
   irToPlainTextWithRanges,
   docsToIR,
   buildDocsStyleUpdateRequests,
-} = converter;
+  buildHeadingLinkRequests,
+  buildImageRequests,
+  buildChipRequests,
+  buildFootnoteRequests,
+  buildFootnoteContentRequests,
+  buildPageBreakRequests,
+  buildTableRequests,
+} from '../lib/converter/index.js';
+import { createDriveUploader, uploadImages } from '../lib/imageUpload.js';
+import { deleteCachedUpload, unreferencedUploads } from '../lib/imageCache.js';
+import { RESOURCES_DIR, downloadImages } from '../lib/imageDownload.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-console.log('=== Push/Pull Roundtrip Integration Test ===\n');
+if (process.argv.includes('--emulator')) process.env.GOOGLE_API_EMULATOR = '1';
+const emulated = isEmulatorEnabled();
+
+console.log(`=== Push/Pull Roundtrip Integration Test${emulated ? ' (emulator)' : ''} ===\n`);
 
 const auth = getAuth();
-const docs = getDocs(auth);
-const drive = getDrive(auth);
+const docs = withRetries(getDocs(auth));
+const drive = withRetries(getDrive(auth));
 
 // Test markdown with multiline code block and numbered lists
 const testMarkdown = `# Integration Test Document
@@ -50,13 +63,19 @@ Here's an unordered list:
 
 - First item
 - Second item
+    - Nested item
+        - Deeper item
 - Third item
 
+  A second paragraph of the third item.
+
 And here's a numbered list:
 
 1. Step one
 2. Step two
+    1. Sub-step
 3. Step three
+- A separate list right after it
 
 ## Section 2
 
@@ -82,7 +101,55 @@ Another with \`multiple\` inline \`code\` segments mixed in.
 
 Normal paragraph with no code at all.
 
-The end.`;
+## Section 4: Links
+
+See [the Docs API](https://developers.google.com/docs/api) or <https://example.com/a_b>, then back to [Section 1](#section-1).
+
+> A quoted paragraph with **bold** text.
+>
+> > A nested quote.
+
+## Section 5: Tables
+
+| Feature | Status | Notes |
+| --- | :---: | ---: |
+| Tables | **done** | pipes \\| and<br>breaks |
+| \`code\` | ok | [back](#section-5-tables) |
+
+## Section 6: Images
+
+A local ![test image](../test_image.png){width=120} and a remote ![logo](https://example.com/logo.png) image.
+
+## Section 7: Smart chips
+
+Ask @[ada@example.com](mailto:ada@example.com) before @date(2026-10-19).
+
+## Section 8: Tasks
+
+- [x] Write the converter
+- [ ] Review it
+    - [ ] With *examples*
+
+## Section 9: Breaks
+
+A line with a hard break\\
+and its second line.
+
+---
+
+<!-- pagebreak -->
+
+After the page break.
+
+## Section 10: Footnotes
+
+A claim[^1] with a longer note[^2].
+
+The end.
+
+[^1]: See the *Docs API* reference.
+[^2]: First paragraph of the note
+    and its second paragraph`;
 
 // Save original markdown to temp file
 const tempDir = path.join(__dirname, '../local');
@@ -93,6 +160,8 @@ fs.writeFileSync(originalFile, testMarkdown);
 console.log(`Saved original to: ${originalFile}`);
 
 let testDocId = null;
+const imageCache = { images: {} };
+const scratchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'push-pull-'));
 
 try {
   // Step 1: Create test document
@@ -108,10 +177,15 @@ try {
 
   // Step 2: Convert markdown to plain + styles
   console.log('2. Converting markdown to IR and plain text...');
-  const ir = markdownToIR(testMarkdown);
-  console.log(`   IR: ${ir.length} paragraphs`);
-  
-  const { plain, paraRanges, textRanges } = irToPlainTextWithRanges(ir);
+  const parsed = markdownToIR(testMarkdown);
+  console.log(`   IR: ${parsed.length} paragraphs`);
+
+  // Local images are uploaded to Drive (relative to the saved note) and shared until the push is done
+  const uploader = createDriveUploader(drive);
+  const { ir, failed, revoke } = await uploadImages(parsed, uploader, { baseDir: tempDir, cache: imageCache });
+  if (failed.length) throw new Error(`Image upload failed: ${failed.map(f => f.error.message).join('; ')}`);
+
+  const { plain, paraRanges, textRanges, tables, images, chips, footnotes, pageBreaks } = irToPlainTextWithRanges(ir);
   console.log(`   Plain: ${plain.length} chars`);
 
   // Step 3: Push to Google Doc
@@ -140,13 +214,67 @@ try {
       requestBody: { requests: styleReqs },
     });
   }
+
+  // Images, smart chips and page breaks take the place of their placeholders
+  const inlineReqs = [...buildImageRequests(images).requests, ...buildChipRequests(chips), ...buildPageBreakRequests(pageBreaks)];
+  if (inlineReqs.length > 0) {
+    await docs.documents.batchUpdate({
+      documentId: testDocId,
+      requestBody: { requests: inlineReqs },
+    });
+  }
+  await revoke();
+  console.log(`   Inserted ${images.length} images, ${chips.length} chips, ${pageBreaks.length} page breaks`);
+
+  // Footnotes are created in place of their placeholders, then filled in
+  if (footnotes.length > 0) {
+    const created = await docs.documents.batchUpdate({
+      documentId: testDocId,
+      requestBody: { requests: buildFootnoteRequests(footnotes) },
+    });
+    const footnoteIds = created.data.replies.filter(r => r.createFootnote).map(r => r.createFootnote.footnoteId);
+    await docs.documents.batchUpdate({
+      documentId: testDocId,
+      requestBody: { requests: buildFootnoteContentRequests(footnotes, footnoteIds) },
+    });
+  }
+  console.log(`   Inserted ${footnotes.length} footnotes`);
+
+  // An unchanged image is shared again from the cache rather than uploaded twice
+  const localUri = pushed => pushed.flatMap(p => p.runs).find(r => r.image?.src === '../test_image.png')?.image.uri;
+  const again = await uploadImages(parsed, uploader, { baseDir: tempDir, cache: imageCache });
+  await again.revoke();
+  if (localUri(again.ir) !== localUri(ir)) throw new Error(`Cached image was uploaded again: ${localUri(again.ir)}`);
+  console.log(`   Cached uploads reused: ${Object.keys(imageCache.images).length}`);
+
+  // Heading anchors resolve once the pushed headings have ids
+  const linkedDoc = await docs.documents.get({ documentId: testDocId });
+  const { requests: linkReqs } = buildHeadingLinkRequests(textRanges, linkedDoc.data.body);
+  if (linkReqs.length > 0) {
+    await docs.documents.batchUpdate({
+      documentId: testDocId,
+      requestBody: { requests: linkReqs },
+    });
+  }
   console.log(`   Applied ${styleReqs.length} style requests`);
 
-  // Pause for visual inspection
-  console.log('\n>>> INSPECT THE DOCUMENT <<<');
-  console.log(`   https://docs.google.com/document/d/${testDocId}/edit`);
-  console.log('\nWaiting 30 seconds for you to inspect... (or Ctrl+C to abort)');
-  await new Promise(resolve => setTimeout(resolve, 30000));
+  // Tables go in last, into the document as it now stands
+  const { requests: tableReqs } = buildTableRequests(tables, { body: linkedDoc.data.body });
+  if (tableReqs.length > 0) {
+    await docs.documents.batchUpdate({
+      documentId: testDocId,
+      requestBody: { requests: tableReqs },
+    });
+  }
+  console.log(`   Inserted ${tables.length} tables`);
+
+  // Pause for visual inspection (nothing to look at when emulated)
+  if (!emulated) {
+    console.log('\n>>> INSPECT THE DOCUMENT <<<');
+    console.log(`   https://docs.google.com/document/d/${testDocId}/edit`);
+    console.log('\nWaiting 30 seconds for you to inspect... (or Ctrl+C to abort)');
+    await new Promise(resolve => setTimeout(resolve, 30000));
+  }
 
   // Step 4: Pull from Google Doc
   console.log('4. Pulling from Google Doc...');
@@ -173,7 +301,8 @@ try {
           const font = run.textRun.textStyle?.weightedFontFamily?.fontFamily || 'EMPTY';
           const bold = run.textRun.textStyle?.bold ? 'B' : '';
           const italic = run.textRun.textStyle?.italic ? 'I' : '';
-          console.log(`    "${text}" => font: "${font}" ${bold}${italic}`);
+          const colour = run.textRun.textStyle?.foregroundColor ? ' (highlighted)' : '';
+          console.log(`    "${text}" => font: "${font}" ${bold}${italic}${colour}`);
         } else if (run.inlineObjectElement) {
           console.log(`    [inline object: ${run.inlineObjectElement.inlineObjectId}]`);
         }
@@ -187,11 +316,31 @@ try {
   console.log('5. Converting Docs structure back to markdown...');
   const pulledIR = docsToIR({
     body: pulledDoc.body,
+    lists: pulledDoc.lists || {},
     inlineObjects: pulledDoc.inlineObjects || {},
+    footnotes: pulledDoc.footnotes || {},
+    namedRanges: pulledDoc.namedRanges || {},
   });
   console.log(`   Pulled IR: ${pulledIR.length} paragraphs`);
   
-  const pulledMarkdown = irToMarkdown(pulledIR);
+  // Images are downloaded to a scratch attachments folder; the emulator only serves its Drive uploads
+  const fetchImage = emulated
+    ? async uri => {
+      const fileId = uri.match(/^https:\/\/lh3\.googleusercontent\.com\/d\/(.+)$/)?.[1];
+      if (!fileId) throw new Error(`Not fetched offline: ${uri}`);
+      return (await drive.files.get({ fileId, alt: 'media' })).data;
+    }
+    : undefined;
+  const { ir: pulledWithImages, failed: notDownloaded } = await downloadImages(pulledIR, {
+    inlineObjects: pulledDoc.inlineObjects,
+    documentId: testDocId,
+    dir: path.join(scratchDir, RESOURCES_DIR),
+    noteDir: scratchDir,
+    ...(fetchImage ? { fetchImage } : {}),
+  });
+  console.log(`   Images kept as remote links: ${notDownloaded.length}`);
+
+  const pulledMarkdown = irToMarkdown(pulledWithImages);
   console.log(`   Pulled MD: ${pulledMarkdown.length} chars`);
   
   // Save roundtrip markdown to temp file
@@ -255,6 +404,15 @@ try {
   process.exitCode = 1;
 } finally {
   // Cleanup
+  fs.rmSync(scratchDir, { recursive: true, force: true });
+  // Nothing references the uploaded images any more, as after `npm run gc`
+  for (const upload of unreferencedUploads(imageCache, new Set())) {
+    try {
+      await deleteCachedUpload(imageCache, upload, { drive });
+    } catch (err) {
+      console.log('Image cleanup failed (manual cleanup may be needed):', err.message);
+    }
+  }
   if (testDocId) {
     console.log('\nCleaning up test document...');
     try {
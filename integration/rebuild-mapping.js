@@ -0,0 +1,91 @@
+/**
+ * Integration test: rebuilding mapping.json from Drive identity
+ *
+ * Checks how mappingFromDocs (lib/driveIdentity.js) settles conflicting
+ * claims, then runs `rebuildMapping` against the emulator in a scratch
+ * working directory.
+ *
+ * Usage: node integration/rebuild-mapping.js
+ */
+import assert from 'assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DOC_MIME_TYPE, FOLDER_MIME_TYPE, PLUGIN_ID, mappingFromDocs } from '../lib/driveIdentity.js';
+import { createEmulator } from '../lib/emulator/index.js';
+import { loadMapping, saveMapping } from '../lib/mapping.js';
+import { check, summarize } from './harness.js';
+
+console.log('=== Rebuild Mapping Test ===\n');
+
+const doc = (id, modifiedTime, appProperties) => ({ id, modifiedTime, appProperties: { pluginId: PLUGIN_ID, ...appProperties } });
+
+await check('Two notes claiming the same tab: the tab key wins', async () => {
+  // Note a was bound to the first tab, then note b was bound over it
+  const { notes, conflicts } = mappingFromDocs([doc('f1', '2026-10-01T00:00:00Z', { joplinNoteId: 'a', 'tab.t.0': 'b', 'tab.t.1': 'c' })]);
+  assert.deepEqual(notes, { b: { fileId: 'f1', tabId: 't.0' }, c: { fileId: 'f1', tabId: 't.1' } });
+  assert.deepEqual(conflicts, [{ kind: 'tab', id: 'f1/t.0', kept: 'b', ignored: 'a', reason: 'bound by its tab key' }]);
+});
+
+await check('Two docs claiming one note or notebook: the most recently modified wins', async () => {
+  const { notes, notebooks, conflicts } = mappingFromDocs([
+    doc('old', '2026-10-01T00:00:00Z', { notebookId: 'nb', 'tab.t.0': 'a', 'tab.t.1': 'b' }),
+    doc('new', '2026-10-02T00:00:00Z', { notebookId: 'nb', 'tab.t.5': 'a' }),
+  ]);
+  assert.deepEqual(notes, { a: { fileId: 'new', tabId: 't.5' }, b: { fileId: 'old', tabId: 't.1' } });
+  assert.deepEqual(notebooks, { nb: { fileId: 'new' } });
+  assert.deepEqual(conflicts.map(c => [c.kind, c.id, c.kept, c.ignored, c.reason]), [
+    ['notebook', 'nb', 'new', 'old', 'most recently modified'],
+    ['note', 'a', 'new', 'old', 'most recently modified'],
+  ]);
+});
+
+await check('A legacy joplinNoteId without tab keys binds the first tab', async () => {
+  const { notes, conflicts } = mappingFromDocs([doc('f1', '2026-10-01T00:00:00Z', { joplinNoteId: 'a' })]);
+  assert.deepEqual(notes, { a: { fileId: 'f1', tabId: 't.0' } });
+  assert.deepEqual(conflicts, []);
+});
+
+await check('rebuildMapping reports conflicts and keeps checkpoints of unchanged bindings', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rebuild-mapping-'));
+  try {
+    const emu = createEmulator({ statePath: path.join(dir, 'emulator.json') });
+    const create = async requestBody => (await emu.drive.files.create({ requestBody })).data.id;
+    const folder = await create({ name: 'Sync', mimeType: FOLDER_MIME_TYPE, appProperties: { pluginId: PLUGIN_ID } });
+    const older = await create({ name: 'Older', mimeType: DOC_MIME_TYPE, parents: [folder], appProperties: { pluginId: PLUGIN_ID, 'tab.t.0': 'moved' } });
+    await new Promise(r => setTimeout(r, 5));
+    const shared = await create({ name: 'Shared', mimeType: DOC_MIME_TYPE, parents: [folder],
+      appProperties: { pluginId: PLUGIN_ID, joplinNoteId: 'first', 'tab.t.0': 'second', 'tab.t.1': 'moved' } });
+
+    const mappingPath = path.join(dir, 'mapping.json');
+    saveMapping({
+      notes: {
+        first: { fileId: shared, tabId: 't.0', lastKnownRevisionId: 'r-first' },
+        second: { fileId: shared, tabId: 't.0', lastKnownRevisionId: 'r-second' },
+      },
+      notebooks: {},
+    }, mappingPath);
+
+    const res = spawnSync(process.execPath, [fileURLToPath(new URL('../scripts/rebuildMapping.js', import.meta.url))], {
+      cwd: dir,
+      env: { ...process.env, GOOGLE_API_EMULATOR: '1', GOOGLE_API_EMULATOR_STATE: path.join(dir, 'emulator.json') },
+      encoding: 'utf8',
+      timeout: 60_000,
+    });
+    assert.equal(res.status, 0, res.stderr);
+    assert.match(res.stderr, new RegExp(`conflict: tab ${shared}/t.0 claimed by second and first; kept second \\(bound by its tab key\\)`));
+    assert.match(res.stderr, new RegExp(`conflict: note moved claimed by ${shared} and ${older}; kept ${shared} \\(most recently modified\\)`));
+
+    const { notes } = loadMapping(mappingPath);
+    assert.deepEqual(notes.second, { fileId: shared, tabId: 't.0', lastKnownRevisionId: 'r-second' });
+    assert.deepEqual(notes.moved, { fileId: shared, tabId: 't.1' });
+    // Drive no longer backs `first`: it stays a local-only binding, reported as such
+    assert.match(res.stdout, /local-only first/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+summarize();
@@ -0,0 +1,174 @@
+/**
+ * Integration test: retry/backoff layer
+ *
+ * Drives lib/retry.js with a fake clock and injected wait/random, so no call
+ * actually sleeps.
+ *
+ * Usage: node integration/retry.js
+ */
+import assert from 'assert/strict';
+import { apiError } from '../lib/emulator/errors.js';
+import { QuotaWindow, classifyError, retryAfterMs, withRetries, withRetry, writesPerMinute } from '../lib/retry.js';
+import { check, rejection, summarize } from './harness.js';
+
+console.log('=== Retry Test ===\n');
+
+// A clock that only moves when something waits on it
+function fakeClock(start = 1_000_000) {
+  const clock = { t: start, waits: [] };
+  clock.now = () => clock.t;
+  clock.wait = async (ms) => {
+    clock.waits.push(ms);
+    clock.t += ms;
+  };
+  return clock;
+}
+
+function withHeaders(err, headers) {
+  err.response.headers = headers;
+  return err;
+}
+
+function networkError(code) {
+  const err = new Error(`connect ${code}`);
+  err.code = code;
+  return err;
+}
+
+// Fails with each error in turn, then resolves with 'ok'
+function failing(...errors) {
+  const fn = async () => {
+    fn.calls++;
+    if (errors.length) throw errors.shift();
+    return 'ok';
+  };
+  fn.calls = 0;
+  return fn;
+}
+
+const quiet = { onRetry: () => {} };
+
+await check('classifyError: 429, rate-limit 403, 5xx and network errors', async () => {
+  assert.equal(classifyError(apiError(429, 'Too many')), 'rateLimit');
+  const rateLimited = apiError(403, 'Rate limit');
+  rateLimited.response.data.error.errors = [{ reason: 'userRateLimitExceeded' }];
+  assert.equal(classifyError(rateLimited), 'rateLimit');
+  assert.equal(classifyError(apiError(403, 'Forbidden')), 'fatal');
+  for (const status of [500, 502, 503, 504]) assert.equal(classifyError(apiError(status, 'Server')), 'transient');
+  assert.equal(classifyError({ code: '503' }), 'transient');
+  assert.equal(classifyError(networkError('ECONNRESET')), 'transient');
+  assert.equal(classifyError(networkError('ETIMEDOUT')), 'transient');
+  assert.equal(classifyError(networkError('EACCES')), 'fatal');
+  assert.equal(classifyError(apiError(400, 'Bad request')), 'fatal');
+  assert.equal(classifyError(apiError(404, 'Not found')), 'fatal');
+});
+
+await check('retryAfterMs reads seconds and HTTP dates', async () => {
+  const now = Date.parse('2026-10-19T12:00:00Z');
+  assert.equal(retryAfterMs(withHeaders(apiError(429, 'x'), { 'retry-after': '3' }), now), 3000);
+  assert.equal(retryAfterMs(withHeaders(apiError(429, 'x'), { 'retry-after': '0.5' }), now), 500);
+  assert.equal(retryAfterMs(withHeaders(apiError(429, 'x'), { 'retry-after': 'Mon, 19 Oct 2026 12:00:05 GMT' }), now), 5000);
+  assert.equal(retryAfterMs(withHeaders(apiError(429, 'x'), { 'retry-after': 'Mon, 19 Oct 2026 11:59:00 GMT' }), now), 0);
+  assert.equal(retryAfterMs(withHeaders(apiError(429, 'x'), new Map([['retry-after', '7']])), now), 7000);
+  assert.equal(retryAfterMs(withHeaders(apiError(429, 'x'), { 'retry-after': 'soon' }), now), null);
+  assert.equal(retryAfterMs(apiError(429, 'x'), now), null);
+  assert.equal(retryAfterMs(networkError('ECONNRESET'), now), null);
+});
+
+await check('writesPerMinute falls back to 60 unless given a positive integer', async () => {
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = msg => warnings.push(msg);
+  try {
+    assert.equal(writesPerMinute(undefined), 60);
+    assert.equal(writesPerMinute(''), 60);
+    assert.equal(writesPerMinute('30'), 30);
+    for (const raw of ['abc', '0', '-5', '1.5']) assert.equal(writesPerMinute(raw), 60);
+  } finally {
+    console.warn = warn;
+  }
+  assert.equal(warnings.length, 4);
+});
+
+await check('QuotaWindow waits for the oldest slot and for penalties', async () => {
+  const clock = fakeClock();
+  const quota = new QuotaWindow({ limit: 2, windowMs: 1000, now: clock.now, wait: clock.wait });
+  await quota.acquire();
+  clock.t += 100;
+  await quota.acquire();
+  assert.equal(quota.used(), 2);
+  assert.deepEqual(clock.waits, []);
+
+  // Third slot frees up when the first stamp leaves the window
+  await quota.acquire();
+  assert.deepEqual(clock.waits, [900]);
+  assert.equal(quota.used(), 2);
+
+  quota.penalize(5000);
+  quota.penalize(10);
+  clock.t += 2000;
+  await quota.acquire();
+  assert.deepEqual(clock.waits, [900, 3000]);
+});
+
+await check('withRetry backs off with jitter until a transient error clears', async () => {
+  const clock = fakeClock();
+  const fn = failing(apiError(503, 'Unavailable'), networkError('ECONNRESET'));
+  const seen = [];
+  const result = await withRetry(fn, { baseDelayMs: 100, wait: clock.wait, random: () => 0.5, onRetry: info => seen.push(info) });
+  assert.equal(result, 'ok');
+  assert.equal(fn.calls, 3);
+  assert.deepEqual(clock.waits, [50, 100]);
+  assert.deepEqual(seen.map(i => [i.kind, i.attempt, i.status ?? i.code]), [['transient', 1, 503], ['transient', 2, 'ECONNRESET']]);
+});
+
+await check('withRetry gives up after `retries` and on fatal errors', async () => {
+  const clock = fakeClock();
+  const exhausted = failing(...Array.from({ length: 4 }, () => apiError(500, 'Internal')));
+  const err = await rejection(withRetry(exhausted, { retries: 2, wait: clock.wait, random: () => 1, baseDelayMs: 10, ...quiet }));
+  assert.equal(err.code, 500);
+  assert.equal(exhausted.calls, 3);
+  assert.deepEqual(clock.waits, [10, 20]);
+
+  const fatal = failing(apiError(400, 'Bad request'));
+  assert.equal((await rejection(withRetry(fatal, { wait: clock.wait, ...quiet }))).code, 400);
+  assert.equal(fatal.calls, 1);
+});
+
+await check('Non-idempotent calls are retried only after rate limits', async () => {
+  const clock = fakeClock();
+  const transient = failing(apiError(503, 'Unavailable'));
+  const err = await rejection(withRetry(transient, { idempotent: false, wait: clock.wait, ...quiet }));
+  assert.equal(err.code, 503);
+  assert.equal(transient.calls, 1);
+  assert.deepEqual(clock.waits, []);
+
+  const limited = failing(apiError(429, 'Too many'));
+  assert.equal(await withRetry(limited, { idempotent: false, wait: clock.wait, random: () => 0, ...quiet }), 'ok');
+  assert.equal(limited.calls, 2);
+});
+
+await check('Retry-After is honoured up to maxDelayMs and blocks the quota', async () => {
+  const clock = fakeClock();
+  const quota = new QuotaWindow({ limit: 10, now: clock.now, wait: clock.wait });
+  const fn = failing(withHeaders(apiError(429, 'Too many'), { 'retry-after': '2' }), withHeaders(apiError(429, 'Too many'), { 'retry-after': '3600' }));
+  const waits = [];
+  assert.equal(await withRetry(fn, { maxDelayMs: 5000, quota, wait: async ms => waits.push(ms), random: () => 1, ...quiet }), 'ok');
+  assert.deepEqual(waits, [2000, 5000]);
+  // The penalty made the quota wait as well, for the capped delay
+  assert.deepEqual(clock.waits, [2000, 5000]);
+});
+
+await check('withRetries retries a batchUpdate only when revision-pinned', async () => {
+  const clock = fakeClock();
+  const batchUpdate = failing(apiError(503, 'Unavailable'), apiError(503, 'Unavailable'));
+  const client = { documents: { batchUpdate } };
+  const docs = withRetries(client, { quota: new QuotaWindow({ limit: 10, now: clock.now, wait: clock.wait }), wait: clock.wait, ...quiet });
+
+  assert.equal((await rejection(docs.documents.batchUpdate({ requestBody: { requests: [] } }))).code, 503);
+  assert.equal(batchUpdate.calls, 1);
+  assert.equal(await docs.documents.batchUpdate({ requestBody: { requests: [], writeControl: { requiredRevisionId: 'r1' } } }), 'ok');
+  assert.equal(batchUpdate.calls, 3);
+});
+
+summarize();
@@ -0,0 +1,84 @@
+/**
+ * Integration test: tab references (lib/tabs.js)
+ *
+ * Resolves ids, title paths and indexes against a document with nested tabs
+ * built in the emulator.
+ *
+ * Usage: node integration/tabs.js
+ */
+import assert from 'assert/strict';
+import { createEmulator } from '../lib/emulator/index.js';
+import { TabNotFoundError, listTabs, resolveTab, splitTabPath } from '../lib/tabs.js';
+import { check, summarize } from './harness.js';
+
+console.log('=== Tab Resolution Test ===\n');
+
+// Tab 1, Projects/{2026/{Q3}, Archive}, Notes, Notes, A/B (a '/' in the title)
+const emu = createEmulator();
+const { data: file } = await emu.drive.files.create({ requestBody: { name: 'Tabs', mimeType: 'application/vnd.google-apps.document' } });
+const documentId = file.id;
+const projects = emu.addTab(documentId, { title: 'Projects' });
+const year = emu.addTab(documentId, { title: '2026', parentTabId: projects });
+const q3 = emu.addTab(documentId, { title: 'Q3', parentTabId: year });
+const archive = emu.addTab(documentId, { title: 'Archive', parentTabId: projects });
+const notes = [emu.addTab(documentId, { title: 'Notes' }), emu.addTab(documentId, { title: 'Notes' })];
+const slashed = emu.addTab(documentId, { title: 'A/B' });
+await emu.docs.documents.batchUpdate({ documentId, requestBody: { requests: [{ insertText: { text: 'Quarter', location: { index: 1, tabId: q3 } } }] } });
+const { data: doc } = await emu.docs.documents.get({ documentId, includeTabsContent: true });
+
+await check('listTabs walks nested tabs depth-first', async () => {
+  assert.deepEqual(listTabs(doc).map(t => [t.index, t.depth, t.pathString]), [
+    [0, 0, 'Tab 1'],
+    [1, 0, 'Projects'],
+    [2, 1, 'Projects/2026'],
+    [3, 2, 'Projects/2026/Q3'],
+    [4, 1, 'Projects/Archive'],
+    [5, 0, 'Notes'],
+    [6, 0, 'Notes'],
+    [7, 0, 'A\\/B'],
+  ]);
+});
+
+await check('Title paths resolve nested tabs', async () => {
+  const tab = resolveTab(doc, 'Projects/2026/Q3');
+  assert.equal(tab.tabId, q3);
+  assert.deepEqual(tab.path, ['Projects', '2026', 'Q3']);
+  assert.deepEqual(tab.parents.map(p => p.tabId), [projects, year]);
+  assert.equal(tab.endIndex, 9);
+  assert.equal(resolveTab(doc, ' Projects / Archive ').tabId, archive);
+  assert.equal(resolveTab(doc, 'path:Projects/2026').tabId, year);
+});
+
+await check('An escaped / matches a title containing one', async () => {
+  assert.deepEqual(splitTabPath('A\\/B/C'), ['A/B', 'C']);
+  assert.equal(resolveTab(doc, 'A\\/B').tabId, slashed);
+  assert.equal(resolveTab(doc, resolveTab(doc, slashed).pathString).tabId, slashed);
+  assert.throws(() => resolveTab(doc, 'A/B'), { code: 'TAB_NOT_FOUND' });
+});
+
+await check('Duplicate titles are ambiguous; ids and indexes still reach them', async () => {
+  assert.throws(() => resolveTab(doc, 'Notes'), err => err instanceof TabNotFoundError && err.code === 'TAB_AMBIGUOUS'
+    && err.message.includes(`5: ${notes[0]}`) && err.message.includes(`6: ${notes[1]}`));
+  assert.equal(resolveTab(doc, notes[1]).tabId, notes[1]);
+  assert.equal(resolveTab(doc, 6).tabId, notes[1]);
+});
+
+await check('Indexes count tabs in sidebar order', async () => {
+  assert.equal(resolveTab(doc, 0).tabId, 't.0');
+  assert.equal(resolveTab(doc, '3').tabId, q3);
+  assert.equal(resolveTab(doc, 'index:4').tabId, archive);
+  // A title that looks like an index wins over the index unless forced
+  const children = doc.tabs[1].childTabs;
+  assert.equal(resolveTab(children, '2026').tabId, year);
+  assert.equal(resolveTab(children, 'index:1').tabId, q3);
+  assert.throws(() => resolveTab(children, 'index:2026'), { code: 'TAB_NOT_FOUND' });
+});
+
+await check('Unknown references throw TabNotFoundError listing the tabs', async () => {
+  for (const ref of ['t.missing', 'Projects/Q3', 8, 'index:99', 'id:Notes', '']) {
+    assert.throws(() => resolveTab(doc, ref), err => err instanceof TabNotFoundError && err.code === 'TAB_NOT_FOUND' && err.ref === ref
+      && err.message.includes('Available tabs:') && err.message.includes(`3: ${q3}  Projects/2026/Q3`));
+  }
+});
+
+summarize();
@@ -0,0 +1,59 @@
+/**
+ * Line breaks, horizontal rules and page breaks between Markdown and Docs.
+ *
+ * A hard break (a line ending in `\` or two spaces, followed by a line that
+ * starts no block of its own) joins both lines into one paragraph with a
+ * LINE_BREAK between them: the vertical tab Docs has for a soft line break.
+ * On pull each ends its line with `paragraph.lineBreak.marker`.
+ * A thematic break (`---`, `***`, `___`) is a paragraph with the pseudo style
+ * HORIZONTAL_RULE; right under a paragraph line, `---` (like `===`) is a
+ * setext heading underline instead, as in CommonMark, so on pull a rule after
+ * a paragraph is set off by a blank line. The API cannot insert Docs' own
+ * horizontal rules, so it is pushed as an empty paragraph in the
+ * `paragraph.horizontalRule.paragraphStyle` (a bottom border by default); on
+ * pull that stand-in and a real `horizontalRule` element both read back as
+ * the rule.
+ * A line holding just the `paragraph.pageBreak.token` is a PAGE_BREAK
+ * paragraph, pushed as a placeholder that insertPageBreak replaces (see
+ * buildPageBreakRequests). Page breaks, and sections starting on a new page,
+ * pull back as the token.
+ */
+
+import { IMAGE_PLACEHOLDER } from './images.js';
+
+export const LINE_BREAK = '\u000b';
+
+export const PAGE_BREAK_PLACEHOLDER = IMAGE_PLACEHOLDER;
+
+const THEMATIC_BREAK = /^ {0,3}([-*_])(?: *\1){2,} *$/;
+const SETEXT_UNDERLINE = /^ {0,3}([=-])\1* *$/;
+
+/** `---`, `***`, `___` (spaces between allowed). */
+export const isHorizontalRule = line => THEMATIC_BREAK.test(line);
+
+/** `===` or `---` (no spaces between): under a paragraph line, a setext H1 or H2 underline. */
+export function setextLevel(line) {
+	const m = line.match(SETEXT_UNDERLINE);
+	return m ? (m[1] === '=' ? 1 : 2) : 0;
+}
+
+/** A line holding just the page break token. */
+export const isPageBreak = (line, token) => line.trim() === token;
+
+/** The text of a line ending in a hard break, without it; null for other lines. */
+export function matchHardBreak(line) {
+	const backslashes = line.match(/\\*$/)[0].length;
+	if (backslashes % 2) return line.slice(0, -1);
+	return /\S {2,}$/.test(line) ? line.trimEnd() : null;
+}
+
+/**
+ * Markdown lines for text with soft line breaks: each line but the last ends
+ * in `marker`, and `escape` makes the later ones safe to start a line with.
+ * Whitespace and breaks at the end have nothing to end and are dropped.
+ */
+export function hardBreakLines(text, marker, escape) {
+	const [first, ...more] = text.replace(/\s+$/, '').split(LINE_BREAK);
+	const lines = [first, ...more.map(escape)];
+	return lines.map((line, i) => (i < lines.length - 1 ? `${line.trimEnd()}${marker}` : line));
+}
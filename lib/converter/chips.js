@@ -0,0 +1,97 @@
+/**
+ * Smart chips between Markdown and Docs.
+ *
+ * With the default `chips` section of md-mapping.json:
+ *   @[Ada Lovelace](mailto:ada@example.com)    person chip
+ *   @[Roadmap](https://docs.google.com/...)    rich link chip
+ *   @date(2026-10-19), @date(2026-10-19T16:30Z) date chip, optionally with a time (UTC)
+ * A chip is one IR run `{ text: CHIP_PLACEHOLDER, chip }` with
+ *   chip: { type: 'person', email, name? } | { type: 'richLink', uri, title? } | { type: 'date', date, time? }
+ * Like an image it is pushed as a placeholder character that the insert
+ * request replaces (see buildChipRequests). A person's name and a rich link's
+ * title are filled in by Docs: what the Markdown says is not pushed.
+ */
+
+import { IMAGE_PLACEHOLDER } from './images.js';
+
+export const CHIP_PLACEHOLDER = IMAGE_PLACEHOLDER;
+
+const DATE = /^(\d{4}-\d{2}-\d{2})(?:T(\d{2}:\d{2})(?::00)?Z)?$/;
+
+/** Person or rich link chip for `@[text](href)`, or null for other hrefs. */
+export function chipFromHref(href, text) {
+	if (/^mailto:[^@\s]+@[^@\s]+$/i.test(href)) {
+		const email = href.slice(7);
+		return { type: 'person', email, ...(text && text !== email ? { name: text } : {}) };
+	}
+	if (/^https?:\/\//i.test(href)) return { type: 'richLink', uri: href, ...(text && text !== href ? { title: text } : {}) };
+	return null;
+}
+
+/** `<keyword>(2026-10-19)` at the start of `text` (after the prefix): { chip, length }, or null. */
+export function matchDateChip(text, keyword) {
+	if (!text.startsWith(`${keyword}(`)) return null;
+	const close = text.indexOf(')', keyword.length);
+	const m = close > 0 && text.slice(keyword.length + 1, close).match(DATE);
+	if (!m) return null;
+	return { chip: { type: 'date', date: m[1], ...(m[2] ? { time: m[2] } : {}) }, length: close + 1 };
+}
+
+/**
+ * Markdown for a chip. `escapeText` escapes inline markup in a person's name
+ * or a link title; without one the email or URL stands in.
+ */
+export function chipToMarkdown(chip, { prefix, dateKeyword }, escapeText) {
+	if (chip.type === 'date') return `${prefix}${dateKeyword}(${chip.date}${chip.time ? `T${chip.time}Z` : ''})`;
+	const href = chip.type === 'person' ? `mailto:${chip.email}` : chip.uri;
+	const text = escapeText(chip.type === 'person' ? chip.name || chip.email : chip.title || chip.uri).replace(/\\?([[\]])/g, '\\$1');
+	return `${prefix}[${text}](${/[\s<>]/.test(href) ? `<${href}>` : href.replace(/[()\\]/g, '\\$&')})`;
+}
+
+/** Plain run standing in for a chip when chips have no Markdown syntax (`chips.enabled: false`). */
+export function chipAsText(chip) {
+	if (chip.type === 'person') return { text: chip.name || chip.email, link: { url: `mailto:${chip.email}` } };
+	if (chip.type === 'richLink') return { text: chip.title || chip.uri, link: { url: chip.uri } };
+	return { text: chip.time ? `${chip.date} ${chip.time}` : chip.date };
+}
+
+/** IR chip for a `person`, `richLink` or `dateElement` paragraph element, or null. */
+export function chipFromDocs(el) {
+	if (el.person) {
+		const { email, name } = el.person.personProperties || {};
+		return email ? { type: 'person', email, ...(name ? { name } : {}) } : null;
+	}
+	if (el.richLink) {
+		const { uri, title } = el.richLink.richLinkProperties || {};
+		return uri ? { type: 'richLink', uri, ...(title ? { title } : {}) } : null;
+	}
+	if (el.dateElement) {
+		const { timestamp, timeFormat } = el.dateElement.dateElementProperties || {};
+		const at = timestamp && new Date(timestamp);
+		if (!at || Number.isNaN(at.getTime())) return null;
+		const iso = at.toISOString();
+		const timed = timeFormat && timeFormat !== 'TIME_FORMAT_DISABLED';
+		return { type: 'date', date: iso.slice(0, 10), ...(timed ? { time: iso.slice(11, 16) } : {}) };
+	}
+	return null;
+}
+
+/** The chip's styling element (`person` / `richLink` / `dateElement`) of a paragraph element. */
+export const chipElement = el => el.person || el.richLink || el.dateElement;
+
+/** insertPerson / insertRichLink / insertDate for `chip` at `location`. */
+export function chipInsertRequest(chip, location, { dateFormat, locale }) {
+	if (chip.type === 'person') return { insertPerson: { location, personProperties: { email: chip.email } } };
+	if (chip.type === 'richLink') return { insertRichLink: { location, richLinkProperties: { uri: chip.uri } } };
+	return {
+		insertDate: {
+			location,
+			dateElementProperties: {
+				timestamp: `${chip.date}T${chip.time || '00:00'}:00Z`,
+				locale,
+				dateFormat,
+				timeFormat: chip.time ? 'TIME_FORMAT_HOUR_MINUTE' : 'TIME_FORMAT_DISABLED',
+			},
+		},
+	};
+}
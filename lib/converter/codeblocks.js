@@ -0,0 +1,55 @@
+/**
+ * Fenced code blocks in Docs.
+ *
+ * `code.block.render` in md-mapping.json picks how a block looks:
+ *   shaded - paragraphs with a background and a left border (the default)
+ *   table  - the lines as paragraphs of the single cell of a 1x1 table
+ *   plain  - paragraphs in the mono font, nothing else
+ * Whatever the rendering, the block is covered by a named range called
+ * `md.code:<lang>` (`md.code` without a language). It carries the fence
+ * language back on pull and tells plain code lines from other monospace text.
+ * Named ranges move with the text they cover, so edits in Docs keep them.
+ */
+
+export const CODE_RANGE_NAME = 'md.code';
+
+export const codeRangeName = lang => (lang ? `${CODE_RANGE_NAME}:${lang}` : CODE_RANGE_NAME);
+
+// Fence language of a code range name ('' for none), or null for other named ranges
+function langOf(name) {
+	if (name === CODE_RANGE_NAME) return '';
+	return name?.startsWith(`${CODE_RANGE_NAME}:`) ? name.slice(CODE_RANGE_NAME.length + 1) : null;
+}
+
+/** createNamedRange over a code block, `range` being a Docs Range. */
+export function codeRangeRequest(lang, range) {
+	return { createNamedRange: { name: codeRangeName(lang), range } };
+}
+
+/**
+ * deleteNamedRange for every code range in a body's `namedRanges`, so a push
+ * that replaces the text does not leave them behind.
+ */
+export function codeRangeDeletions(namedRanges, tabId) {
+	return Object.keys(namedRanges || {})
+		.filter(name => langOf(name) != null)
+		.map(name => ({ deleteNamedRange: { name, ...(tabId ? { tabsCriteria: { tabIds: [tabId] } } : {}) } }));
+}
+
+/**
+ * Lookup over a body's `namedRanges`: `langAt(index)` is the fence language
+ * of the code range covering `index` ('' when it has none), or null.
+ */
+export function codeRangeLookup(namedRanges) {
+	const spans = [];
+	for (const [name, { namedRanges: ranges = [] }] of Object.entries(namedRanges || {})) {
+		const lang = langOf(name);
+		if (lang == null) continue;
+		for (const { ranges: parts = [] } of ranges) {
+			for (const { startIndex = 0, endIndex = 0 } of parts) spans.push({ start: startIndex, end: endIndex, lang });
+		}
+	}
+	return {
+		langAt: index => spans.find(s => index != null && s.start <= index && index < s.end)?.lang ?? null,
+	};
+}
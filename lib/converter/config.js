@@ -0,0 +1,221 @@
+import fs from 'fs';
+import { isHorizontalRule } from './breaks.js';
+import { headingLevel } from './ir.js';
+
+const DEFAULT_PATH = new URL('../../config/md-mapping.json', import.meta.url);
+
+// Used when config/md-mapping.json is missing or unreadable
+export const DEFAULT_MD_MAPPING = {
+	title: { useTitle: true, source: 'first_line' },
+	subtitle: { mode: 'italic' },
+	headings: { h1: 'HEADING_1', h2: 'HEADING_2', h3: 'HEADING_3', default: 'NORMAL_TEXT' },
+	inline: {
+		bold: { marker: '**', textStyle: { bold: true } },
+		italic: { marker: '*', textStyle: { italic: true } },
+	},
+	code: {
+		inline: { marker: '`', background: null },
+		block: {
+			render: 'shaded',
+			highlight: {
+				enabled: true,
+				theme: {
+					keyword: { color: '#cf222e', bold: true },
+					string: { color: '#0a3069' },
+					comment: { color: '#6e7781', italic: true },
+					number: { color: '#0550ae' },
+					literal: { color: '#0550ae' },
+					type: { color: '#953800' },
+					property: { color: '#116329' },
+					variable: { color: '#8250df' },
+				},
+			},
+		},
+		monoFont: 'Roboto Mono',
+	},
+	links: { heading: '#{slug}', bookmark: '#bookmark={id}', tab: '#tab={id}' },
+	lists: { unordered: 'BULLET_DISC_CIRCLE_SQUARE', ordered: 'NUMBERED_DECIMAL_ALPHA_ROMAN', task: 'BULLET_CHECKBOX', indent: 4, bullet: '-' },
+	paragraph: {
+		blockquote: { prefix: '>', paragraphStyle: { indentStart: { magnitude: 18, unit: 'PT' } } },
+		lineBreak: { marker: '\\' },
+		horizontalRule: {
+			marker: '---',
+			paragraphStyle: {
+				borderBottom: {
+					color: { color: { rgbColor: { red: 0.8, green: 0.8, blue: 0.8 } } },
+					width: { magnitude: 1, unit: 'PT' },
+					padding: { magnitude: 1, unit: 'PT' },
+					dashStyle: 'SOLID',
+				},
+			},
+		},
+		pageBreak: { token: '<!-- pagebreak -->' },
+	},
+	chips: { enabled: true, prefix: '@', dateKeyword: 'date', dateFormat: 'DATE_FORMAT_ISO8601', locale: 'en' },
+};
+
+let cached = null;
+
+export function loadMdMapping(filePath = DEFAULT_PATH) {
+	if (filePath === DEFAULT_PATH && cached) return cached;
+	let mapping;
+	try {
+		mapping = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+	} catch {
+		mapping = DEFAULT_MD_MAPPING;
+	}
+	if (filePath === DEFAULT_PATH) cached = mapping;
+	return mapping;
+}
+
+// Named style for a Markdown heading level (`headings.h<N>`, else HEADING_<N>)
+export function headingStyleForLevel(level, mapping) {
+	return mapping?.headings?.[`h${level}`] || `HEADING_${level}`;
+}
+
+/**
+ * Inverse of `headings`: the Markdown level a named style is pulled as, or 0.
+ * The lowest level mapped to a style wins; the default paragraph style is never a heading.
+ */
+export function headingLevelForStyle(style, mapping) {
+	if (!style || style === (mapping?.headings?.default || 'NORMAL_TEXT')) return 0;
+	for (let level = 1; level <= 6; level++) {
+		if (headingStyleForLevel(level, mapping) === style) return level;
+	}
+	return headingLevel(style);
+}
+
+// Docs textStyle each inline attribute is pushed as and recognised by on pull
+export function inlineTextStyles(mapping) {
+	const styleOf = (name, fallback) => {
+		const ts = mapping?.inline?.[name]?.textStyle;
+		return ts && Object.keys(ts).length ? ts : fallback;
+	};
+	return {
+		bold: styleOf('bold', { bold: true }),
+		italic: styleOf('italic', { italic: true }),
+	};
+}
+
+// '#rrggbb' → Docs OptionalColor
+export function hexToColor(hex) {
+	const m = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+	if (!m) return null;
+	const [red, green, blue] = m.slice(1).map(h => parseInt(h, 16) / 255);
+	return { color: { rgbColor: { red, green, blue } } };
+}
+
+/**
+ * Docs textStyle for inline code: the mono font, plus a background when
+ * `code.inline.background` is a '#rrggbb' colour.
+ */
+export function inlineCodeTextStyle(mapping) {
+	const background = hexToColor(mapping?.code?.inline?.background);
+	return {
+		weightedFontFamily: { fontFamily: mapping?.code?.monoFont || 'Roboto Mono' },
+		...(background ? { backgroundColor: background } : {}),
+	};
+}
+
+const CODE_RENDERS = ['shaded', 'table', 'plain'];
+
+/**
+ * `code.block.render`: how fenced code blocks are pushed, as `shaded`
+ * paragraphs, a 1x1 `table` or `plain` monospace paragraphs (see codeblocks.js).
+ * `block: true` is the shaded default.
+ */
+export function codeBlockConfig(mapping) {
+	const render = mapping?.code?.block?.render;
+	return { render: CODE_RENDERS.includes(render) ? render : DEFAULT_MD_MAPPING.code.block.render };
+}
+
+/**
+ * `code.block.highlight`: whether fenced code is pushed highlighted by the
+ * local scanner in lib/converter/highlight.js (JavaScript, TypeScript, Python,
+ * JSON, shell and SQL), and the Docs textStyle of each token kind.
+ * Theme entries are `{ color: '#rrggbb', bold?, italic? }`; a kind left out
+ * keeps the default, one set to null is not styled. `highlight: false` turns it off.
+ */
+export function highlightConfig(mapping) {
+	const cfg = mapping?.code?.block?.highlight ?? {};
+	const theme = { ...DEFAULT_MD_MAPPING.code.block.highlight.theme, ...(cfg?.theme || {}) };
+	const styles = {};
+	for (const [token, entry] of Object.entries(theme)) {
+		if (!entry) continue;
+		const color = hexToColor(entry.color);
+		const textStyle = {
+			...(color ? { foregroundColor: color } : {}),
+			...(entry.bold ? { bold: true } : {}),
+			...(entry.italic ? { italic: true } : {}),
+		};
+		if (Object.keys(textStyle).length) styles[token] = textStyle;
+	}
+	return { enabled: cfg !== false && cfg.enabled !== false, styles };
+}
+
+/**
+ * `paragraph.blockquote`: the Markdown prefix and the paragraphStyle of one
+ * quote level. `indentStart` is multiplied by the nesting depth.
+ */
+export function blockquoteConfig(mapping) {
+	const cfg = mapping?.paragraph?.blockquote || DEFAULT_MD_MAPPING.paragraph.blockquote;
+	return {
+		prefix: cfg.prefix || '>',
+		paragraphStyle: cfg.paragraphStyle || DEFAULT_MD_MAPPING.paragraph.blockquote.paragraphStyle,
+	};
+}
+
+/**
+ * `paragraph.lineBreak`, `paragraph.horizontalRule` and `paragraph.pageBreak`
+ * (see breaks.js): how a soft line break ends its line on pull (`\` or two
+ * spaces), the marker a rule is written as and the paragraphStyle of the
+ * paragraph standing in for it, and the line that is a page break. The token
+ * should start with punctuation, so a paragraph holding it as text can be
+ * escaped.
+ */
+export function breakConfig(mapping) {
+	const defaults = DEFAULT_MD_MAPPING.paragraph;
+	const cfg = mapping?.paragraph || {};
+	const marker = cfg.horizontalRule?.marker;
+	return {
+		lineBreak: ['\\', '  '].includes(cfg.lineBreak?.marker) ? cfg.lineBreak.marker : defaults.lineBreak.marker,
+		rule: {
+			marker: marker && isHorizontalRule(marker) ? marker.trim() : defaults.horizontalRule.marker,
+			paragraphStyle: cfg.horizontalRule?.paragraphStyle || defaults.horizontalRule.paragraphStyle,
+		},
+		pageBreak: cfg.pageBreak?.token?.trim() || defaults.pageBreak.token,
+	};
+}
+
+/**
+ * `lists`: the createParagraphBullets preset for lists whose first item is
+ * unordered (`-`, `*`, `+`), ordered (`1.`, `1)`) or a task (`- [ ]`), and how pulled lists are
+ * written: `indent` spaces per nesting level and the `bullet` marker.
+ */
+export function listConfig(mapping) {
+	const cfg = { ...DEFAULT_MD_MAPPING.lists, ...(mapping?.lists || {}) };
+	return {
+		unordered: cfg.unordered,
+		ordered: cfg.ordered,
+		task: cfg.task,
+		indent: ' '.repeat(Number.isInteger(cfg.indent) && cfg.indent > 0 ? cfg.indent : DEFAULT_MD_MAPPING.lists.indent),
+		bullet: ['-', '*', '+'].includes(cfg.bullet) ? cfg.bullet : DEFAULT_MD_MAPPING.lists.bullet,
+	};
+}
+
+/**
+ * `chips`: whether smart chips have a Markdown syntax, the `prefix` that
+ * starts one (`@[name](mailto:..)`, `@[title](https://..)`), the keyword of
+ * date chips (`@date(2026-10-19)`) and the dateFormat / locale dates are
+ * inserted with. See chips.js.
+ */
+export function chipConfig(mapping) {
+	const cfg = { ...DEFAULT_MD_MAPPING.chips, ...(mapping?.chips || {}) };
+	return {
+		enabled: cfg.enabled !== false,
+		prefix: cfg.prefix || DEFAULT_MD_MAPPING.chips.prefix,
+		dateKeyword: cfg.dateKeyword || DEFAULT_MD_MAPPING.chips.dateKeyword,
+		dateFormat: cfg.dateFormat || DEFAULT_MD_MAPPING.chips.dateFormat,
+		locale: cfg.locale || DEFAULT_MD_MAPPING.chips.locale,
+	};
+}
@@ -0,0 +1,211 @@
+import { LINE_BREAK } from './breaks.js';
+import { CHIP_PLACEHOLDER, chipAsText, chipElement, chipFromDocs } from './chips.js';
+import { codeRangeLookup } from './codeblocks.js';
+import { blockquoteConfig, breakConfig, chipConfig, inlineTextStyles, loadMdMapping } from './config.js';
+import { FOOTNOTE_PLACEHOLDER, footnoteFromDocs } from './footnotes.js';
+import { IMAGE_PLACEHOLDER, imageFromDocs, imageRangeLookup } from './images.js';
+import { CODEBLOCK, HORIZONTAL_RULE, PAGE_BREAK, TABLE, mergeRuns } from './ir.js';
+import { headingSlugs, linkFromDocs } from './links.js';
+import { createListReader } from './lists.js';
+import { tableFromDocs } from './tables.js';
+
+// A run or paragraph carries a configured style when it has every field the mapping pushes for it
+function hasStyle(actual, expected) {
+	return Object.entries(expected).every(([k, v]) => {
+		const a = actual?.[k];
+		if (v && typeof v === 'object') return a != null && typeof a === 'object' && hasStyle(a, v);
+		return v === false ? !a : a === v;
+	});
+}
+
+/**
+ * Blockquote depth from the `paragraph.blockquote` signature: every configured
+ * property except the indents must match, and indentStart must be a whole
+ * multiple of the configured one. List items are never quotes.
+ */
+function quoteDepth(paragraph, quoteStyle) {
+	if (paragraph.bullet) return 0;
+	const ps = paragraph.paragraphStyle || {};
+	const { indentStart, indentFirstLine, ...rest } = quoteStyle;
+	if (!indentStart && !Object.keys(rest).length) return 0;
+	if (!hasStyle(ps, rest)) return 0;
+	if (!indentStart?.magnitude) return 1;
+	const depth = (ps.indentStart?.magnitude || 0) / indentStart.magnitude;
+	return depth >= 1 && Math.abs(depth - Math.round(depth)) < 0.01 ? Math.round(depth) : 0;
+}
+
+// `imageOf(objectId, index)` is the IR image of an inline object, `footnoteOf(footnoteId)` the IR footnote of a reference, or null
+function paragraphRuns(paragraph, styles, slugs, imageOf, footnoteOf) {
+	const runs = [];
+	for (const el of paragraph.elements || []) {
+		const footnote = el.footnoteReference && footnoteOf?.(el.footnoteReference.footnoteId);
+		if (footnote) {
+			runs.push({ text: FOOTNOTE_PLACEHOLDER, footnote });
+			continue;
+		}
+		const objectId = el.inlineObjectElement?.inlineObjectId;
+		const image = objectId && imageOf(objectId, el.startIndex);
+		if (image) {
+			const ts = el.inlineObjectElement.textStyle || {};
+			const link = linkFromDocs(ts.link, slugs);
+			runs.push({ text: IMAGE_PLACEHOLDER, image, bold: hasStyle(ts, styles.bold), italic: hasStyle(ts, styles.italic), ...(link ? { link } : {}) });
+			continue;
+		}
+		const chip = chipFromDocs(el);
+		if (chip) {
+			const ts = chipElement(el).textStyle || {};
+			const emphasis = { bold: hasStyle(ts, styles.bold), italic: hasStyle(ts, styles.italic) };
+			runs.push(styles.chips ? { text: CHIP_PLACEHOLDER, chip, ...emphasis } : { ...chipAsText(chip), ...emphasis });
+			continue;
+		}
+		if (!el.textRun) continue;
+		const ts = el.textRun.textStyle || {};
+		const text = (el.textRun.content || '').replace(/\n$/, '');
+		const link = linkFromDocs(ts.link, slugs);
+		// Whitespace in the mono font is not worth a code span
+		const code = ts.weightedFontFamily?.fontFamily === styles.monoFont && /\S/.test(text);
+		runs.push({
+			text,
+			bold: hasStyle(ts, styles.bold),
+			italic: hasStyle(ts, styles.italic),
+			...(code ? { code } : {}),
+			...(link ? { link } : {}),
+		});
+	}
+	return mergeRuns(runs).map(({ bold, italic, ...r }) => ({
+		...r,
+		...(bold ? { bold } : {}),
+		...(italic ? { italic } : {}),
+	}));
+}
+
+const BLOCK_STYLES = new Set([CODEBLOCK, TABLE, HORIZONTAL_RULE, PAGE_BREAK]);
+
+const isBlank = p => p && p.runs.length === 0 && !BLOCK_STYLES.has(p.style) && !p.list && !p.quote;
+
+// A soft line break in a code paragraph starts a new line of code
+const codeLines = paragraph => (paragraph.elements || []).map(e => e.textRun?.content || '').join('').replace(/\n$/, '').split(LINE_BREAK);
+
+/**
+ * HORIZONTAL_RULE / PAGE_BREAK for each rule and page break element of a
+ * paragraph, in order. An empty paragraph in the stand-in style a rule is
+ * pushed as (`ruleStyle`) is one rule.
+ */
+function breaksOf(paragraph, runs, ruleStyle) {
+	const breaks = (paragraph.elements || []).flatMap(el => (el.horizontalRule ? [HORIZONTAL_RULE] : el.pageBreak ? [PAGE_BREAK] : []));
+	if (breaks.length || runs.length || paragraph.bullet || !Object.keys(ruleStyle).length) return breaks;
+	return hasStyle(paragraph.paragraphStyle, ruleStyle) ? [HORIZONTAL_RULE] : [];
+}
+
+// Without a code range, shaded/bordered paragraphs in the mono font are still code (how blocks were pushed before ranges)
+function isCodeParagraph(paragraph, monoFont) {
+	const ps = paragraph.paragraphStyle || {};
+	if (!ps.shading?.backgroundColor?.color && !ps.borderLeft) return false;
+	const fonts = (paragraph.elements || [])
+		.filter(el => el.textRun && el.textRun.content !== '\n')
+		.map(el => el.textRun.textStyle?.weightedFontFamily?.fontFamily || '');
+	return fonts.every(f => f === monoFont || /mono|courier/i.test(f));
+}
+
+const isMono = (paragraph, monoFont) => (paragraph.elements || [])
+	.filter(el => el.textRun && el.textRun.content !== '\n')
+	.every(el => el.textRun.textStyle?.weightedFontFamily?.fontFamily === monoFont);
+
+// The paragraphs of a 1x1 table holding a code block: covered by a code range, or all in the mono font
+function codeTableParagraphs(table, monoFont, langAt) {
+	const rows = table.tableRows || [];
+	if (rows.length !== 1 || rows[0].tableCells?.length !== 1) return null;
+	const paragraphs = (rows[0].tableCells[0].content || []).filter(el => el.paragraph);
+	if (!paragraphs.length) return null;
+	const lang = langAt(paragraphs[0].startIndex);
+	const lines = paragraphs.flatMap(el => codeLines(el.paragraph));
+	const mono = paragraphs.every(el => isMono(el.paragraph, monoFont)) && lines.some(Boolean);
+	if (lang == null && !mono) return null;
+	return { lang: lang || '', lines };
+}
+
+/**
+ * Convert a Docs body (a Document or a tab's `documentTab`) into IR paragraphs.
+ * Named styles, inline text styles and the code font are read back through
+ * `mapping` (config/md-mapping.json), the inverse of what the push applies.
+ * Bullets resolve against `doc.lists`; blank paragraphs inside a list keep it open.
+ * Code blocks are read in any of the renderings of `code.block.render`, with
+ * the language of the code range covering them (see codeblocks.js).
+ * Tables become TABLE paragraphs (see tables.js); inline images become image
+ * runs pointing at their `contentUri`, with the alt text of Docs or of their
+ * image range and their size (see images.js), person, rich link
+ * and date elements chip runs (see chips.js) and footnote references
+ * footnote runs holding the text of `doc.footnotes`, numbered in reading
+ * order (see footnotes.js).
+ * Soft line breaks stay in the text as LINE_BREAK; horizontal rules (or
+ * their stand-in), page breaks and sections starting on a new page become
+ * HORIZONTAL_RULE and PAGE_BREAK paragraphs (see breaks.js).
+ * The segment-terminating empty paragraph, and the one a push leaves before
+ * each table, are dropped so a push/pull cycle does not grow the note.
+ */
+export function docsToIR(doc, mapping = loadMdMapping()) {
+	const ir = [];
+	const normal = mapping?.headings?.default || 'NORMAL_TEXT';
+	const monoFont = mapping?.code?.monoFont || 'Roboto Mono';
+	const styles = { ...inlineTextStyles(mapping), monoFont, chips: chipConfig(mapping).enabled };
+	const slugs = headingSlugs(doc?.body);
+	const quoteStyle = blockquoteConfig(mapping).paragraphStyle;
+	const ruleStyle = breakConfig(mapping).rule.paragraphStyle;
+	const lists = createListReader(doc?.lists);
+	const { langAt } = codeRangeLookup(doc?.namedRanges);
+	const { imageTextAt } = imageRangeLookup(doc?.namedRanges);
+	// Image ranges index the body; footnotes are segments of their own
+	const bodyImageOf = (objectId, index) => imageFromDocs(objectId, doc?.inlineObjects?.[objectId], imageTextAt(index));
+	const footnoteImageOf = objectId => imageFromDocs(objectId, doc?.inlineObjects?.[objectId]);
+	let footnoteCount = 0;
+	const footnoteOf = id => (doc?.footnotes?.[id]
+		? footnoteFromDocs(String(++footnoteCount), doc.footnotes[id], paragraph => paragraphRuns(paragraph, styles, slugs, footnoteImageOf))
+		: null);
+	const runsOf = paragraph => paragraphRuns(paragraph, styles, slugs, bodyImageOf, footnoteOf);
+	for (const el of doc?.body?.content || []) {
+		if (el.table) {
+			if (isBlank(ir[ir.length - 1])) ir.pop();
+			const code = codeTableParagraphs(el.table, monoFont, langAt);
+			if (code) ir.push(...code.lines.map(text => ({ style: CODEBLOCK, lang: code.lang, runs: text ? [{ text }] : [] })));
+			else ir.push({ style: TABLE, runs: [], table: tableFromDocs(el.table, runsOf) });
+			lists.close();
+			continue;
+		}
+		// The section break opening the body has no startIndex and breaks nothing
+		if (el.sectionBreak?.sectionStyle?.sectionType === 'NEXT_PAGE' && el.startIndex) {
+			ir.push({ style: PAGE_BREAK, runs: [] });
+			lists.close();
+			continue;
+		}
+		if (!el.paragraph) continue;
+		const lang = langAt(el.startIndex);
+		if (lang != null || isCodeParagraph(el.paragraph, monoFont)) {
+			for (const text of codeLines(el.paragraph)) ir.push({ style: CODEBLOCK, lang: lang || '', runs: text ? [{ text }] : [] });
+			lists.close();
+			continue;
+		}
+		const style = el.paragraph.paragraphStyle?.namedStyleType || normal;
+		const p = { style, runs: runsOf(el.paragraph) };
+		if (el.paragraph.bullet) {
+			p.list = lists.item(el.paragraph.bullet, el.paragraph);
+		} else if (!(p.runs.length === 0 && lists.open)) {
+			// Inside a list, indented paragraphs continue an item rather than quote
+			const continued = lists.continuation(el.paragraph);
+			if (continued) p.list = continued;
+			const quote = continued ? 0 : quoteDepth(el.paragraph, quoteStyle);
+			if (quote) p.quote = quote;
+		}
+		const breaks = breaksOf(el.paragraph, p.runs, ruleStyle);
+		if (breaks.length) {
+			// A page break ends its paragraph in Docs, so the text goes first
+			if (p.runs.length) ir.push(p);
+			ir.push(...breaks.map(breakStyle => ({ style: breakStyle, runs: [] })));
+			lists.close();
+			continue;
+		}
+		ir.push(p);
+	}
+	const last = ir[ir.length - 1];
+	if (last && last.runs.length === 0 && ![TABLE, HORIZONTAL_RULE, PAGE_BREAK].includes(last.style)) ir.pop();
+	return ir;
+}
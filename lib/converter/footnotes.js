@@ -0,0 +1,118 @@
+/**
+ * Footnotes between Markdown and Docs.
+ *
+ * A reference `[^label]` to a definition
+ *   [^label]: First paragraph of the note
+ *       Later paragraphs, indented four spaces
+ * is one IR run `{ text: FOOTNOTE_PLACEHOLDER, footnote }` with
+ *   footnote: { label, paragraphs: [[runs], ...] }
+ * Like an image it is pushed as a placeholder character, replaced by
+ * `createFootnote` (see buildFootnoteRequests); the note is written into the
+ * new footnote segment afterwards (buildFootnoteContentRequests). Docs has
+ * one footnote per reference, so a label referenced twice is pushed as two
+ * notes with the same text. On pull, footnotes are labelled 1, 2, ... in the
+ * order of their references and the definitions follow the text.
+ */
+
+import { chipAsText } from './chips.js';
+import { IMAGE_PLACEHOLDER } from './images.js';
+import { TABLE } from './ir.js';
+
+export const FOOTNOTE_PLACEHOLDER = IMAGE_PLACEHOLDER;
+
+const DEFINITION = /^ {0,3}\[\^([^\]\s]+)\]:[ \t]*(.*)$/;
+const REFERENCE = /^\[\^([^\]\s]+)\]/;
+const CONTINUATION = /^(?: {4}|\t)(.*)$/;
+
+const normalizeLabel = label => label.toLowerCase();
+
+/**
+ * Footnote definitions outside fences: { definitions: Map(normalized label →
+ * { label, lines }), lineNumbers: Set } where `lines` are the texts of the
+ * note's paragraphs and `lineNumbers` every line a definition takes up.
+ * The first definition of a label wins.
+ */
+export function collectFootnoteDefinitions(lines) {
+	const definitions = new Map();
+	const lineNumbers = new Set();
+	let inFence = false;
+	for (let n = 0; n < lines.length; n++) {
+		if (/^```/.test(lines[n])) inFence = !inFence;
+		const m = !inFence && lines[n].match(DEFINITION);
+		if (!m) continue;
+		const note = { label: m[1], lines: m[2].trim() ? [m[2].trim()] : [] };
+		lineNumbers.add(n);
+		// Indented lines continue the note, also after blank lines
+		for (let next = n + 1; next < lines.length; next++) {
+			const blanks = lines.slice(next).findIndex(line => line.trim());
+			if (blanks < 0) break;
+			const more = lines[next + blanks].match(CONTINUATION);
+			if (!more) break;
+			for (let k = next; k <= next + blanks; k++) lineNumbers.add(k);
+			note.lines.push(more[1].trim());
+			n = next = next + blanks;
+		}
+		if (!definitions.has(normalizeLabel(note.label))) definitions.set(normalizeLabel(note.label), note);
+	}
+	return { definitions, lineNumbers };
+}
+
+/** `[^label]` at the start of `text` when `footnotes` (normalized label → footnote) defines it: { footnote, length }, or null. */
+export function matchFootnoteReference(text, footnotes) {
+	const m = text.match(REFERENCE);
+	const footnote = m && footnotes?.get(normalizeLabel(m[1]));
+	return footnote ? { footnote, length: m[0].length } : null;
+}
+
+/** Every footnote of `ir` once, in the order of the first reference (table cells included). */
+export function footnotesOf(ir) {
+	const seen = new Map();
+	const visit = runs => {
+		for (const r of runs) if (r.footnote && !seen.has(r.footnote.label)) seen.set(r.footnote.label, r.footnote);
+	};
+	for (const p of ir) {
+		if (p.style === TABLE) p.table.rows.forEach(row => row.forEach(visit));
+		else visit(p.runs);
+	}
+	return [...seen.values()];
+}
+
+/**
+ * Markdown definition of a footnote; `renderRuns` renders a paragraph's
+ * runs. Later paragraphs are indented four spaces.
+ */
+export function footnoteToMarkdown(footnote, renderRuns) {
+	const [first = [], ...rest] = footnote.paragraphs.map(renderRuns);
+	return [`[^${footnote.label}]:${first.length ? ` ${first}` : ''}`, ...rest.map(text => (text ? `    ${text}` : ''))];
+}
+
+/**
+ * The runs written into a footnote segment: its paragraphs joined by '\n'.
+ * Images and chips have no place in this text and become their alt text or
+ * chip text.
+ */
+export function footnoteBodyRuns(footnote) {
+	return footnote.paragraphs.flatMap((runs, i) => [
+		...(i ? [{ text: '\n' }] : []),
+		...runs.map(({ image, chip, footnote: _, ...r }) => {
+			if (image) return { ...r, text: image.alt || '' };
+			if (chip) return { ...r, ...chipAsText(chip) };
+			return r;
+		}),
+	]).filter(r => r.text);
+}
+
+/**
+ * Paragraph runs of a Docs footnote, `runsOf` reading one paragraph. The
+ * space Docs starts every footnote with is dropped, as are trailing empty
+ * paragraphs.
+ */
+export function footnoteFromDocs(label, footnote, runsOf) {
+	const paragraphs = (footnote?.content || []).filter(el => el.paragraph).map(el => runsOf(el.paragraph));
+	const first = paragraphs[0]?.[0];
+	if (first && !first.image && !first.chip && first.text.startsWith(' ')) {
+		paragraphs[0] = first.text.length > 1 ? [{ ...first, text: first.text.slice(1) }, ...paragraphs[0].slice(1)] : paragraphs[0].slice(1);
+	}
+	while (paragraphs.length && !paragraphs[paragraphs.length - 1].length) paragraphs.pop();
+	return { label, paragraphs };
+}
@@ -0,0 +1,146 @@
+/**
+ * Offline syntax highlighting of code blocks.
+ *
+ * `highlightCode(code, lang)` splits a block into tokens of the kinds the
+ * `code.block.highlight.theme` of md-mapping.json styles:
+ *   keyword, string, comment, number, literal, type, property, variable
+ * with a small regex scanner per language (JavaScript, TypeScript, Python,
+ * JSON, shell, SQL); other languages get no tokens. It is meant to make
+ * pushed blocks easier to read, not to parse: a JavaScript regex literal,
+ * for one, is not recognised. The colours are only pushed; on pull a code
+ * block is read back as its text (see docs-to-ir.js).
+ */
+
+const NUMBER = /(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|(?:\d[\d_]*(?:\.[\d_]*)?|\.\d[\d_]*)(?:[eE][+-]?\d+)?)[njJ]?/y;
+const DOUBLE_QUOTED = /"(?:\\.|[^\\"\n])*"?/y;
+const SINGLE_QUOTED = /'(?:\\.|[^\\'\n])*'?/y;
+
+const words = list => new Set(list.split(' '));
+
+// Kind of a word from keyword / literal / type sets; `fold` compares case-insensitively
+function wordKinds({ keyword, literal = new Set(), type = new Set(), fold = false }) {
+	return (text, start, code) => {
+		if (code[start - 1] === '.') return null; // a property, as in `obj.default`
+		const w = fold ? text.toUpperCase() : text;
+		if (keyword.has(w)) return 'keyword';
+		if (literal.has(w)) return 'literal';
+		return type.has(w) ? 'type' : null;
+	};
+}
+
+const JS_KEYWORDS = 'async await break case catch class const continue debugger default delete do else export extends finally for from function get if import in instanceof let new of return set static super switch this throw try typeof var void while with yield';
+const JS_LITERALS = words('true false null undefined NaN Infinity');
+
+const jsRules = kinds => [
+	[/\/\/[^\n]*/y, 'comment'],
+	[/\/\*[\s\S]*?(?:\*\/|$)/y, 'comment'],
+	[DOUBLE_QUOTED, 'string'],
+	[SINGLE_QUOTED, 'string'],
+	[/`(?:\\[\s\S]|[^\\`])*`?/y, 'string'],
+	[/[A-Za-z_$][\w$]*/y, kinds],
+	[NUMBER, 'number'],
+];
+
+const javascript = jsRules(wordKinds({ keyword: words(JS_KEYWORDS), literal: JS_LITERALS }));
+
+const typescript = jsRules(wordKinds({
+	keyword: words(`${JS_KEYWORDS} abstract as declare enum implements infer interface is keyof module namespace override private protected public readonly satisfies type unique`),
+	literal: JS_LITERALS,
+	type: words('any bigint boolean never number object string symbol unknown'),
+}));
+
+const python = [
+	[/#[^\n]*/y, 'comment'],
+	[/(?:[rRbBuUfF]{1,2})?(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$)|"(?:\\.|[^\\"\n])*"?|'(?:\\.|[^\\'\n])*'?)/y, 'string'],
+	[/[A-Za-z_]\w*/y, wordKinds({
+		keyword: words('and as assert async await break case class continue def del elif else except finally for from global if import in is lambda match nonlocal not or pass raise return try while with yield'),
+		literal: words('True False None'),
+		type: words('bool bytes dict float frozenset int list object set str tuple'),
+	})],
+	[NUMBER, 'number'],
+];
+
+const json = [
+	[/"(?:\\.|[^\\"\n])*"(?=\s*:)/y, 'property'],
+	[DOUBLE_QUOTED, 'string'],
+	[/-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y, 'number'],
+	[/\w+/y, wordKinds({ keyword: new Set(), literal: words('true false null') })],
+];
+
+const shell = [
+	[/(?<![^\s;|&(])#[^\n]*/y, 'comment'],
+	[SINGLE_QUOTED, 'string'],
+	[DOUBLE_QUOTED, 'string'],
+	[/\$(?:\{[^}\n]*\}|[A-Za-z_]\w*|[\d@#?$!*-])/y, 'variable'],
+	// Whole words, so `--if-needed` or `in.txt` are not keywords
+	[/[\w./-]+/y, wordKinds({
+		keyword: words('alias break case continue declare do done elif else esac exit export fi for function if in local readonly return select shift source then unset until while'),
+		literal: words('true false'),
+	})],
+];
+
+const sql = [
+	[/--[^\n]*/y, 'comment'],
+	[/\/\*[\s\S]*?(?:\*\/|$)/y, 'comment'],
+	[/'(?:''|[^'])*'?/y, 'string'],
+	[/"(?:""|[^"\n])*"?/y, null], // a quoted identifier
+	[/[A-Za-z_]\w*/y, wordKinds({
+		fold: true,
+		keyword: words('ADD ALL ALTER AND AS ASC BEGIN BETWEEN BY CASE COLUMN COMMIT CONSTRAINT CREATE CROSS DEFAULT DELETE DESC DISTINCT DROP ELSE END EXISTS FOREIGN FROM FULL GROUP HAVING IF IN INDEX INNER INSERT INTO IS JOIN KEY LEFT LIKE LIMIT NOT OFFSET ON OR ORDER OUTER PRIMARY REFERENCES REPLACE RETURNING RIGHT ROLLBACK SELECT SET TABLE THEN TRANSACTION UNION UNIQUE UPDATE VALUES VIEW WHEN WHERE WITH'),
+		literal: words('NULL TRUE FALSE'),
+		type: words('BIGINT BOOLEAN CHAR DATE DECIMAL FLOAT INT INTEGER JSON JSONB NUMERIC REAL SERIAL SMALLINT TEXT TIMESTAMP UUID VARCHAR'),
+	})],
+	[NUMBER, 'number'],
+];
+
+const LANGUAGES = { javascript, typescript, python, json, shell, sql };
+
+const ALIASES = {
+	js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript', node: 'javascript',
+	ts: 'typescript', tsx: 'typescript',
+	py: 'python', python3: 'python',
+	sh: 'shell', bash: 'shell', zsh: 'shell',
+	postgresql: 'sql', mysql: 'sql', sqlite: 'sql',
+};
+
+/** The highlighted language a fence language names, or null. */
+export function highlightLanguage(lang) {
+	const name = (lang || '').toLowerCase();
+	const language = ALIASES[name] || name;
+	return LANGUAGES[language] ? language : null;
+}
+
+/**
+ * Tokens of `code` (lines joined by '\n') in fence language `lang`:
+ * [{ start, end, token }], offsets into `code`. A token never spans a line
+ * break, so each range stays within one Docs paragraph.
+ */
+export function highlightCode(code, lang) {
+	const rules = LANGUAGES[highlightLanguage(lang)];
+	if (!rules) return [];
+	const tokens = [];
+	const push = (start, end, token) => {
+		for (let s = start; s < end;) {
+			const nl = code.indexOf('\n', s);
+			const e = nl === -1 || nl > end ? end : nl;
+			if (e > s) tokens.push({ start: s, end: e, token });
+			s = e + 1;
+		}
+	};
+	let i = 0;
+	while (i < code.length) {
+		let matched = false;
+		for (const [re, kind] of rules) {
+			re.lastIndex = i;
+			const m = re.exec(code);
+			if (!m || !m[0]) continue;
+			const token = typeof kind === 'function' ? kind(m[0], i, code) : kind;
+			if (token) push(i, i + m[0].length, token);
+			i += m[0].length;
+			matched = true;
+			break;
+		}
+		if (!matched) i++;
+	}
+	return tokens;
+}
@@ -0,0 +1,221 @@
+/**
+ * Images between Markdown and Docs inline objects.
+ *
+ * An image is one IR run `{ text: IMAGE_PLACEHOLDER, image }` with
+ *   image: { src, alt, title?, width?, height?, html?, uri?, objectId?, size? }
+ * The placeholder is a single character of the pushed text, exactly where the
+ * inline object goes (see buildImageRequests), so no other offset moves.
+ * `width` / `height` keep the Markdown value (`300`, `300px`, `200pt`), `html`
+ * marks an image written as `<img>` and `uri` is where Docs fetches it from.
+ * A pulled image carries the `objectId` of its Docs inline object, its
+ * `contentUri` as `src` until it is downloaded (see lib/imageDownload.js) and
+ * the object's `size` (a Docs Size, in PT).
+ * insertInlineImage cannot set alt text, so a pushed image with an alt text
+ * or title is covered by a named range `md.image:["alt","title"]` that brings
+ * them back on pull; alt text set in Docs itself takes precedence.
+ */
+
+import { TABLE } from './ir.js';
+
+export const IMAGE_PLACEHOLDER = '\uFFFC';
+
+const HTML_IMAGE = /^<img\b[^>]*>/i;
+const ATTRIBUTE = /([a-zA-Z-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+const ATTRIBUTE_BLOCK = /^\{([^{}\n]*)\}/;
+const DIMENSION = /^(\d+(?:\.\d+)?)(px|pt)?$/i;
+
+const ENTITIES = { amp: '&', quot: '"', apos: "'", lt: '<', gt: '>', '#39': "'" };
+const decodeEntities = s => s.replace(/&(amp|quot|apos|lt|gt|#39);/g, (_, e) => ENTITIES[e]);
+const encodeAttribute = s => s.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+
+function attributes(source) {
+	const attrs = {};
+	for (const m of source.matchAll(ATTRIBUTE)) attrs[m[1].toLowerCase()] = decodeEntities(m[2] ?? m[3] ?? m[4]);
+	return attrs;
+}
+
+// Only sizes Docs can honour are kept (`50%` and `auto` are not)
+function sizeHints(attrs) {
+	return Object.fromEntries(['width', 'height'].filter(k => DIMENSION.test(attrs[k] || '')).map(k => [k, attrs[k]]));
+}
+
+/** `{width=300 height=200}` right after `![alt](src)`: { width?, height?, length }, or null without a size. */
+export function matchImageAttributes(text) {
+	const m = text.match(ATTRIBUTE_BLOCK);
+	if (!m) return null;
+	const hints = sizeHints(attributes(m[1]));
+	return Object.keys(hints).length ? { ...hints, length: m[0].length } : null;
+}
+
+/** `<img src=".." alt=".." width="..">` at the start of `text`: { image, length }, or null. */
+export function matchHtmlImage(text) {
+	const m = text.match(HTML_IMAGE);
+	if (!m) return null;
+	const attrs = attributes(m[0].slice(4));
+	if (!attrs.src) return null;
+	return { image: { src: attrs.src, alt: attrs.alt || '', ...sizeHints(attrs), html: true }, length: m[0].length };
+}
+
+/** Whether Docs can fetch the image: its uploaded `uri`, or else its `src`, is an http(s) URL. */
+export const isFetchableImage = image => /^https?:\/\//i.test(image.uri || image.src);
+
+// CSS pixels are 0.75pt
+const PT_PER_PX = 0.75;
+
+/** insertInlineImage `objectSize` from the size hints (px are CSS pixels), or null for the natural size. */
+export function objectSize(image) {
+	const size = {};
+	for (const k of ['width', 'height']) {
+		const m = (image[k] || '').match(DIMENSION);
+		if (m) size[k] = { magnitude: parseFloat(m[1]) * (m[2]?.toLowerCase() === 'pt' ? 1 : PT_PER_PX), unit: 'PT' };
+	}
+	return Object.keys(size).length ? size : null;
+}
+
+// [key, value] size hints: as written in Markdown, else the pulled Docs `size` in whole px
+function sizeHintsOf(image) {
+	const written = ['width', 'height'].filter(k => image[k]).map(k => [k, image[k]]);
+	if (written.length || !image.size) return written;
+	return ['width', 'height']
+		.filter(k => image.size[k]?.magnitude > 0)
+		.map(k => [k, String(Math.round(image.size[k].magnitude / PT_PER_PX))]);
+}
+
+/**
+ * Markdown for an image, in the syntax it was written in. `escapeText`
+ * escapes inline markup in the alt text. A pulled image gets its Docs size
+ * as `{width=.. height=..}` in px.
+ */
+export function imageToMarkdown(image, escapeText) {
+	const hints = sizeHintsOf(image);
+	if (image.html) {
+		const attrs = [['src', image.src], ['alt', image.alt], ...hints];
+		return `<img ${attrs.filter(([, v]) => v != null).map(([k, v]) => `${k}="${encodeAttribute(v)}"`).join(' ')}>`;
+	}
+	const alt = escapeText(image.alt || '').replace(/\\?([[\]])/g, '\\$1');
+	const dest = /[\s<>]/.test(image.src) ? `<${image.src}>` : image.src.replace(/[()\\]/g, '\\$&');
+	const size = hints.length ? `{${hints.map(([k, v]) => `${k}=${v}`).join(' ')}}` : '';
+	return `![${alt}](${dest}${image.title ? ` ${linkTitle(image.title)}` : ''})${size}`;
+}
+
+// `"title"`, or `'title'` / `(title)` when the title has double quotes
+function linkTitle(title) {
+	if (!title.includes('"')) return `"${title}"`;
+	if (!title.includes("'")) return `'${title}'`;
+	return `(${title.replace(/[()]/g, '\\$&')})`;
+}
+
+export const IMAGE_RANGE_NAME = 'md.image';
+
+const MAX_RANGE_NAME = 256;
+
+/** Named range name carrying an image's alt text and title, or null when it has neither. */
+export function imageRangeName(image) {
+	if (!image.alt && !image.title) return null;
+	const name = alt => `${IMAGE_RANGE_NAME}:${JSON.stringify(image.title ? [alt, image.title] : [alt])}`;
+	// Docs caps names at 256 characters: shorten the alt text rather than lose it
+	let alt = image.alt || '';
+	while (alt && name(alt).length > MAX_RANGE_NAME) alt = alt.slice(0, -1);
+	return name(alt).length <= MAX_RANGE_NAME ? name(alt) : null;
+}
+
+// { alt, title? } of an image range name, or null for other named ranges
+function textOfRange(name) {
+	if (!name?.startsWith(`${IMAGE_RANGE_NAME}:`)) return null;
+	try {
+		const [alt, title] = JSON.parse(name.slice(IMAGE_RANGE_NAME.length + 1));
+		return { alt: String(alt ?? ''), ...(title ? { title: String(title) } : {}) };
+	} catch {
+		return null;
+	}
+}
+
+/** createNamedRange over a pushed image, or null when there is nothing to carry. */
+export function imageRangeRequest(image, range) {
+	const name = imageRangeName(image);
+	return name ? { createNamedRange: { name, range } } : null;
+}
+
+/** deleteNamedRange for every image range in a body's `namedRanges` (see codeRangeDeletions). */
+export function imageRangeDeletions(namedRanges, tabId) {
+	return Object.keys(namedRanges || {})
+		.filter(name => textOfRange(name))
+		.map(name => ({ deleteNamedRange: { name, ...(tabId ? { tabsCriteria: { tabIds: [tabId] } } : {}) } }));
+}
+
+/**
+ * Lookup over a body's `namedRanges`: `imageTextAt(index)` is the { alt,
+ * title? } pushed with the image at `index`, or null.
+ */
+export function imageRangeLookup(namedRanges) {
+	const byIndex = new Map();
+	for (const [name, { namedRanges: ranges = [] }] of Object.entries(namedRanges || {})) {
+		const text = textOfRange(name);
+		if (!text) continue;
+		for (const { ranges: parts = [] } of ranges) {
+			for (const { startIndex = 0, segmentId } of parts) if (!segmentId) byIndex.set(startIndex, text);
+		}
+	}
+	return { imageTextAt: index => (index == null ? null : byIndex.get(index) || null) };
+}
+
+/**
+ * IR image for a Docs inline object: its description is the alt text and
+ * its title the Markdown title, else those of its image range (`pushed`).
+ * Null for objects that are not images.
+ */
+export function imageFromDocs(objectId, inlineObject, pushed = null) {
+	const embedded = inlineObject?.inlineObjectProperties?.embeddedObject;
+	const src = embedded?.imageProperties?.contentUri;
+	if (!src) return null;
+	const fromDocs = embedded.description || embedded.title;
+	const alt = fromDocs ? embedded.description || '' : pushed?.alt || '';
+	const title = fromDocs ? embedded.title : pushed?.title;
+	const size = Object.fromEntries(['width', 'height']
+		.filter(k => embedded.size?.[k]?.magnitude > 0)
+		.map(k => [k, { magnitude: embedded.size[k].magnitude, unit: embedded.size[k].unit || 'PT' }]));
+	return {
+		src,
+		alt,
+		...(title ? { title } : {}),
+		...(Object.keys(size).length ? { size } : {}),
+		objectId,
+	};
+}
+
+/**
+ * Map every image of `ir`, table cells included, through `fn(image)`. It
+ * resolves to the new image, or to null to put the alt text in its place.
+ * Runs `fn` for one image at a time, in document order.
+ */
+export async function mapImages(ir, fn) {
+	async function mapRuns(runs) {
+		const out = [];
+		for (const r of runs) {
+			if (!r.image) {
+				out.push(r);
+				continue;
+			}
+			const image = await fn(r.image);
+			const { image: _, ...style } = r;
+			if (image) out.push({ ...r, image });
+			else if (r.image.alt) out.push({ ...style, text: r.image.alt });
+		}
+		return out;
+	}
+	const mapped = [];
+	for (const p of ir) {
+		if (p.style === TABLE) {
+			const rows = [];
+			for (const row of p.table.rows) {
+				const cells = [];
+				for (const cell of row) cells.push(await mapRuns(cell));
+				rows.push(cells);
+			}
+			mapped.push({ ...p, table: { ...p.table, rows } });
+		} else {
+			mapped.push(p.runs.some(r => r.image) ? { ...p, runs: await mapRuns(p.runs) } : p);
+		}
+	}
+	return mapped;
+}
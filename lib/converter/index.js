@@ -0,0 +1,25 @@
+/**
+ * Markdown ↔ IR ↔ Google Docs converter.
+ *
+ * Push: markdownToIR → irToPlainTextWithRanges → insertText + buildDocsStyleUpdateRequests
+ * Pull: documents.get → docsToIR → irToMarkdown
+ */
+export { loadMdMapping, DEFAULT_MD_MAPPING } from './config.js';
+export { markdownToIR, parseInline } from './md-to-ir.js';
+export { irToMarkdown, normalizeMarkdown, runsToMarkdown } from './ir-to-md.js';
+export {
+	irToPlainTextWithRanges,
+	buildDocsStyleUpdateRequests,
+	buildHeadingLinkRequests,
+	buildImageRequests,
+	buildChipRequests,
+	buildFootnoteRequests,
+	buildFootnoteContentRequests,
+	buildPageBreakRequests,
+	buildTableRequests,
+} from './ir-to-docs.js';
+export { docsToIR } from './docs-to-ir.js';
+export { codeRangeDeletions } from './codeblocks.js';
+export { imageRangeDeletions } from './images.js';
+export { slugify, headingSlugs } from './links.js';
+export { isOrderedGlyph, listItemFromBullet, mixedLists } from './lists.js';
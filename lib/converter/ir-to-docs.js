@@ -0,0 +1,527 @@
+import { PAGE_BREAK_PLACEHOLDER } from './breaks.js';
+import { chipInsertRequest } from './chips.js';
+import { codeRangeRequest } from './codeblocks.js';
+import { blockquoteConfig, breakConfig, chipConfig, codeBlockConfig, highlightConfig, inlineCodeTextStyle, inlineTextStyles, listConfig, loadMdMapping } from './config.js';
+import { footnoteBodyRuns } from './footnotes.js';
+import { highlightCode } from './highlight.js';
+import { imageRangeRequest, isFetchableImage, objectSize } from './images.js';
+import { CODEBLOCK, HORIZONTAL_RULE, PAGE_BREAK, TABLE, runsText } from './ir.js';
+import { headingSlugs, linkToDocs } from './links.js';
+
+const CODEBLOCK_PARAGRAPH_STYLE = {
+	shading: { backgroundColor: { color: { rgbColor: { red: 0.96, green: 0.96, blue: 0.96 } } } },
+	borderLeft: {
+		width: { magnitude: 1, unit: 'PT' },
+		padding: { magnitude: 6, unit: 'PT' },
+		color: { color: { rgbColor: { red: 0.8, green: 0.8, blue: 0.8 } } },
+		dashStyle: 'SOLID',
+	},
+};
+
+// Indents scale with the nesting depth; the first line follows indentStart unless configured
+function quoteParagraphStyle(style, depth) {
+	const scale = dim => dim && { ...dim, magnitude: dim.magnitude * depth };
+	if (!style.indentStart) return { ...style };
+	return { ...style, indentStart: scale(style.indentStart), indentFirstLine: scale(style.indentFirstLine || style.indentStart) };
+}
+
+// A list's preset, from its first item: task lists are checkbox lists
+const presetOf = (list, presets) => (list.checked != null ? presets.task : list.ordered ? presets.ordered : presets.unordered);
+
+/**
+ * One createParagraphBullets per list over its first to last item. Leading
+ * tabs set each item's nesting level and Docs removes them again, so every
+ * other offset is unchanged once the list exists. Lists are built last to
+ * first: Docs continues a list directly above with the same preset, and the
+ * one above is not bulleted yet. Blank lines and continuation paragraphs
+ * inside a list lose their bullet again.
+ */
+function listRequests(paraRanges, presets, { range, location }) {
+	const spans = new Map();
+	paraRanges.forEach((r, i) => {
+		if (!r.list) return;
+		const span = spans.get(r.list.id);
+		if (span) span.last = i;
+		else spans.set(r.list.id, { id: r.list.id, first: i, last: i });
+	});
+	const requests = [];
+	for (const { id, first, last } of [...spans.values()].reverse()) {
+		const members = paraRanges.slice(first, last + 1);
+		// Continuations are nested like their item, then lose the bullet but keep its indent
+		const nested = members.filter(r => r.list?.id === id);
+		const tabs = nested.reduce((n, r) => n + r.list.level, 0);
+		for (const r of [...nested].reverse()) {
+			if (!r.list.level) continue;
+			requests.push({ insertText: { location: location(r.start), text: '\t'.repeat(r.list.level) } });
+		}
+		requests.push({
+			createParagraphBullets: {
+				range: range(members[0].start, members[members.length - 1].end + 1 + tabs),
+				bulletPreset: presetOf(paraRanges[first].list, presets),
+			},
+		});
+		for (const r of members) {
+			if (r.list?.id !== id || r.list.continued) requests.push({ deleteParagraphBullets: { range: range(r.start, r.end + 1) } });
+		}
+	}
+	return requests;
+}
+
+// The textStyle md-mapping.json configures for a run's inline attributes
+function runTextStyle(r, { inlineStyles, codeStyle, tabId }) {
+	const link = r.link && linkToDocs(r.link, tabId);
+	return {
+		...(r.bold ? inlineStyles.bold : {}),
+		...(r.italic ? inlineStyles.italic : {}),
+		...(r.code ? codeStyle : {}),
+		...(link ? { link } : {}),
+	};
+}
+
+function headingIdsBySlug(body) {
+	const idBySlug = new Map();
+	for (const [id, slug] of headingSlugs(body)) if (!idBySlug.has(slug)) idBySlug.set(slug, id);
+	return idBySlug;
+}
+
+// updateTextStyle of a highlighted token, `range(start, end)` making the Docs Range
+function highlightRequest({ start, end, token }, tokenStyles, range) {
+	const textStyle = tokenStyles[token];
+	return { updateTextStyle: { range: range(start, end), textStyle, fields: Object.keys(textStyle).join(',') } };
+}
+
+// Consecutive lines of one code block
+const sameBlock = (a, b) => a?.style === CODEBLOCK && b?.style === CODEBLOCK && (a.lang || '') === (b.lang || '');
+
+/**
+ * Flatten IR into the text inserted into Docs plus style ranges.
+ * Offsets are 0-based into `plain`; paragraph ranges exclude the newline.
+ * Tables take no text: `tables` lists each with the offset of the paragraph
+ * it is inserted before (see buildTableRequests). Images, chips, footnotes
+ * and page breaks are one placeholder character each, listed by offset in
+ * `images`, `chips`, `footnotes` and `pageBreaks` for the build*Requests
+ * that replace them. With `code.block.render: table` code blocks go into
+ * `tables` too, as one-cell tables marked with `code: { lang }`. Unless
+ * `code.block.highlight` is off, the tokens of highlighted code blocks are
+ * text ranges with a `token` kind (see highlight.js). A horizontal rule is
+ * an empty paragraph.
+ * Options: { mapping }.
+ */
+export function irToPlainTextWithRanges(ir, options = {}) {
+	const { mapping = loadMdMapping() } = options;
+	const codeTables = codeBlockConfig(mapping).render === 'table';
+	const highlight = highlightConfig(mapping).enabled;
+	let plain = '';
+	const paraRanges = []; // { start, end, style, lang?, list?, quote? }
+	const textRanges = []; // { start, end, bold?, italic?, code?, link?, token? }
+	const tables = []; // { at, table, code? }
+	const images = []; // { at, image }
+	const chips = []; // { at, chip }
+	const footnotes = []; // { at, footnote }
+	const pageBreaks = []; // { at }
+	let blockStart = 0;
+	for (const [i, p] of ir.entries()) {
+		if (p.style === TABLE) {
+			tables.push({ at: plain.length, table: p.table });
+			continue;
+		}
+		if (codeTables && p.style === CODEBLOCK) {
+			if (sameBlock(ir[i - 1], p)) tables[tables.length - 1].table.rows[0][0].push({ text: '\n' }, ...p.runs);
+			else tables.push({ at: plain.length, table: { align: [null], rows: [[[...p.runs]]] }, code: { lang: p.lang || '' } });
+			continue;
+		}
+		const start = plain.length;
+		if (p.style === CODEBLOCK && !sameBlock(ir[i - 1], p)) blockStart = start;
+		if (p.style === PAGE_BREAK) {
+			pageBreaks.push({ at: start });
+			plain += PAGE_BREAK_PLACEHOLDER;
+		}
+		for (const r of p.runs) {
+			const runStart = plain.length;
+			if (r.image) images.push({ at: runStart, image: r.image });
+			if (r.chip) chips.push({ at: runStart, chip: r.chip });
+			if (r.footnote) footnotes.push({ at: runStart, footnote: r.footnote });
+			plain += r.text;
+			if (r.bold || r.italic || r.code || r.link) {
+				textRanges.push({
+					start: runStart,
+					end: plain.length,
+					bold: !!r.bold,
+					italic: !!r.italic,
+					...(r.code ? { code: true } : {}),
+					...(r.link ? { link: r.link } : {}),
+				});
+			}
+		}
+		paraRanges.push({
+			start,
+			end: plain.length,
+			style: p.style,
+			...(p.style === CODEBLOCK ? { lang: p.lang || '' } : {}),
+			...(p.list ? { list: p.list } : {}),
+			...(p.quote ? { quote: p.quote } : {}),
+		});
+		if (highlight && p.style === CODEBLOCK && !sameBlock(p, ir[i + 1])) {
+			for (const t of highlightCode(plain.slice(blockStart), p.lang)) {
+				textRanges.push({ start: blockStart + t.start, end: blockStart + t.end, token: t.token });
+			}
+		}
+		plain += '\n';
+	}
+	return { plain, paraRanges, textRanges, tables, images, chips, footnotes, pageBreaks };
+}
+
+/**
+ * Build paragraph and text style requests for text inserted at `baseIndex`.
+ * Options: { tabId?, baseIndex = 1, mapping }.
+ */
+export function buildDocsStyleUpdateRequests(paraRanges, textRanges, options = {}) {
+	const { tabId, baseIndex = 1, mapping = loadMdMapping() } = options;
+	const range = (start, end) => ({
+		...(tabId ? { tabId } : {}),
+		startIndex: start + baseIndex,
+		endIndex: end + baseIndex,
+	});
+	const location = index => ({ ...(tabId ? { tabId } : {}), index: index + baseIndex });
+
+	// Paragraph ranges include the trailing newline so empty paragraphs are addressable
+	const shaded = codeBlockConfig(mapping).render !== 'plain';
+	const paraReqs = paraRanges.map(r => {
+		const code = r.style === CODEBLOCK && shaded;
+		const pseudo = [CODEBLOCK, HORIZONTAL_RULE, PAGE_BREAK].includes(r.style);
+		const namedStyleType = pseudo ? mapping?.headings?.default || 'NORMAL_TEXT' : r.style;
+		return {
+			updateParagraphStyle: {
+				range: range(r.start, r.end + 1),
+				paragraphStyle: code ? CODEBLOCK_PARAGRAPH_STYLE : { namedStyleType },
+				fields: code ? 'shading,borderLeft' : 'namedStyleType',
+			},
+		};
+	});
+
+	// Each code block is a named range carrying its fence language (see codeblocks.js)
+	const codeRangeReqs = [];
+	paraRanges.forEach((r, i) => {
+		if (r.style !== CODEBLOCK || sameBlock(paraRanges[i - 1], r)) return;
+		let last = i;
+		while (sameBlock(paraRanges[last], paraRanges[last + 1])) last++;
+		codeRangeReqs.push(codeRangeRequest(r.lang, range(r.start, paraRanges[last].end + 1)));
+	});
+
+	// Blockquotes: the configured paragraphStyle, indented once per nesting level
+	const quoteStyle = blockquoteConfig(mapping).paragraphStyle;
+	const quoteReqs = paraRanges
+		.filter(r => r.quote)
+		.map(r => {
+			const paragraphStyle = quoteParagraphStyle(quoteStyle, r.quote);
+			return {
+				updateParagraphStyle: {
+					range: range(r.start, r.end + 1),
+					paragraphStyle,
+					fields: Object.keys(paragraphStyle).join(','),
+				},
+			};
+		});
+
+	// Horizontal rules: the API cannot insert one, so an empty paragraph in the stand-in style takes its place
+	const ruleStyle = breakConfig(mapping).rule.paragraphStyle;
+	const ruleReqs = Object.keys(ruleStyle).length
+		? paraRanges
+			.filter(r => r.style === HORIZONTAL_RULE)
+			.map(r => ({ updateParagraphStyle: { range: range(r.start, r.end + 1), paragraphStyle: ruleStyle, fields: Object.keys(ruleStyle).join(',') } }))
+		: [];
+
+	// Inline attributes are pushed as the textStyle md-mapping.json configures for them
+	const inlineStyles = inlineTextStyles(mapping);
+	const codeStyle = inlineCodeTextStyle(mapping);
+	const textReqs = textRanges
+		.filter(r => r.end > r.start)
+		.map(r => {
+			const textStyle = runTextStyle(r, { inlineStyles, codeStyle, tabId });
+			return {
+				updateTextStyle: {
+					range: range(r.start, r.end),
+					textStyle,
+					fields: Object.keys(textStyle).join(','),
+				},
+			};
+		})
+		.filter(req => req.updateTextStyle.fields);
+
+	// Enforce monospace font for CODEBLOCK paragraphs
+	const monoFont = mapping?.code?.monoFont || 'Roboto Mono';
+	const codeMonoReqs = paraRanges
+		.filter(r => r.style === CODEBLOCK && r.end > r.start)
+		.map(r => ({
+			updateTextStyle: {
+				range: range(r.start, r.end),
+				textStyle: { weightedFontFamily: { fontFamily: monoFont } },
+				fields: 'weightedFontFamily',
+			},
+		}));
+
+	// Highlighted code: each token kind in its theme style, over the mono font
+	const { styles: tokenStyles } = highlightConfig(mapping);
+	const highlightReqs = textRanges
+		.filter(r => r.token && tokenStyles[r.token] && r.end > r.start)
+		.map(r => highlightRequest(r, tokenStyles, range));
+
+	// Checked task items are struck through, as Docs shows a ticked box (the API cannot tick it)
+	const checkedReqs = paraRanges
+		.filter(r => r.list?.checked && r.end > r.start)
+		.map(r => ({ updateTextStyle: { range: range(r.start, r.end), textStyle: { strikethrough: true }, fields: 'strikethrough' } }));
+
+	// Native lists go last: their temporary tabs would shift the ranges above
+	const listReqs = listRequests(paraRanges, listConfig(mapping), { range, location });
+
+	return [...paraReqs, ...quoteReqs, ...ruleReqs, ...textReqs, ...codeMonoReqs, ...highlightReqs, ...checkedReqs, ...codeRangeReqs, ...listReqs];
+}
+
+/**
+ * Links to heading anchors (`[text](#slug)`) can only be set once the pushed
+ * headings have ids: resolve them against the body read back after the push.
+ * Returns { requests, unresolved } where unresolved lists slugs with no heading.
+ */
+export function buildHeadingLinkRequests(textRanges, body, options = {}) {
+	const { tabId, baseIndex = 1 } = options;
+	const idBySlug = headingIdsBySlug(body);
+	const requests = [];
+	const unresolved = [];
+	for (const r of textRanges) {
+		if (!r.link?.slug || r.link.headingId || r.end <= r.start) continue;
+		const headingId = idBySlug.get(r.link.slug);
+		if (!headingId) {
+			unresolved.push(r.link.slug);
+			continue;
+		}
+		requests.push({
+			updateTextStyle: {
+				range: { ...(tabId ? { tabId } : {}), startIndex: r.start + baseIndex, endIndex: r.end + baseIndex },
+				textStyle: { link: linkToDocs({ headingId }, tabId) },
+				fields: 'link',
+			},
+		});
+	}
+	return { requests, unresolved };
+}
+
+// The inline object goes in before its placeholder, which is then deleted; its alt text goes in a named range over it
+function imageRequests(image, index, tabId) {
+	const size = objectSize(image);
+	const tab = tabId ? { tabId } : {};
+	const altRange = imageRangeRequest(image, { ...tab, startIndex: index, endIndex: index + 1 });
+	return [
+		{ insertInlineImage: { location: { ...tab, index }, uri: image.uri || image.src, ...(size ? { objectSize: size } : {}) } },
+		{ deleteContentRange: { range: { ...tab, startIndex: index + 1, endIndex: index + 2 } } },
+		...(altRange ? [altRange] : []),
+	];
+}
+
+/**
+ * Replace each image placeholder with an inline object fetched from
+ * `image.uri` (see lib/imageUpload.js), or from `src` when that is a public
+ * URL already. Every other offset stays as it was, so this batch may run
+ * before or after the rest. Images with no URL Docs can fetch are left out
+ * and returned as `unresolved` (their placeholder stays).
+ * Options: { tabId?, baseIndex = 1 }. Returns { requests, unresolved }.
+ */
+export function buildImageRequests(images, options = {}) {
+	const { tabId, baseIndex = 1 } = options;
+	const requests = [];
+	const unresolved = [];
+	for (const { at, image } of images) {
+		if (!isFetchableImage(image)) {
+			unresolved.push(image.src);
+			continue;
+		}
+		requests.push(...imageRequests(image, at + baseIndex, tabId));
+	}
+	return { requests, unresolved };
+}
+
+// Like an image, the chip goes in before its placeholder, which is then deleted
+function chipRequests(chip, index, tabId, chipCfg) {
+	return [
+		chipInsertRequest(chip, { ...(tabId ? { tabId } : {}), index }, chipCfg),
+		{ deleteContentRange: { range: { ...(tabId ? { tabId } : {}), startIndex: index + 1, endIndex: index + 2 } } },
+	];
+}
+
+/**
+ * Replace each chip placeholder with an insertPerson, insertRichLink or
+ * insertDate (dates in the configured `chips.dateFormat` and `locale`).
+ * Like buildImageRequests this leaves every other offset as it was.
+ * Options: { tabId?, baseIndex = 1, mapping }.
+ */
+export function buildChipRequests(chips, options = {}) {
+	const { tabId, baseIndex = 1, mapping = loadMdMapping() } = options;
+	const chipCfg = chipConfig(mapping);
+	return chips.flatMap(({ at, chip }) => chipRequests(chip, at + baseIndex, tabId, chipCfg));
+}
+
+/**
+ * Replace each footnote placeholder with a createFootnote, leaving every
+ * other offset as it was. The replies hold the new footnotes' ids, in the
+ * order of `footnotes`, for buildFootnoteContentRequests.
+ * Options: { tabId?, baseIndex = 1 }.
+ */
+export function buildFootnoteRequests(footnotes, options = {}) {
+	const { tabId, baseIndex = 1 } = options;
+	return footnotes.flatMap(({ at }) => {
+		const index = at + baseIndex;
+		return [
+			{ createFootnote: { location: { ...(tabId ? { tabId } : {}), index } } },
+			{ deleteContentRange: { range: { ...(tabId ? { tabId } : {}), startIndex: index + 1, endIndex: index + 2 } } },
+		];
+	});
+}
+
+/**
+ * Write each footnote's text into its new segment (`footnoteIds[i]` for
+ * `footnotes[i]`) after the space Docs starts it with, with the inline
+ * styles of the text. Links to `#slug` headings are left out.
+ * Options: { tabId?, mapping }.
+ */
+export function buildFootnoteContentRequests(footnotes, footnoteIds, options = {}) {
+	const { tabId, mapping = loadMdMapping() } = options;
+	const inlineStyles = inlineTextStyles(mapping);
+	const codeStyle = inlineCodeTextStyle(mapping);
+	const requests = [];
+	footnotes.forEach(({ footnote }, i) => {
+		const segmentId = footnoteIds[i];
+		const runs = footnoteBodyRuns(footnote);
+		const text = runsText(runs);
+		if (!segmentId || !text) return;
+		const where = { ...(tabId ? { tabId } : {}), segmentId };
+		requests.push({ insertText: { location: { ...where, index: 1 }, text } });
+		let offset = 1;
+		for (const r of runs) {
+			const start = offset;
+			offset += r.text.length;
+			const textStyle = runTextStyle(r, { inlineStyles, codeStyle, tabId });
+			const fields = Object.keys(textStyle).join(',');
+			if (fields) requests.push({ updateTextStyle: { range: { ...where, startIndex: start, endIndex: offset }, textStyle, fields } });
+		}
+	});
+	return requests;
+}
+
+/**
+ * Replace each page break placeholder with insertPageBreak. Docs puts a
+ * newline after the break, which goes with the placeholder, so the break
+ * ends up alone in the placeholder's paragraph and every other offset stays
+ * as it was, as with buildImageRequests.
+ * Options: { tabId?, baseIndex = 1 }.
+ */
+export function buildPageBreakRequests(pageBreaks, options = {}) {
+	const { tabId, baseIndex = 1 } = options;
+	return pageBreaks.flatMap(({ at }) => {
+		const index = at + baseIndex;
+		return [
+			{ insertPageBreak: { location: { ...(tabId ? { tabId } : {}), index } } },
+			{ deleteContentRange: { range: { ...(tabId ? { tabId } : {}), startIndex: index + 1, endIndex: index + 3 } } },
+		];
+	});
+}
+
+const ALIGNMENT_TO_DOCS = { center: 'CENTER', right: 'END' };
+
+/**
+ * Tables are inserted once the text, styles and heading links are in place,
+ * as their cells would shift every later offset. Each goes in at the start of
+ * the paragraph that follows it, which leaves the empty paragraph Docs keeps
+ * before a table. Tables and cells are filled last to first so that indexes
+ * follow from the empty table's layout: cell (r, c) of an R×C table inserted
+ * at I holds its paragraph at I + 4 + r(2C + 1) + 2c.
+ * Header cells are bold; `#slug` links resolve against `body` when given.
+ * Images and chips in cells are inserted like those in the text. A code
+ * block's table holds its lines in the mono font, highlighted like shaded
+ * blocks and covered by its code range.
+ * Footnotes need a batch of their own: `footnotes` lists those in cells with
+ * the document index of their placeholder once `requests` are applied (for
+ * buildFootnoteRequests with baseIndex 0).
+ * Options: { tabId?, baseIndex = 1, mapping, body? }. Returns { requests, unresolved, footnotes }.
+ */
+export function buildTableRequests(tables, options = {}) {
+	const { tabId, baseIndex = 1, mapping = loadMdMapping(), body } = options;
+	const range = (start, end) => ({ ...(tabId ? { tabId } : {}), startIndex: start, endIndex: end });
+	const inlineStyles = inlineTextStyles(mapping);
+	const codeStyle = inlineCodeTextStyle(mapping);
+	const chipCfg = chipConfig(mapping);
+	const monoFont = mapping?.code?.monoFont || 'Roboto Mono';
+	const highlight = highlightConfig(mapping);
+	const idBySlug = headingIdsBySlug(body);
+	const requests = [];
+	const unresolved = [];
+	// Everything is inserted last to first, so a footnote moves by what goes in after it
+	const footnotes = [];
+	let inserted = 0;
+
+	const cellRequests = (runs, at, { header, align }) => {
+		const text = runsText(runs);
+		if (text) requests.push({ insertText: { location: { ...(tabId ? { tabId } : {}), index: at }, text } });
+		inserted += text.length;
+		let offset = at;
+		for (const r of runs) {
+			const start = offset;
+			offset += r.text.length;
+			let link = r.link;
+			if (link?.slug && !link.headingId) {
+				const headingId = idBySlug.get(link.slug);
+				if (!headingId) unresolved.push(link.slug);
+				link = headingId ? { headingId } : null;
+			}
+			const textStyle = runTextStyle({ ...r, link, bold: r.bold || header }, { inlineStyles, codeStyle, tabId });
+			const fields = Object.keys(textStyle).join(',');
+			if (fields && r.text) requests.push({ updateTextStyle: { range: range(start, offset), textStyle, fields } });
+			if (r.image && isFetchableImage(r.image)) requests.push(...imageRequests(r.image, start, tabId));
+			if (r.chip) requests.push(...chipRequests(r.chip, start, tabId, chipCfg));
+			if (r.footnote) footnotes.push({ at: start, inserted, footnote: r.footnote });
+		}
+		if (ALIGNMENT_TO_DOCS[align]) {
+			requests.push({
+				updateParagraphStyle: {
+					range: range(at, at + text.length + 1),
+					paragraphStyle: { alignment: ALIGNMENT_TO_DOCS[align] },
+					fields: 'alignment',
+				},
+			});
+		}
+	};
+
+	const codeCellRequests = (runs, at, lang) => {
+		const text = runsText(runs);
+		inserted += text.length;
+		if (text) {
+			requests.push({ insertText: { location: { ...(tabId ? { tabId } : {}), index: at }, text } });
+			requests.push({ updateTextStyle: { range: range(at, at + text.length), textStyle: { weightedFontFamily: { fontFamily: monoFont } }, fields: 'weightedFontFamily' } });
+			if (highlight.enabled) {
+				for (const t of highlightCode(text, lang)) {
+					if (highlight.styles[t.token]) requests.push(highlightRequest(t, highlight.styles, (start, end) => range(at + start, at + end)));
+				}
+			}
+		}
+		requests.push(codeRangeRequest(lang, range(at, at + text.length + 1)));
+	};
+
+	for (const { at, table, code } of [...tables].reverse()) {
+		const rows = table.rows.length;
+		const columns = table.align.length;
+		if (!rows || !columns) continue;
+		const index = at + baseIndex;
+		requests.push({ insertTable: { rows, columns, location: { ...(tabId ? { tabId } : {}), index } } });
+		// The paragraph before the table, its start and end and each row and cell
+		inserted += 3 + rows * (1 + 2 * columns);
+		if (code) {
+			codeCellRequests(table.rows[0][0], index + 4, code.lang);
+			continue;
+		}
+		for (let r = rows - 1; r >= 0; r--) {
+			for (let c = columns - 1; c >= 0; c--) {
+				const cell = index + 4 + r * (2 * columns + 1) + 2 * c;
+				cellRequests(table.rows[r][c] || [], cell, { header: r === 0, align: table.align[c] });
+			}
+		}
+	}
+	return { requests, unresolved, footnotes: footnotes.map(f => ({ at: f.at + inserted - f.inserted, footnote: f.footnote })) };
+}
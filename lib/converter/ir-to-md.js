@@ -0,0 +1,245 @@
+import { LINE_BREAK, hardBreakLines, isHorizontalRule, isPageBreak, setextLevel } from './breaks.js';
+import { chipToMarkdown, matchDateChip } from './chips.js';
+import { blockquoteConfig, breakConfig, chipConfig, headingLevelForStyle, listConfig, loadMdMapping } from './config.js';
+import { footnoteToMarkdown, footnotesOf } from './footnotes.js';
+import { imageToMarkdown } from './images.js';
+import { CODEBLOCK, HORIZONTAL_RULE, PAGE_BREAK, TABLE, runsText } from './ir.js';
+import { linkToHref } from './links.js';
+import { createListWriter } from './lists.js';
+import { tableToMarkdown } from './tables.js';
+
+const WORD = /[\p{L}\p{N}]/u;
+// `[..](` / `[..][` and `<scheme:..>` / `<a@b.c>` that parseInline would read as links
+// (a `<` ending a run is escaped too: the next run may be a URL), `<img` tags and `[^label]`
+const LINK_OPEN = /^\[[^\]]*\][([]/;
+const FOOTNOTE_OPEN = /^\[\^[^\]\s]+\]/;
+const AUTOLINK_OPEN = /^<([a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\s<>]*|[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+)>/;
+
+// Escape characters that parseInline would otherwise read as markup, date chips included
+export function escapeInline(text, chips = chipConfig()) {
+	const dateChip = chips.enabled ? `${chips.prefix}${chips.dateKeyword}` : null;
+	let out = '';
+	for (let i = 0; i < text.length; i++) {
+		const ch = text[i];
+		if (dateChip && text.startsWith(dateChip, i) && matchDateChip(text.slice(i + chips.prefix.length), chips.dateKeyword)) {
+			out += `${dateChip}\\(`;
+			i += dateChip.length;
+		} else if (ch === '\\' && (i === text.length - 1 || /[!-/:-@[-`{-~]/.test(text[i + 1]))) out += '\\\\';
+		else if (ch === '*' || ch === '`') out += `\\${ch}`;
+		else if (ch === '[' && (LINK_OPEN.test(text.slice(i)) || FOOTNOTE_OPEN.test(text.slice(i)))) out += '\\[';
+		else if (ch === '<' && (i === text.length - 1 || AUTOLINK_OPEN.test(text.slice(i)) || /^<img\b/i.test(text.slice(i)))) out += '\\<';
+		else if (ch === '_' && !(WORD.test(text[i - 1] || '') && WORD.test(text[i + 1] || ''))) out += '\\_';
+		else out += ch;
+	}
+	return out;
+}
+
+const EMPHASIS_ATTRS = ['bold', 'italic'];
+
+const sameLink = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+function renderLink(inner, text, link, { before, after }, mapping) {
+	const href = linkToHref(link, mapping);
+	if (link.url && text === link.url) {
+		// Bare only where parseInline would find the same URL again
+		const bare = /^https?:\/\//i.test(href) && inner === text && !/[\p{L}\p{N}_\\]/u.test(before) && /^(\s|$)/.test(after);
+		return bare ? href : `<${href}>`;
+	}
+	if (link.url?.startsWith('mailto:') && text === link.url.slice(7)) return `<${text}>`;
+	const dest = /\s/.test(href) ? `<${href}>` : href.replace(/[()\\]/g, '\\$&');
+	return `[${inner}](${dest})`;
+}
+
+/**
+ * Backtick span for inline code: the fence is the shortest backtick run the
+ * code does not contain, padded with spaces where CommonMark would strip them.
+ */
+export function codeSpan(code, marker = '`') {
+	const runs = new Set((code.match(/`+/g) || []).map(r => r.length));
+	let n = 1;
+	while (runs.has(n)) n++;
+	const fence = marker.repeat(n);
+	const pad = /^`|`$/.test(code) || /^ .*[^ ].* $/s.test(code) ? ' ' : '';
+	return `${fence}${pad}${code}${pad}${fence}`;
+}
+
+// Pre-render code runs, images, chips and each run of same-link runs into pieces carrying the emphasis they share
+function inlinePieces(runs, inlineCfg, mapping) {
+	const chips = chipConfig(mapping);
+	const escape = text => escapeInline(text, chips);
+	const out = [];
+	for (let i = 0; i < runs.length;) {
+		const link = runs[i].link;
+		if (!link) {
+			const r = runs[i++];
+			if (r.image) out.push({ ...r, text: imageToMarkdown(r.image, escape), markup: true });
+			else if (r.chip) out.push({ ...r, text: chipToMarkdown(r.chip, chips, escape), markup: true });
+			else if (r.footnote) out.push({ ...r, text: `[^${r.footnote.label}]`, markup: true });
+			else out.push(r.code ? { ...r, text: codeSpan(r.text, mapping.code?.inline?.marker || '`'), markup: true } : r);
+			continue;
+		}
+		let j = i;
+		while (j < runs.length && sameLink(runs[j].link, link)) j++;
+		const group = runs.slice(i, j);
+		const shared = EMPHASIS_ATTRS.filter(a => group.every(r => r[a]));
+		const text = group.map(r => r.text).join('');
+		const inner = runsToMarkdown(group.map(({ link: _, ...r }) => ({ ...r, ...Object.fromEntries(shared.map(a => [a, false])) })), inlineCfg, mapping);
+		const [, lead, core, trail] = inner.match(/^(\s*)(.*?)(\s*)$/s);
+		const neighbours = { before: runs[i - 1]?.text.slice(-1) || '', after: runs[j]?.text || '' };
+		const rendered = core ? renderLink(core, text.trim(), link, neighbours, mapping) : '';
+		out.push({ text: lead + rendered + trail, markup: true, ...Object.fromEntries(shared.map(a => [a, true])) });
+		i = j;
+	}
+	return out;
+}
+
+/**
+ * Render runs with emphasis markers, code spans and links. Markers stay open across runs
+ * that share an attribute, and never hug whitespace (`** a**` is not emphasis).
+ * Link hrefs for intra-document targets follow `mapping.links`.
+ */
+export function runsToMarkdown(runs, inlineCfg = {}, mapping = {}) {
+	const markers = {
+		bold: inlineCfg.bold?.marker || '**',
+		italic: inlineCfg.italic?.marker || '*',
+	};
+	const chips = chipConfig(mapping);
+	const stack = [];
+	let out = '';
+	let pendingWs = '';
+	for (const r of inlinePieces(runs || [], inlineCfg, mapping)) {
+		const [, lead, core, trail] = (r.markup ? r.text : escapeInline(r.text || '', chips)).match(/^(\s*)(.*?)(\s*)$/s);
+		if (!core) {
+			pendingWs += lead;
+			continue;
+		}
+		const k = stack.findIndex(a => !r[a]);
+		const closing = k >= 0 ? stack.splice(k).reverse() : [];
+		const opening = EMPHASIS_ATTRS.filter(a => r[a] && !stack.includes(a));
+		stack.push(...opening);
+		const between = closing.length + pendingWs.length + lead.length + opening.length;
+		// `!` right before a link would make it an image
+		if (!between && r.markup && core.startsWith('[') && /(^|[^\\])!$/.test(out)) out = `${out.slice(0, -1)}\\!`;
+		// and the chip prefix right before one would make it a chip
+		if (!between && r.markup && core.startsWith('[') && chips.enabled && out.endsWith(chips.prefix)) out = `${out.slice(0, -1)}\\${out.slice(-1)}`;
+		out += closing.map(a => markers[a]).join('') + pendingWs + lead + opening.map(a => markers[a]).join('') + core;
+		pendingWs = trail;
+	}
+	return out + stack.reverse().map(a => markers[a]).join('') + pendingWs;
+}
+
+// Text that markdownToIR would read as a heading, quote, list item, rule, setext underline or page break
+// when it starts a line (backticks and `*` are always escaped)
+function escapeBlockStart(text, { quotePrefix, pageBreak }) {
+	if (/^#{1,6}(\s|$)/.test(text) || /^ {0,3}>/.test(text) || text.startsWith(quotePrefix)) return `\\${text}`;
+	if (isHorizontalRule(text) || setextLevel(text) || isPageBreak(text, pageBreak)) return text.replace(/^ */, lead => `${lead}\\`);
+	return text
+		.replace(/^([ \t]*)([-+])(?=[ \t]|$)/, '$1\\$2')
+		.replace(/^([ \t]*\d{1,9})([.)])(?=[ \t]|$)/, '$1\\$2');
+}
+
+// Headings and footnote definitions hold no line breaks: a soft break in one becomes a space
+const oneLine = text => text.replaceAll(LINE_BREAK, ' ');
+
+// The lines of a paragraph or list continuation, its soft breaks ending all but the last
+function textLines(runs, mapping, lineStarts) {
+	const escape = text => escapeBlockStart(text, lineStarts);
+	const [first, ...more] = hardBreakLines(runsToMarkdown(runs, mapping.inline, mapping), breakConfig(mapping).lineBreak, escape);
+	return [escape(first), ...more];
+}
+
+function paragraphToMarkdown(p, mapping, lineStarts) {
+	if (p.style === 'TITLE') return [`# ${oneLine(runsToMarkdown(p.runs, mapping.inline, mapping))}`];
+	if (p.style === 'SUBTITLE' && mapping.subtitle?.mode === 'italic') {
+		const marker = mapping.inline?.italic?.marker || '*';
+		const inner = oneLine(runsToMarkdown(p.runs.map(r => ({ ...r, italic: false })), mapping.inline, mapping));
+		return [inner.trim() ? `${marker}${inner.trim()}${marker}` : inner];
+	}
+	const level = headingLevelForStyle(p.style, mapping);
+	if (level) return [`${'#'.repeat(level)} ${oneLine(runsToMarkdown(p.runs, mapping.inline, mapping))}`];
+	return textLines(p.runs, mapping, lineStarts);
+}
+
+// `> > text` for depth 2; an empty quoted paragraph is just the prefixes
+function quoted(text, depth, prefix) {
+	const lead = Array(depth).fill(prefix).join(' ');
+	return text ? `${lead} ${text}` : lead;
+}
+
+/**
+ * Render IR paragraphs back to Markdown. Consecutive CODEBLOCK paragraphs
+ * of one language are wrapped in a single fence; list items are indented `lists.indent`
+ * spaces per level, continuation paragraphs to their item's text;
+ * quoted paragraphs get one `paragraph.blockquote.prefix` per nesting level.
+ * Line breaks end their line with `paragraph.lineBreak.marker`; rules and
+ * page breaks are the configured marker and token lines (see breaks.js).
+ * Tables are GFM pipe tables with a blank line on either side. Footnote
+ * definitions follow the text, in the order of their first reference.
+ */
+export function irToMarkdown(ir, mapping = loadMdMapping()) {
+	const lines = [];
+	const lists = createListWriter(listConfig(mapping));
+	const quotePrefix = blockquoteConfig(mapping).prefix;
+	const breaks = breakConfig(mapping);
+	const lineStarts = { quotePrefix, pageBreak: breaks.pageBreak };
+	const block = q => [CODEBLOCK, TABLE, HORIZONTAL_RULE, PAGE_BREAK].includes(q.style);
+	ir.forEach((p, i) => {
+		const blank = q => !block(q) && !q.list && !q.quote && q.runs.length === 0;
+		if (!p.list) lists.other(blank(p));
+		if (p.style === HORIZONTAL_RULE || p.style === PAGE_BREAK) {
+			const marker = p.style === HORIZONTAL_RULE ? breaks.rule.marker : breaks.pageBreak;
+			// Right under a paragraph line, `---` would underline it as a heading
+			const prev = ir[i - 1];
+			if (setextLevel(marker) && prev && !block(prev) && !prev.list && !prev.quote && prev.runs.length) lines.push('');
+			lines.push(marker);
+			return;
+		}
+		if (p.style === TABLE) {
+			if (lines.length && lines[lines.length - 1] !== '') lines.push('');
+			lines.push(...tableToMarkdown(p.table, runs => runsToMarkdown(runs, mapping.inline, mapping)));
+			if (ir[i + 1] && !blank(ir[i + 1])) lines.push('');
+			return;
+		}
+		if (p.style === CODEBLOCK) {
+			const sameBlock = q => q?.style === CODEBLOCK && (q.lang || '') === (p.lang || '');
+			if (!sameBlock(ir[i - 1])) lines.push('```' + (p.lang || ''));
+			lines.push(runsText(p.runs));
+			if (!sameBlock(ir[i + 1])) lines.push('```');
+			return;
+		}
+		if (p.list?.continued) {
+			lines.push(...textLines(p.runs, mapping, lineStarts).map(text => lists.continuation(p.list, text)));
+			return;
+		}
+		if (p.list) {
+			const [first, ...more] = hardBreakLines(runsToMarkdown(p.runs, mapping.inline, mapping), breaks.lineBreak, text => escapeBlockStart(text, lineStarts));
+			lines.push(lists.item(p.list, first), ...more.map(text => lists.continuation(p.list, text)));
+			return;
+		}
+		const text = paragraphToMarkdown(p, mapping, lineStarts);
+		lines.push(...(p.quote ? text.map(line => quoted(line, p.quote, quotePrefix)) : text));
+	});
+	const footnotes = footnotesOf(ir);
+	if (footnotes.length && lines.length && lines[lines.length - 1] !== '') lines.push('');
+	for (const footnote of footnotes) lines.push(...footnoteToMarkdown(footnote, runs => oneLine(runsToMarkdown(runs, mapping.inline, mapping))));
+	return lines.join('\n');
+}
+
+/**
+ * Canonicalise Markdown for comparisons: line endings, trailing whitespace,
+ * blank-line runs, emphasis and list markers.
+ */
+export function normalizeMarkdown(markdown) {
+	return markdown
+		.replace(/\r\n?/g, '\n')
+		.split('\n')
+		.map(line => line
+			.replace(/\s+$/, '')
+			.replace(/(^|[^\w\\])__(?=\S)(.+?\S)__(?!\w)/g, '$1**$2**')
+			.replace(/(^|[^\w\\])_(?=\S)(.+?\S)_(?!\w)/g, '$1*$2*')
+			.replace(/^(\s*)[*+](\s)/, '$1-$2')
+			.replace(/^(\s*)\d+\.(\s)/, '$11.$2'))
+		.join('\n')
+		.replace(/\n{3,}/g, '\n\n')
+		.trim();
+}
@@ -0,0 +1,55 @@
+/**
+ * Intermediate representation shared by the Markdown and Docs converters.
+ *
+ * The IR is an array of paragraphs, one per Markdown line / Docs paragraph:
+ *   { style, runs: [{ text, bold?, italic?, code?, link?, image?, chip?, footnote? }], lang?, list?, quote? }
+ * `style` is a Docs namedStyleType (TITLE, SUBTITLE, HEADING_1..6, NORMAL_TEXT)
+ * or the pseudo style CODEBLOCK for lines of a fenced code block.
+ * A '\u000b' in a run's text is a line break within the paragraph, and the
+ * pseudo styles HORIZONTAL_RULE and PAGE_BREAK mark paragraphs without runs
+ * standing for a rule or a page break (see breaks.js).
+ * `list` marks a list item: { id, level, ordered }; id is the Docs listId on
+ * pull and a `md.list.N` placeholder grouping the items of one list on push.
+ * `quote` is the blockquote nesting depth (1 for `> text`).
+ * A table is one paragraph with the pseudo style TABLE, no runs and
+ *   table: { align: ['left' | 'center' | 'right' | null, ...], rows: [[cellRuns, ...], ...] }
+ * where rows[0] is the header row and a '\n' in a cell's runs is a line break.
+ * An image is a one-character run carrying `image` (see images.js), a smart
+ * chip one carrying `chip` (see chips.js) and a footnote reference one
+ * carrying `footnote` (see footnotes.js).
+ */
+
+export const CODEBLOCK = 'CODEBLOCK';
+export const TABLE = 'TABLE';
+export const HORIZONTAL_RULE = 'HORIZONTAL_RULE';
+export const PAGE_BREAK = 'PAGE_BREAK';
+
+export function headingLevel(style) {
+	const m = /^HEADING_([1-6])$/.exec(style || '');
+	return m ? parseInt(m[1], 10) : 0;
+}
+
+export function runsText(runs) {
+	return (runs || []).map(r => r.text).join('');
+}
+
+function sameStyle(a, b) {
+	const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+	keys.delete('text');
+	for (const k of keys) {
+		if (JSON.stringify(a[k] ?? null) !== JSON.stringify(b[k] ?? null)) return false;
+	}
+	return true;
+}
+
+// Drop empty runs and join neighbours that carry identical styling (images, chips and footnotes stay one run each)
+export function mergeRuns(runs) {
+	const out = [];
+	for (const r of runs) {
+		if (!r.text) continue;
+		const prev = out[out.length - 1];
+		if (prev && !r.image && !r.chip && !r.footnote && sameStyle(prev, r)) prev.text += r.text;
+		else out.push({ ...r });
+	}
+	return out;
+}
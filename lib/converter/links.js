@@ -0,0 +1,105 @@
+/**
+ * Hyperlinks between Markdown hrefs and Docs `textStyle.link`.
+ *
+ * IR runs carry `link` as one of:
+ *   { url }                  external link
+ *   { headingId, slug? }     heading in this document (slug = GitHub-style anchor of its text)
+ *   { slug }                 heading anchor from Markdown, resolved to a headingId after the push
+ *   { bookmarkId }           bookmark in this document
+ *   { tabId }                another tab of this document
+ * How intra-document links are written comes from the `links` section of
+ * md-mapping.json: templates with a `{slug}` or `{id}` placeholder.
+ */
+
+export const DEFAULT_LINK_TEMPLATES = {
+	heading: '#{slug}',
+	bookmark: '#bookmark={id}',
+	tab: '#tab={id}',
+};
+
+// Headings whose anchor is not known (e.g. in another tab) keep their id
+const HEADING_ID_FALLBACK = '#heading={id}';
+
+function templates(mapping) {
+	return { ...DEFAULT_LINK_TEMPLATES, ...(mapping?.links || {}) };
+}
+
+function fill(template, values) {
+	return template.replace(/\{(slug|id)\}/g, (_, k) => values[k] ?? '');
+}
+
+function templateRegex(template) {
+	const parts = template.split(/(\{slug\}|\{id\})/);
+	const source = parts.map(p => (p === '{slug}' || p === '{id}') ? '(.+)' : p.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('');
+	return new RegExp(`^${source}$`);
+}
+
+/** GitHub-style anchor: lowercase, punctuation dropped, spaces to hyphens. */
+export function slugify(text) {
+	return text.trim().toLowerCase().replace(/[^\p{L}\p{N}\s_-]/gu, '').replace(/\s/g, '-');
+}
+
+/**
+ * headingId → slug for every heading paragraph of a Docs body, in document
+ * order; repeated anchors get `-1`, `-2`… like GitHub.
+ */
+export function headingSlugs(body) {
+	const slugs = new Map();
+	const seen = new Map();
+	for (const el of body?.content || []) {
+		const id = el.paragraph?.paragraphStyle?.headingId;
+		if (!id) continue;
+		const text = (el.paragraph.elements || []).map(e => e.textRun?.content || '').join('').replace(/\n$/, '');
+		const base = slugify(text);
+		const n = seen.get(base) || 0;
+		seen.set(base, n + 1);
+		slugs.set(id, n ? `${base}-${n}` : base);
+	}
+	return slugs;
+}
+
+/** Normalise a Docs `textStyle.link` (legacy and tab-aware forms) into an IR link. */
+export function linkFromDocs(link, slugs = new Map()) {
+	if (!link) return null;
+	if (link.url) return { url: link.url };
+	const headingId = link.headingId || link.heading?.id;
+	if (headingId) return slugs.has(headingId) ? { headingId, slug: slugs.get(headingId) } : { headingId };
+	const bookmarkId = link.bookmarkId || link.bookmark?.id;
+	if (bookmarkId) return { bookmarkId };
+	if (link.tabId) return { tabId: link.tabId };
+	return null;
+}
+
+/** Markdown href for an IR link. */
+export function linkToHref(link, mapping) {
+	const t = templates(mapping);
+	if (link.url) return link.url;
+	if (link.slug) return fill(t.heading, { slug: link.slug, id: link.headingId });
+	if (link.headingId) return fill(HEADING_ID_FALLBACK, { id: link.headingId });
+	if (link.bookmarkId) return fill(t.bookmark, { id: link.bookmarkId });
+	if (link.tabId) return fill(t.tab, { id: link.tabId });
+	return '';
+}
+
+/** IR link for a Markdown href: intra-document templates first, anything else is a URL. */
+export function linkFromHref(href, mapping) {
+	const t = templates(mapping);
+	let m = href.match(templateRegex(HEADING_ID_FALLBACK));
+	if (m) return { headingId: m[1] };
+	m = href.match(templateRegex(t.bookmark));
+	if (m) return { bookmarkId: m[1] };
+	m = href.match(templateRegex(t.tab));
+	if (m) return { tabId: m[1] };
+	m = href.match(templateRegex(t.heading));
+	if (m) return t.heading.includes('{slug}') ? { slug: m[1] } : { headingId: m[1] };
+	return { url: href };
+}
+
+/** Docs `textStyle.link` for an IR link, or null while a heading slug is unresolved. */
+export function linkToDocs(link, tabId) {
+	if (link.url) return { url: link.url };
+	if (link.headingId) return tabId ? { heading: { id: link.headingId, tabId } } : { headingId: link.headingId };
+	if (link.bookmarkId) return tabId ? { bookmark: { id: link.bookmarkId, tabId } } : { bookmarkId: link.bookmarkId };
+	if (link.tabId) return { tabId: link.tabId };
+	return null;
+}
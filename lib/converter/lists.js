@@ -0,0 +1,242 @@
+/**
+ * Lists between Markdown items and Docs bullets.
+ *
+ * IR list items carry `list: { id, level, ordered, start? }`, where `start`
+ * is the first number of an ordered level when it is not 1. A later paragraph
+ * of the same item carries `list: { id, level, continued: true }`. Items of a
+ * GFM task list (`- [ ] todo`, `- [x] done`) also carry `checked`.
+ * In Docs every bulleted paragraph names its list (`bullet.listId`) and level
+ * (`bullet.nestingLevel`); glyphs, start numbers and indents are looked up in
+ * `document.lists[listId].listProperties.nestingLevels[level]`. Task lists
+ * are checkbox lists; the API can neither set nor read whether a box is
+ * ticked, so a checked item is one whose text is struck through, as Docs
+ * renders it.
+ */
+
+import { isHorizontalRule } from './breaks.js';
+
+export const ORDERED_GLYPHS = new Set(['DECIMAL', 'ZERO_DECIMAL', 'ALPHA', 'UPPER_ALPHA', 'ROMAN', 'UPPER_ROMAN']);
+
+/** Numbering glyph types are ordered; glyph symbols (and NONE) are not. */
+export function isOrderedGlyph(glyphType) {
+	return ORDERED_GLYPHS.has(glyphType);
+}
+
+const CHECKBOX_GLYPHS = new Set(['☐', '☑', '☒']);
+
+// ---------------------------------------------------------------------------
+// Markdown → IR
+// ---------------------------------------------------------------------------
+
+const LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])( +|$)(.*)$/;
+const TASK_MARKER = /^\[([ xX])\](?: +|$)/;
+
+// Leading tabs count as 4 columns
+function expandIndent(line) {
+	return line.replace(/^[ \t]+/, ws => ws.replace(/\t/g, '    '));
+}
+
+/** `- text` / `1. text`: { indent, marker, contentCol, text } or null. */
+export function matchListItem(line) {
+	const expanded = expandIndent(line);
+	if (isHorizontalRule(expanded)) return null;
+	const m = expanded.match(LIST_ITEM);
+	if (!m) return null;
+	const [, lead, marker, spaces, text] = m;
+	const gap = spaces.length >= 1 && spaces.length <= 4 ? spaces.length : 1;
+	return { indent: lead.length, marker, contentCol: lead.length + marker.length + gap, text };
+}
+
+/** `[ ] text` / `[x] text` after a bullet marker: { checked, text } or null. */
+export function matchTaskMarker({ marker, text }) {
+	const m = /^\d/.test(marker) ? null : text.match(TASK_MARKER);
+	return m ? { checked: m[1] !== ' ', text: text.slice(m[0].length) } : null;
+}
+
+/**
+ * Groups Markdown list items into Docs lists. An item nests under every open
+ * item whose content column it reaches. Only top-level items start a new
+ * list: after anything but an item, a continuation or a blank line, or when
+ * the marker type changes (`-` → `*`, `1.` → `1)`), as CommonMark does, or
+ * between task and other items. Every bullet item of a task list is a task
+ * (`checked` is the item's task state, if it has one); a task marker
+ * elsewhere is not, and should stay in the item's text.
+ * A line indented to an open item's content column continues that item.
+ */
+export function createListTracker() {
+	let open = [];
+	let root = null;
+	let count = 0;
+	return {
+		item({ indent, marker, contentCol, checked }) {
+			const level = open.filter(col => col <= indent).length;
+			const ordered = /^\d/.test(marker);
+			const kind = `${ordered ? marker.slice(-1) : marker}${checked != null ? '[]' : ''}`;
+			let opens = level >= open.length;
+			if (level === 0 && root?.kind !== kind) {
+				root = { id: `md.list.${++count}`, kind, task: checked != null };
+				opens = true;
+			}
+			open = [...open.slice(0, level), contentCol];
+			const start = ordered && opens ? parseInt(marker, 10) : 1;
+			const task = root.task && !ordered ? { checked: !!checked } : {};
+			return { id: root.id, level, ordered, ...(start !== 1 ? { start } : {}), ...task };
+		},
+		// { list, text } when `line` continues an open item, else null
+		continuation(line) {
+			if (!root) return null;
+			const expanded = expandIndent(line);
+			const indent = expanded.length - expanded.trimStart().length;
+			const depth = open.filter(col => col <= indent).length;
+			if (!depth) return null;
+			open = open.slice(0, depth);
+			return { list: { id: root.id, level: depth - 1, continued: true }, text: expanded.trimStart() };
+		},
+		reset() {
+			open = [];
+			root = null;
+		},
+	};
+}
+
+// ---------------------------------------------------------------------------
+// IR → Docs
+// ---------------------------------------------------------------------------
+
+/**
+ * Lists with both numbered and bulleted items (`1. a` then `    - b`). They
+ * are pushed with one preset, chosen by their first item, so the other kind
+ * changes its markers; returns the first item of each such list.
+ */
+export function mixedLists(ir) {
+	const lists = new Map();
+	for (const p of ir) {
+		if (!p.list || p.list.continued) continue;
+		const list = lists.get(p.list.id) || { first: p, kinds: new Set() };
+		list.kinds.add(!!p.list.ordered);
+		lists.set(p.list.id, list);
+	}
+	return [...lists.values()].filter(({ kinds }) => kinds.size > 1).map(({ first }) => first);
+}
+
+// ---------------------------------------------------------------------------
+// Docs → IR
+// ---------------------------------------------------------------------------
+
+function nestingLevelOf(lists, listId, level) {
+	return lists?.[listId]?.listProperties?.nestingLevels?.[level];
+}
+
+// Whether every visible text run of a paragraph is struck through
+function isStruckThrough(paragraph) {
+	const runs = (paragraph?.elements || []).filter(el => /\S/.test(el.textRun?.content || ''));
+	return runs.length > 0 && runs.every(el => el.textRun.textStyle?.strikethrough);
+}
+
+/**
+ * IR list item for a paragraph's `bullet`, resolved against `document.lists`.
+ * An item of a checkbox list is checked when its `paragraph` is struck through.
+ */
+export function listItemFromBullet(bullet, lists, paragraph) {
+	const level = bullet.nestingLevel || 0;
+	const def = nestingLevelOf(lists, bullet.listId, level);
+	const ordered = isOrderedGlyph(def?.glyphType);
+	const start = ordered && def.startNumber > 1 ? def.startNumber : null;
+	const task = CHECKBOX_GLYPHS.has(def?.glyphSymbol) ? { checked: isStruckThrough(paragraph) } : {};
+	return { id: bullet.listId, level, ordered, ...(start ? { start } : {}), ...task };
+}
+
+/**
+ * Follows the list last seen while reading a body. Docs has no multi-paragraph
+ * items: a later paragraph of an item is an unbulleted paragraph indented to
+ * the text of an open level (what removing a bullet leaves behind).
+ */
+export function createListReader(lists) {
+	let current = null; // { id, level } of the last item
+	return {
+		item(bullet, paragraph) {
+			const item = listItemFromBullet(bullet, lists, paragraph);
+			current = { id: item.id, level: item.level };
+			return item;
+		},
+		// Whether a list is still open (blank paragraphs do not close it)
+		get open() {
+			return !!current;
+		},
+		// IR `list` when an unbulleted paragraph continues an open item, else null (closing the list)
+		continuation(paragraph) {
+			const indent = paragraph.paragraphStyle?.indentStart;
+			for (let level = current?.level ?? -1; level >= 0 && indent; level--) {
+				const def = nestingLevelOf(lists, current.id, level)?.indentStart;
+				if (def && def.unit === indent.unit && Math.abs(def.magnitude - indent.magnitude) < 0.01) {
+					current = { id: current.id, level };
+					return { id: current.id, level, continued: true };
+				}
+			}
+			current = null;
+			return null;
+		},
+		close() {
+			current = null;
+		},
+	};
+}
+
+// ---------------------------------------------------------------------------
+// IR → Markdown
+// ---------------------------------------------------------------------------
+
+const ALTERNATE_BULLET = { '-': '*', '*': '-', '+': '-' };
+
+/**
+ * Markers and indentation for rendering list paragraphs. Ordered items are
+ * numbered per list and level from the level's start number, and a shallower
+ * item restarts the deeper levels. A list directly after another of the same
+ * kind switches to the alternate marker (`*` for `-`, `)` for `.`) so that it
+ * is read back as a separate list. Task items get `[ ]` / `[x]` after the
+ * marker; other bullet items escape text that would read as one.
+ */
+export function createListWriter({ indent, bullet }) {
+	const counters = new Map();
+	const markers = new Map(); // list id → { alternate }
+	const contentCols = new Map(); // `${id}\0${level}` → content column of the last item
+	let previous = null; // { id, ordered, task } of the last list line, null after other content
+
+	function markerFor(list) {
+		if (!markers.has(list.id)) {
+			const task = list.checked != null;
+			const adjacent = previous && previous.id !== list.id && previous.ordered === list.ordered && previous.task === task;
+			markers.set(list.id, { alternate: adjacent ? !markers.get(previous.id).alternate : false });
+		}
+		for (const key of counters.keys()) {
+			const [id, level] = key.split('\0');
+			if (id === list.id && Number(level) > list.level) counters.delete(key);
+		}
+		const { alternate } = markers.get(list.id);
+		if (!list.ordered) return alternate ? ALTERNATE_BULLET[bullet] : bullet;
+		const key = `${list.id}\0${list.level}`;
+		counters.set(key, counters.has(key) ? counters.get(key) + 1 : list.start || 1);
+		return `${counters.get(key)}${alternate ? ')' : '.'}`;
+	}
+
+	return {
+		// The first line of an item
+		item(list, text) {
+			const lead = indent.repeat(list.level);
+			const marker = markerFor(list);
+			contentCols.set(`${list.id}\0${list.level}`, lead.length + marker.length + 1);
+			if (!previous || previous.id !== list.id) previous = { id: list.id, ordered: list.ordered, task: list.checked != null };
+			if (list.checked != null) return `${lead}${marker} [${list.checked ? 'x' : ' '}]${text ? ` ${text}` : ''}`;
+			return `${lead}${marker} ${list.ordered ? text : text.replace(TASK_MARKER, m => `\\${m}`)}`;
+		},
+		// A later paragraph of an item, aligned with the item's text
+		continuation(list, text) {
+			const col = contentCols.get(`${list.id}\0${list.level}`) ?? indent.length * (list.level + 1);
+			return text ? `${' '.repeat(col)}${text}` : '';
+		},
+		// Anything but a blank line separates lists
+		other(blank) {
+			if (!blank) previous = null;
+		},
+	};
+}
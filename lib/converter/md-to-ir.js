@@ -0,0 +1,458 @@
+import { LINE_BREAK, isHorizontalRule, isPageBreak, matchHardBreak, setextLevel } from './breaks.js';
+import { CHIP_PLACEHOLDER, chipFromHref, matchDateChip } from './chips.js';
+import { blockquoteConfig, breakConfig, chipConfig, headingStyleForLevel, loadMdMapping } from './config.js';
+import { FOOTNOTE_PLACEHOLDER, collectFootnoteDefinitions, matchFootnoteReference } from './footnotes.js';
+import { IMAGE_PLACEHOLDER, matchHtmlImage, matchImageAttributes } from './images.js';
+import { CODEBLOCK, HORIZONTAL_RULE, PAGE_BREAK, TABLE, mergeRuns, runsText } from './ir.js';
+import { linkFromHref } from './links.js';
+import { createListTracker, matchListItem, matchTaskMarker } from './lists.js';
+import { cellLines, matchTable } from './tables.js';
+
+const ESCAPABLE = /[!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~]/;
+const WORD = /[\p{L}\p{N}]/u;
+
+const EMPHASIS = {
+	1: { italic: true },
+	2: { bold: true },
+	3: { bold: true, italic: true },
+};
+
+function delimiterRun(text, i) {
+	const ch = text[i];
+	let n = 0;
+	while (text[i + n] === ch) n++;
+	return n;
+}
+
+// Code span opening with the backtick run at `i`: { code, end } or null (CommonMark: the
+// closing run has the same length; one space is stripped from each side when both are present)
+function matchCodeSpan(text, i) {
+	const n = delimiterRun(text, i);
+	let j = i + n;
+	while (j < text.length) {
+		if (text[j] !== '`') { j++; continue; }
+		const r = delimiterRun(text, j);
+		if (r === n) {
+			let code = text.slice(i + n, j);
+			if (/^ .*[^ ].* $/s.test(code)) code = code.slice(1, -1);
+			return { code, end: j + r };
+		}
+		j += r;
+	}
+	return null;
+}
+
+// Past a code span starting at `j`, else past its unmatched backtick run; code spans hide delimiters
+function skipCode(text, j) {
+	return matchCodeSpan(text, j)?.end ?? j + delimiterRun(text, j);
+}
+
+function canOpen(text, i, n) {
+	const next = text[i + n];
+	if (!next || /\s/.test(next)) return false;
+	return !(text[i] === '_' && i > 0 && WORD.test(text[i - 1]));
+}
+
+function canClose(text, i, n) {
+	const prev = text[i - 1];
+	if (i === 0 || /\s/.test(prev)) return false;
+	return !(text[i] === '_' && WORD.test(text[i + n] || ''));
+}
+
+// Match an emphasis span opening at `start`; returns { inner, style, end } or null.
+// Nested runs of the same delimiter are balanced on a stack; a run that can both
+// close and open (`**a***b*`) closes with its first characters, otherwise its last.
+function matchEmphasis(text, start) {
+	const ch = text[start];
+	const n = delimiterRun(text, start);
+	if (n > 3 || !canOpen(text, start, n)) return null;
+	const open = start + n;
+	const stack = [];
+	let j = open;
+	while (j < text.length) {
+		if (text[j] === '\\') { j += 2; continue; }
+		if (text[j] === '`') { j = skipCode(text, j); continue; }
+		if (text[j] !== ch) { j++; continue; }
+		const r = delimiterRun(text, j);
+		const left = canOpen(text, j, r);
+		let rem = r;
+		if (canClose(text, j, r)) {
+			while (stack.length && rem > 0) {
+				const top = stack.pop();
+				if (top > rem) { stack.push(top - rem); rem = 0; } else rem -= top;
+			}
+			if (!stack.length && rem >= n) {
+				const close = left ? j + r - rem : j + r - n;
+				if (close > open) return { inner: text.slice(open, close), style: EMPHASIS[n], end: close + n };
+			}
+		}
+		if (rem > 0 && left) stack.push(rem);
+		j += r;
+	}
+	return null;
+}
+
+const AUTOLINK = /^<([a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\s<>]*)>/;
+const EMAIL_AUTOLINK = /^<([^\s@<>\\]+@[^\s@<>\\]+\.[^\s@<>\\]+)>/;
+const BARE_URL = /^(?:https?:\/\/|www\.)[^\s<]+/i;
+const REFERENCE_DEFINITION = /^ {0,3}\[((?:\\.|[^\\\]])+)\]:\s*(<[^>]*>|\S+)(?:\s+(?:"[^"]*"|'[^']*'|\([^)]*\)))?\s*$/;
+
+const unescape = s => s.replace(/\\([!-/:-@[-`{-~])/g, '$1');
+const normalizeLabel = label => label.trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Index of the `]` closing the `[` at `i` (brackets nest, escapes are skipped), or -1
+function closingBracket(text, i) {
+	let depth = 0;
+	for (let j = i; j < text.length; j++) {
+		if (text[j] === '\\') { j++; continue; }
+		if (text[j] === '`') { j = skipCode(text, j) - 1; continue; }
+		if (text[j] === '[') depth++;
+		if (text[j] === ']' && --depth === 0) return j;
+	}
+	return -1;
+}
+
+// `(dest "title")` starting at `i`; returns { href, title, end } or null
+function inlineDestination(text, i) {
+	if (text[i] !== '(') return null;
+	let j = i + 1;
+	while (text[j] === ' ') j++;
+	let href = '';
+	if (text[j] === '<') {
+		const close = text.indexOf('>', j);
+		if (close < 0) return null;
+		href = text.slice(j + 1, close);
+		j = close + 1;
+	} else {
+		let depth = 0;
+		const start = j;
+		for (; j < text.length; j++) {
+			const ch = text[j];
+			if (ch === '\\') { j++; continue; }
+			if (/\s/.test(ch)) break;
+			if (ch === '(') depth++;
+			if (ch === ')' && depth-- === 0) break;
+		}
+		href = text.slice(start, j);
+	}
+	const rest = text.slice(j).match(/^\s*(?:"((?:\\.|[^"\\])*)"|'((?:\\.|[^'\\])*)'|\(((?:\\.|[^)\\])*)\))?\s*\)/);
+	if (!rest) return null;
+	const title = rest[1] ?? rest[2] ?? rest[3];
+	return { href: unescape(href), title: title && unescape(title), end: j + rest[0].length };
+}
+
+// `[text](dest)`, `[text][label]`, `[text][]` or `[label]` at `i`; returns { inner, href, title?, end } or null
+function matchLink(text, i, refs) {
+	const close = closingBracket(text, i);
+	if (close < 0) return null;
+	const inner = text.slice(i + 1, close);
+	const inline = inlineDestination(text, close + 1);
+	if (inline) return { inner, href: inline.href, title: inline.title, end: inline.end };
+	const ref = text.slice(close + 1).match(/^\[((?:\\.|[^\\\]])*)\]/);
+	const label = normalizeLabel(ref?.[1] || inner);
+	const def = refs?.get(label);
+	if (!def) return null;
+	return { inner, href: def, end: close + 1 + (ref ? ref[0].length : 0) };
+}
+
+// GFM extended autolink: trailing punctuation and unbalanced `)` stay outside the link
+function matchBareUrl(text, i) {
+	if (i > 0 && /[\p{L}\p{N}_\\]/u.test(text[i - 1])) return null;
+	const m = text.slice(i).match(BARE_URL);
+	if (!m) return null;
+	let url = m[0].replace(/[?!.,:*_~'"]+$/, '');
+	while (url.endsWith(')') && (url.match(/\(/g) || []).length < (url.match(/\)/g) || []).length) url = url.slice(0, -1);
+	return { text: url, href: /^www\./i.test(url) ? `http://${url}` : url, end: i + url.length };
+}
+
+// `![alt](src "title")` with an optional `{width=.. height=..}` at `i`; returns { image, end } or null
+function matchImage(text, i, context) {
+	if (text[i] !== '!' || text[i + 1] !== '[') return null;
+	const link = matchLink(text, i + 1, context.refs);
+	if (!link) return null;
+	const size = matchImageAttributes(text.slice(link.end));
+	const { length = 0, ...hints } = size || {};
+	const alt = runsText(parseInline(link.inner, {}, context));
+	return { image: { src: link.href, alt, ...(link.title ? { title: link.title } : {}), ...hints }, end: link.end + length };
+}
+
+// A smart chip (`@[name](mailto:..)`, `@[title](https://..)`, `@date(..)`) at `i`; returns { chip, end } or null
+function matchChip(text, i, context, { prefix, dateKeyword }) {
+	const at = i + prefix.length;
+	if (text[at] === '[') {
+		const link = matchLink(text, at, context.refs);
+		const chip = link && chipFromHref(link.href, runsText(parseInline(link.inner, {}, context)));
+		return chip ? { chip, end: link.end } : null;
+	}
+	const date = matchDateChip(text.slice(at), dateKeyword);
+	return date ? { chip: date.chip, end: at + date.length } : null;
+}
+
+/**
+ * Parse inline Markdown (bold, italic, code spans, links, images, smart
+ * chips, footnote references, backslash escapes) into IR runs.
+ * `context` carries `refs` (reference definitions, label → href),
+ * `footnotes` (footnote label → footnote, see footnotes.js) and the
+ * `mapping` whose `links` section decides which hrefs are intra-document
+ * and whose `chips` section the chip syntax.
+ */
+export function parseInline(text, style = {}, context = {}) {
+	const chips = chipConfig(context.mapping);
+	const runs = [];
+	let buf = '';
+	const flush = () => {
+		if (buf) runs.push({ ...style, text: buf });
+		buf = '';
+	};
+	let i = 0;
+	while (i < text.length) {
+		const ch = text[i];
+		if (ch === '\\' && ESCAPABLE.test(text[i + 1] || '')) {
+			buf += text[i + 1];
+			i += 2;
+			continue;
+		}
+		if (ch === '`') {
+			const span = matchCodeSpan(text, i);
+			const n = delimiterRun(text, i);
+			if (span) {
+				flush();
+				if (span.code) runs.push({ ...style, code: true, text: span.code });
+				i = span.end;
+			} else {
+				buf += text.slice(i, i + n);
+				i += n;
+			}
+			continue;
+		}
+		if (chips.enabled && !style.link && text.startsWith(chips.prefix, i)) {
+			const chip = matchChip(text, i, context, chips);
+			if (chip) {
+				flush();
+				runs.push({ ...style, text: CHIP_PLACEHOLDER, chip: chip.chip });
+				i = chip.end;
+				continue;
+			}
+		}
+		if (ch === '!') {
+			const image = matchImage(text, i, context);
+			if (image) {
+				flush();
+				runs.push({ ...style, text: IMAGE_PLACEHOLDER, image: image.image });
+				i = image.end;
+				continue;
+			}
+		}
+		if (ch === '[' && text[i + 1] === '^' && !style.link) {
+			const ref = matchFootnoteReference(text.slice(i), context.footnotes);
+			if (ref) {
+				flush();
+				runs.push({ ...style, text: FOOTNOTE_PLACEHOLDER, footnote: ref.footnote });
+				i += ref.length;
+				continue;
+			}
+		}
+		if (ch === '[' && !style.link) {
+			const link = matchLink(text, i, context.refs);
+			if (link) {
+				flush();
+				runs.push(...parseInline(link.inner, { ...style, link: linkFromHref(link.href, context.mapping) }, context));
+				i = link.end;
+				continue;
+			}
+		}
+		if (ch === '<') {
+			const html = matchHtmlImage(text.slice(i));
+			if (html) {
+				flush();
+				runs.push({ ...style, text: IMAGE_PLACEHOLDER, image: html.image });
+				i += html.length;
+				continue;
+			}
+		}
+		if (ch === '<' && !style.link) {
+			const auto = text.slice(i).match(AUTOLINK);
+			const email = !auto && text.slice(i).match(EMAIL_AUTOLINK);
+			if (auto || email) {
+				flush();
+				runs.push({ ...style, text: (auto || email)[1], link: { url: auto ? auto[1] : `mailto:${email[1]}` } });
+				i += (auto || email)[0].length;
+				continue;
+			}
+		}
+		if ((ch === 'h' || ch === 'H' || ch === 'w' || ch === 'W') && !style.link) {
+			const bare = matchBareUrl(text, i);
+			if (bare) {
+				flush();
+				runs.push({ ...style, text: bare.text, link: { url: bare.href } });
+				i = bare.end;
+				continue;
+			}
+		}
+		if (ch === '*' || ch === '_') {
+			const span = matchEmphasis(text, i);
+			if (span) {
+				flush();
+				runs.push(...parseInline(span.inner, { ...style, ...span.style }, context));
+				i = span.end;
+			} else {
+				const n = delimiterRun(text, i);
+				buf += text.slice(i, i + n);
+				i += n;
+			}
+			continue;
+		}
+		buf += ch;
+		i++;
+	}
+	flush();
+	return mergeRuns(runs);
+}
+
+// First non-empty paragraph becomes TITLE; a fully italic paragraph right after it becomes SUBTITLE
+function applyTitleRules(ir, mapping) {
+	if (!mapping?.title?.useTitle) return;
+	const first = ir.findIndex(p => p.runs.length > 0 || p.style === TABLE);
+	if (first < 0 || ir[first].style === CODEBLOCK || ir[first].style === TABLE || ir[first].quote || ir[first].list) return;
+	ir[first].style = 'TITLE';
+	if (mapping?.subtitle?.mode !== 'italic') return;
+	let next = first + 1;
+	while (next < ir.length && ir[next].runs.length === 0 && ir[next].style !== TABLE) next++;
+	const p = ir[next];
+	if (p && !p.quote && !p.list && p.style === (mapping.headings?.default || 'NORMAL_TEXT') && p.runs.every(r => r.italic)) {
+		p.style = 'SUBTITLE';
+	}
+}
+
+// Reference definitions (`[label]: href`) outside fences; they are not content and are not pushed
+function collectReferences(lines) {
+	const refs = new Map();
+	const definitions = new Set();
+	let inFence = false;
+	lines.forEach((line, n) => {
+		if (/^```/.test(line)) inFence = !inFence;
+		if (inFence) return;
+		const m = line.match(REFERENCE_DEFINITION);
+		if (!m || m[1].startsWith('^')) return;
+		const label = normalizeLabel(m[1]);
+		if (!refs.has(label)) refs.set(label, unescape(m[2].replace(/^<(.*)>$/, '$1')));
+		definitions.add(n);
+	});
+	return { refs, definitions };
+}
+
+// Strip blockquote prefixes (`> > text`); returns { depth, rest }
+function splitQuote(line, prefix) {
+	const marker = new RegExp(`^ {0,3}${prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')} ?`);
+	let depth = 0;
+	let rest = line;
+	for (let m = rest.match(marker); m; m = rest.match(marker)) {
+		depth++;
+		rest = rest.slice(m[0].length);
+	}
+	return { depth, rest };
+}
+
+/**
+ * Convert Markdown into IR paragraphs, one per source line. Fence lines, link
+ * reference definitions and footnote definitions are dropped; footnote text
+ * goes with its references (footnotes.js). A line ending in a hard break runs
+ * on into the next, joined by a LINE_BREAK, unless that line starts a block.
+ * Thematic breaks and page break lines become HORIZONTAL_RULE and PAGE_BREAK
+ * paragraphs (breaks.js), except that a paragraph line underlined with `===`
+ * or `---` is a setext heading; a GFM table is one TABLE paragraph (tables.js). Quoted
+ * lines keep their depth in `quote` (a bare `>` is an empty quote); list items
+ * and their continuation lines carry `list`, task items `checked` (lists.js).
+ */
+export function markdownToIR(markdown, mapping = loadMdMapping()) {
+	const lines = markdown.replace(/\r\n/g, '\n').replace(/\r/g, '\n').split('\n');
+	const { refs, definitions } = collectReferences(lines);
+	const notes = collectFootnoteDefinitions(lines);
+	const context = { refs, mapping };
+	// Notes are parsed before `context.footnotes` is set, so a note cannot reference another
+	context.footnotes = new Map([...notes.definitions].map(([key, { label, lines: paragraphs }]) => [
+		key,
+		{ label, paragraphs: paragraphs.map(text => parseInline(text, {}, context)) },
+	]));
+	const { prefix } = blockquoteConfig(mapping);
+	const { pageBreak } = breakConfig(mapping);
+	const ir = [];
+	const lists = createListTracker();
+	let fence = null;
+	let skipTo = 0;
+	const startsBlock = (m, { depth, rest }) => /^```/.test(lines[m]) || definitions.has(m) || notes.lineNumbers.has(m)
+		|| /^#{1,6}\s/.test(rest) || isHorizontalRule(rest) || setextLevel(rest) || isPageBreak(rest, pageBreak)
+		|| (!depth && (matchTable(lines, m) || matchListItem(lines[m])));
+	// The text of line `n` and of the lines its hard breaks carry on into (a quote goes on at its depth or lazily)
+	const withHardBreaks = (text, n, depth) => {
+		let end = n + 1;
+		for (let head = matchHardBreak(text); head != null && end < lines.length; head = matchHardBreak(text)) {
+			const next = splitQuote(lines[end], prefix);
+			if (!next.rest.trim() || (next.depth && next.depth !== depth) || startsBlock(end, next)) break;
+			text = `${head}${LINE_BREAK}${next.rest.trimStart()}`;
+			end++;
+		}
+		skipTo = end;
+		return text;
+	};
+	for (const [n, line] of lines.entries()) {
+		if (n < skipTo) continue;
+		const fenceMatch = line.match(/^```\s*([a-zA-Z0-9_+-]+)?\s*$/);
+		if (fenceMatch) {
+			fence = fence ? null : { lang: fenceMatch[1] || '' };
+			lists.reset();
+			continue;
+		}
+		if (fence) {
+			ir.push({ style: CODEBLOCK, lang: fence.lang, runs: line ? [{ text: line }] : [] });
+			continue;
+		}
+		if (definitions.has(n) || notes.lineNumbers.has(n)) continue;
+		const { depth, rest } = splitQuote(line, prefix);
+		const table = depth ? null : matchTable(lines, n);
+		if (table) {
+			const cell = raw => mergeRuns(cellLines(raw).flatMap((part, i) => [...(i ? [{ text: '\n' }] : []), ...parseInline(part, {}, context)]));
+			ir.push({ style: TABLE, runs: [], table: { align: table.align, rows: table.rows.map(row => row.map(cell)) } });
+			lists.reset();
+			skipTo = table.end;
+			continue;
+		}
+		if (!depth && (isHorizontalRule(line) || isPageBreak(line, pageBreak))) {
+			ir.push({ style: isHorizontalRule(line) ? HORIZONTAL_RULE : PAGE_BREAK, runs: [] });
+			lists.reset();
+			continue;
+		}
+		const item = depth ? null : matchListItem(line);
+		if (item) {
+			const task = matchTaskMarker(item);
+			const list = lists.item({ ...item, checked: task?.checked });
+			const text = withHardBreaks(task && list.checked != null ? task.text : item.text, n, 0);
+			ir.push({ style: mapping.headings?.default || 'NORMAL_TEXT', runs: parseInline(text, {}, context), list });
+			continue;
+		}
+		const continued = depth ? null : lists.continuation(line);
+		if (continued) {
+			ir.push({ style: mapping.headings?.default || 'NORMAL_TEXT', runs: parseInline(withHardBreaks(continued.text, n, 0), {}, context), list: continued.list });
+			continue;
+		}
+		if (line.trim()) lists.reset();
+		const quote = depth ? { quote: depth } : {};
+		const heading = rest.match(/^(#{1,6})\s+(.*)$/);
+		if (heading) {
+			ir.push({ style: headingStyleForLevel(heading[1].length, mapping), runs: parseInline(heading[2].trimEnd(), {}, context), ...quote });
+			continue;
+		}
+		const text = withHardBreaks(rest, n, depth);
+		// A `===` or `---` line right under it (at its quote depth) makes the paragraph a setext heading
+		const under = rest.trim() && skipTo < lines.length ? splitQuote(lines[skipTo], prefix) : null;
+		const level = under && under.depth === depth && !isPageBreak(under.rest, pageBreak) ? setextLevel(under.rest) : 0;
+		if (level) {
+			ir.push({ style: headingStyleForLevel(level, mapping), runs: parseInline(text.trim(), {}, context), ...quote });
+			skipTo++;
+			continue;
+		}
+		ir.push({ style: mapping.headings?.default || 'NORMAL_TEXT', runs: parseInline(text, {}, context), ...quote });
+	}
+	applyTitleRules(ir, mapping);
+	return ir;
+}
@@ -0,0 +1,123 @@
+/**
+ * GFM pipe tables and Docs tables.
+ *
+ * In Markdown a table is a header row, a delimiter row (`| --- | :-: | --: |`)
+ * and body rows; `\|` is a literal pipe in a cell and `<br>` a line break.
+ * In the IR it is a TABLE paragraph (see ir.js). In Docs each cell holds one
+ * paragraph per line; header cells are bold and a column's alignment is the
+ * paragraph alignment of its cells.
+ */
+
+import { mergeRuns } from './ir.js';
+
+const DELIMITER_CELL = /^:?-+:?$/;
+const LINE_BREAK = /(?<!\\)<br\s*\/?>/gi;
+
+/** Cells of a table row; unescaped pipes separate cells and `\|` becomes a pipe. */
+export function splitRow(line) {
+	let s = line.trim();
+	if (s.startsWith('|')) s = s.slice(1);
+	if (s.endsWith('|') && !s.endsWith('\\|')) s = s.slice(0, -1);
+	const cells = [];
+	let cell = '';
+	for (let i = 0; i < s.length; i++) {
+		if (s[i] === '\\' && s[i + 1] === '|') {
+			cell += '|';
+			i++;
+		} else if (s[i] === '|') {
+			cells.push(cell.trim());
+			cell = '';
+		} else {
+			cell += s[i];
+		}
+	}
+	cells.push(cell.trim());
+	return cells;
+}
+
+// Column alignments of a delimiter row, or null when `line` is not one
+function matchDelimiterRow(line) {
+	if (!line.includes('|') || !line.includes('-')) return null;
+	const cells = splitRow(line);
+	if (!cells.every(c => DELIMITER_CELL.test(c))) return null;
+	return cells.map(c => {
+		if (c.startsWith(':') && c.endsWith(':')) return 'center';
+		if (c.endsWith(':')) return 'right';
+		return c.startsWith(':') ? 'left' : null;
+	});
+}
+
+/**
+ * A table starting at `lines[n]`: the header, a delimiter row with as many
+ * cells, then every following non-blank line with a pipe. Body rows are cut
+ * or padded to the header's width. Returns { align, rows, end } with raw cell
+ * strings, or null.
+ */
+export function matchTable(lines, n) {
+	if (!lines[n]?.includes('|')) return null;
+	const header = splitRow(lines[n]);
+	const align = matchDelimiterRow(lines[n + 1] || '');
+	if (!align || align.length !== header.length) return null;
+	const rows = [header];
+	let end = n + 2;
+	while (end < lines.length && lines[end].trim() && lines[end].includes('|')) {
+		const cells = splitRow(lines[end]);
+		rows.push(header.map((_, c) => cells[c] ?? ''));
+		end++;
+	}
+	return { align, rows, end };
+}
+
+/** The lines of a raw cell (split at `<br>`). */
+export function cellLines(cell) {
+	return cell.split(LINE_BREAK);
+}
+
+const ALIGNMENT_FROM_DOCS = { CENTER: 'center', END: 'right' };
+
+/**
+ * IR table for a Docs `table`. `paragraphRuns(paragraph)` reads one cell
+ * paragraph; the paragraphs of a cell are joined with '\n'. Alignment comes
+ * from the header cells. A header row that is bold throughout is read as
+ * plain text, since Markdown header cells are bold already.
+ */
+export function tableFromDocs(table, paragraphRuns) {
+	const docRows = table.tableRows || [];
+	const rows = docRows.map(row => (row.tableCells || []).map(cell => {
+		const paragraphs = (cell.content || []).filter(el => el.paragraph);
+		return mergeRuns(paragraphs.flatMap((el, i) => [...(i ? [{ text: '\n' }] : []), ...paragraphRuns(el.paragraph)]));
+	}));
+	const columns = Math.max(0, ...rows.map(r => r.length));
+	const padded = rows.map(r => Array.from({ length: columns }, (_, c) => r[c] || []));
+	const header = padded[0] || [];
+	const headerRuns = header.flat().filter(r => r.text.trim());
+	if (headerRuns.length && headerRuns.every(r => r.bold)) {
+		padded[0] = header.map(runs => mergeRuns(runs.map(({ bold, ...r }) => r)));
+	}
+	const align = Array.from({ length: columns }, (_, c) => {
+		const alignment = docRows[0]?.tableCells?.[c]?.content?.find(el => el.paragraph)?.paragraph.paragraphStyle?.alignment;
+		return ALIGNMENT_FROM_DOCS[alignment] || null;
+	});
+	return { align, rows: padded };
+}
+
+const DELIMITERS = { left: ':---', center: ':---:', right: '---:' };
+
+/**
+ * GFM lines for an IR table. `renderCell(runs)` renders a cell's inline
+ * Markdown; pipes, line breaks (paragraph or soft) and literal `<br>` are
+ * escaped for the table.
+ */
+export function tableToMarkdown(table, renderCell) {
+	const cell = runs => renderCell(runs)
+		.replace(/\|/g, '\\|')
+		.replace(/<(br\s*\/?>)/gi, '\\<$1')
+		.replace(/[\n\v]/g, '<br>');
+	const row = cells => `| ${cells.join(' | ')} |`;
+	const [header = [], ...body] = table.rows;
+	return [
+		row(header.map(cell)),
+		row(table.align.map(a => DELIMITERS[a] || '---')),
+		...body.map(r => row(r.map(cell))),
+	];
+}
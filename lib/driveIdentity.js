@@ -0,0 +1,148 @@
+/**
+ * Note identity mirrored into Drive `appProperties`, so bindings survive a lost
+ * or stale mapping.json and follow docs across moves and renames.
+ *
+ * Keys on a bound Google Doc (private to this OAuth client):
+ *   pluginId       PLUGIN_ID, also set on the sync folders
+ *   joplinNoteId   the note a single-note doc was created for
+ *   notebookId     the notebook a notebook doc is bound to
+ *   tab.<tabId>    note bound to that tab, e.g. `tab.t.0` = <noteId>
+ * Drive allows 30 private properties per app per file (124 bytes per
+ * key+value), so a doc can mirror at most 27 tab bindings.
+ */
+
+export const PLUGIN_ID = 'io.github.albertbaubledeem.joplin.google-docs';
+export const DOC_MIME_TYPE = 'application/vnd.google-apps.document';
+export const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+
+const TAB_PREFIX = 'tab.';
+const MAX_APP_PROPERTIES = 30;
+
+/** Parse a file's appProperties into { pluginId, noteId, notebookId, tabs: { tabId: noteId } }. */
+export function readIdentity(appProperties = {}) {
+	const tabs = {};
+	for (const [key, value] of Object.entries(appProperties || {})) {
+		if (key.startsWith(TAB_PREFIX) && value) tabs[key.slice(TAB_PREFIX.length)] = value;
+	}
+	return {
+		pluginId: appProperties?.pluginId || null,
+		noteId: appProperties?.joplinNoteId || null,
+		notebookId: appProperties?.notebookId || null,
+		tabs,
+	};
+}
+
+export function hasIdentity(appProperties) {
+	const id = readIdentity(appProperties);
+	return !!(id.noteId || id.notebookId || Object.keys(id.tabs).length);
+}
+
+async function patchAppProperties(drive, fileId, build) {
+	const { data: file } = await drive.files.get({ fileId, fields: 'id,appProperties', supportsAllDrives: true });
+	const current = file.appProperties || {};
+	const patch = build(current);
+	const next = Object.fromEntries(Object.entries({ ...current, ...patch }).filter(([, v]) => v != null));
+	if (Object.keys(next).length > MAX_APP_PROPERTIES) {
+		throw new Error(`Drive allows ${MAX_APP_PROPERTIES} appProperties per file; ${fileId} would need ${Object.keys(next).length}`);
+	}
+	await drive.files.update({ fileId, requestBody: { appProperties: patch }, supportsAllDrives: true });
+	return next;
+}
+
+/**
+ * Mirror a note → tab binding. The tab key is always written (stale keys
+ * pointing at the same note elsewhere in the doc are cleared); joplinNoteId
+ * only for a doc that is not a notebook doc and has no other owner note.
+ */
+export function mirrorNoteBinding(drive, noteId, { fileId, tabId }) {
+	return patchAppProperties(drive, fileId, (current) => {
+		const patch = { pluginId: PLUGIN_ID, [`${TAB_PREFIX}${tabId}`]: noteId };
+		for (const [key, value] of Object.entries(current)) {
+			if (key.startsWith(TAB_PREFIX) && value === noteId && key !== `${TAB_PREFIX}${tabId}`) patch[key] = null;
+		}
+		if (!current.notebookId && !current.joplinNoteId) patch.joplinNoteId = noteId;
+		return patch;
+	});
+}
+
+export function mirrorNotebookBinding(drive, notebookId, { fileId }) {
+	return patchAppProperties(drive, fileId, () => ({ pluginId: PLUGIN_ID, notebookId }));
+}
+
+async function listAll(drive, q, fields) {
+	const files = [];
+	let pageToken;
+	do {
+		const { data } = await drive.files.list({
+			q,
+			fields: `nextPageToken, files(${fields})`,
+			includeItemsFromAllDrives: true,
+			supportsAllDrives: true,
+			pageSize: 100,
+			pageToken,
+		});
+		files.push(...(data.files || []));
+		pageToken = data.nextPageToken;
+	} while (pageToken);
+	return files;
+}
+
+export function findSyncFolders(drive, pluginId = PLUGIN_ID) {
+	return listAll(drive,
+		`mimeType='${FOLDER_MIME_TYPE}' and appProperties has { key='pluginId' and value='${pluginId}' } and trashed=false`,
+		'id, name, createdTime, appProperties, webViewLink');
+}
+
+/**
+ * Docs carrying note identity: everything in the sync folders plus docs
+ * tagged with our pluginId that were moved out of them.
+ */
+export async function findBoundDocs(drive, { pluginId = PLUGIN_ID, folders } = {}) {
+	const fields = 'id, name, parents, modifiedTime, appProperties';
+	const byId = new Map();
+	for (const folder of folders || await findSyncFolders(drive, pluginId)) {
+		for (const f of await listAll(drive, `'${folder.id}' in parents and mimeType='${DOC_MIME_TYPE}' and trashed=false`, fields)) {
+			byId.set(f.id, f);
+		}
+	}
+	const tagged = await listAll(drive,
+		`mimeType='${DOC_MIME_TYPE}' and appProperties has { key='pluginId' and value='${pluginId}' } and trashed=false`, fields);
+	for (const f of tagged) byId.set(f.id, f);
+	return [...byId.values()].filter(f => hasIdentity(f.appProperties));
+}
+
+/**
+ * Reconstruct { notes, notebooks } from bound docs. When two docs claim the
+ * same note or notebook, the most recently modified wins; when a doc's
+ * joplinNoteId points at a first tab whose tab key names another note, the
+ * tab key wins. The loser is reported in `conflicts` either way.
+ */
+export function mappingFromDocs(files) {
+	const notes = {};
+	const notebooks = {};
+	const conflicts = [];
+	const sorted = [...files].sort((a, b) => String(b.modifiedTime || '').localeCompare(String(a.modifiedTime || '')));
+	const claim = (bag, id, value, kind, file) => {
+		if (bag[id] && bag[id].fileId !== file.id) {
+			conflicts.push({ kind, id, kept: bag[id].fileId, ignored: file.id, reason: 'most recently modified' });
+			return;
+		}
+		bag[id] = { ...bag[id], ...value };
+	};
+	for (const file of sorted) {
+		const { noteId, notebookId, tabs } = readIdentity(file.appProperties);
+		if (notebookId) claim(notebooks, notebookId, { fileId: file.id }, 'notebook', file);
+		for (const [tabId, tabNoteId] of Object.entries(tabs)) {
+			claim(notes, tabNoteId, { fileId: file.id, tabId }, 'note', file);
+		}
+		// Single-note doc mirrored before tab keys existed: the note lives in the first tab
+		if (noteId && !Object.values(tabs).includes(noteId)) {
+			if (tabs['t.0']) {
+				conflicts.push({ kind: 'tab', id: `${file.id}/t.0`, kept: tabs['t.0'], ignored: noteId, reason: 'bound by its tab key' });
+			} else {
+				claim(notes, noteId, { fileId: file.id, tabId: 't.0' }, 'note', file);
+			}
+		}
+	}
+	return { notes, notebooks, conflicts };
+}
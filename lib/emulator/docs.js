@@ -0,0 +1,444 @@
+import { apiError, invalidRequest } from './errors.js';
+import { isKnownPreset, listPropertiesFor } from './lists.js';
+import {
+	DEFAULT_PARAGRAPH_STYLE,
+	applyFields,
+	buildContent,
+	clone,
+	emptyBody,
+	isNewline,
+	isStructural,
+	newline,
+	paragraphEnd,
+	paragraphStart,
+	paragraphTerminators,
+} from './segment.js';
+
+export const DOC_MIME_TYPE = 'application/vnd.google-apps.document';
+
+const DOCUMENT_STYLE = {
+	pageSize: { height: { magnitude: 792, unit: 'PT' }, width: { magnitude: 612, unit: 'PT' } },
+	marginTop: { magnitude: 72, unit: 'PT' },
+	marginBottom: { magnitude: 72, unit: 'PT' },
+	marginLeft: { magnitude: 72, unit: 'PT' },
+	marginRight: { magnitude: 72, unit: 'PT' },
+};
+
+export function newTab(tabId, title) {
+	return { tabId, title, body: emptyBody(), lists: {}, listPresets: {}, inlineObjects: {}, namedRanges: {}, footnotes: {}, childTabs: [] };
+}
+
+export function newDocument(documentId, title) {
+	return { documentId, title, revision: 1, tabs: [newTab('t.0', 'Tab 1')] };
+}
+
+export function revisionId(doc) {
+	return `${doc.documentId}.r${doc.revision}`;
+}
+
+export function findTab(tabs, tabId) {
+	for (const tab of tabs || []) {
+		if (tab.tabId === tabId) return tab;
+		const child = findTab(tab.childTabs, tabId);
+		if (child) return child;
+	}
+	return null;
+}
+
+// ---------------------------------------------------------------------------
+// Read side: internal model -> Docs API Document
+// ---------------------------------------------------------------------------
+
+const INLINE_RENDERERS = {
+	inlineObject: item => ({ inlineObjectElement: { inlineObjectId: item.inlineObjectId, textStyle: clone(item.textStyle || {}) } }),
+	person: item => ({ person: { personId: item.id, textStyle: clone(item.textStyle || {}), personProperties: clone(item.properties) } }),
+	richLink: item => ({ richLink: { richLinkId: item.id, textStyle: clone(item.textStyle || {}), richLinkProperties: clone(item.properties) } }),
+	dateElement: item => ({ dateElement: { dateId: item.id, textStyle: clone(item.textStyle || {}), dateElementProperties: clone(item.properties) } }),
+	pageBreak: item => ({ pageBreak: { textStyle: clone(item.textStyle || {}) } }),
+	footnoteReference: (item, { footnoteNumbers }) => ({
+		footnoteReference: { footnoteId: item.footnoteId, footnoteNumber: String(footnoteNumbers.get(item.footnoteId)), textStyle: clone(item.textStyle || {}) },
+	}),
+};
+
+// Footnotes are numbered in the order of their references in the body
+function footnoteRenderer(tab) {
+	const footnoteNumbers = new Map(tab.body.filter(i => i.kind === 'footnoteReference').map((i, n) => [i.footnoteId, n + 1]));
+	return { footnoteNumbers, renderInline: item => INLINE_RENDERERS[item.kind](item, { footnoteNumbers }) };
+}
+
+// Named ranges are tags on the items they cover, so they move and shrink with the text; contiguous items form one range
+function renderNamedRanges(tab) {
+	const rangesById = new Map();
+	tab.body.forEach((item, index) => {
+		for (const id of item.namedRangeIds || []) {
+			const ranges = rangesById.get(id) || [];
+			const last = ranges[ranges.length - 1];
+			if (last && last.endIndex === index) last.endIndex++;
+			else ranges.push({ startIndex: index, endIndex: index + 1, tabId: tab.tabId });
+			rangesById.set(id, ranges);
+		}
+	});
+	const byName = {};
+	for (const [namedRangeId, ranges] of rangesById) {
+		const name = tab.namedRanges?.[namedRangeId];
+		if (!name) continue;
+		(byName[name] ||= { name, namedRanges: [] }).namedRanges.push({ namedRangeId, name, ranges });
+	}
+	return byName;
+}
+
+function renderDocumentTab(tab) {
+	const referenced = new Set(tab.body.filter(i => i.kind === 'inlineObject').map(i => i.inlineObjectId));
+	const inlineObjects = Object.fromEntries(Object.entries(tab.inlineObjects).filter(([id]) => referenced.has(id)));
+	const usedLists = new Set(tab.body.filter(i => i.bullet).map(i => i.bullet.listId));
+	const lists = Object.fromEntries(Object.entries(tab.lists).filter(([id]) => usedLists.has(id)));
+	const namedRanges = renderNamedRanges(tab);
+	// A footnote whose reference was deleted is gone with it
+	const { footnoteNumbers, renderInline } = footnoteRenderer(tab);
+	const footnotes = Object.fromEntries([...footnoteNumbers.keys()]
+		.filter(id => tab.footnotes?.[id])
+		.map(id => [id, { footnoteId: id, content: buildContent(tab.footnotes[id], renderInline) }]));
+	return {
+		body: { content: buildContent(tab.body, renderInline) },
+		documentStyle: clone(DOCUMENT_STYLE),
+		...(Object.keys(lists).length ? { lists: clone(lists) } : {}),
+		...(Object.keys(inlineObjects).length ? { inlineObjects: clone(inlineObjects) } : {}),
+		...(Object.keys(footnotes).length ? { footnotes } : {}),
+		...(Object.keys(namedRanges).length ? { namedRanges } : {}),
+	};
+}
+
+function renderTab(tab, index, parentTabId, nestingLevel) {
+	return {
+		tabProperties: {
+			tabId: tab.tabId,
+			title: tab.title,
+			index,
+			...(parentTabId ? { parentTabId, nestingLevel } : {}),
+		},
+		documentTab: renderDocumentTab(tab),
+		childTabs: tab.childTabs.map((c, i) => renderTab(c, i, tab.tabId, nestingLevel + 1)),
+	};
+}
+
+export function renderDocument(doc, { includeTabsContent = false } = {}) {
+	const base = { documentId: doc.documentId, title: doc.title, revisionId: revisionId(doc), suggestionsViewMode: 'SUGGESTIONS_INLINE' };
+	if (includeTabsContent) return { ...base, tabs: doc.tabs.map((t, i) => renderTab(t, i, null, 0)) };
+	return { ...base, ...renderDocumentTab(doc.tabs[0]) };
+}
+
+// ---------------------------------------------------------------------------
+// Write side: batchUpdate requests
+// ---------------------------------------------------------------------------
+
+function segmentAt(doc, where = {}, ctx) {
+	const tab = where.tabId ? findTab(doc.tabs, where.tabId) : doc.tabs[0];
+	if (!tab) throw invalidRequest(ctx.index, ctx.type, `The tab with ID ${where.tabId} was not found.`);
+	if (!where.segmentId) return { tab, items: tab.body };
+	// Footnotes are the only segments besides the body; their indexes start at 0
+	const items = tab.footnotes?.[where.segmentId];
+	if (!items) throw invalidRequest(ctx.index, ctx.type, `Segment ${where.segmentId} was not found.`);
+	return { tab, items, segmentId: where.segmentId };
+}
+
+function insertionPoint(doc, spec, ctx) {
+	if (spec.endOfSegmentLocation) {
+		const seg = segmentAt(doc, spec.endOfSegmentLocation, ctx);
+		return { ...seg, index: seg.items.length - 1 };
+	}
+	const location = spec.location;
+	if (!location || location.index == null) throw invalidRequest(ctx.index, ctx.type, 'A location or endOfSegmentLocation is required.');
+	const seg = segmentAt(doc, location, ctx);
+	const { index } = location;
+	if (index >= seg.items.length) {
+		throw invalidRequest(ctx.index, ctx.type, `Index ${index} must be less than the end index of the referenced segment, ${seg.items.length}.`);
+	}
+	if (index < 0 || isStructural(seg.items[index])) {
+		throw invalidRequest(ctx.index, ctx.type, 'The insertion index must be inside the bounds of an existing paragraph. You can still create new paragraphs by inserting newlines.');
+	}
+	return { ...seg, index };
+}
+
+function rangeIn(doc, range, ctx, { allowEmpty = false } = {}) {
+	if (!range || range.startIndex == null || range.endIndex == null) throw invalidRequest(ctx.index, ctx.type, 'A range with startIndex and endIndex is required.');
+	const seg = segmentAt(doc, range, ctx);
+	const { startIndex, endIndex } = range;
+	if (startIndex < 0 || endIndex > seg.items.length) {
+		throw invalidRequest(ctx.index, ctx.type, `Index ${endIndex} must be less than or equal to the end index of the referenced segment, ${seg.items.length}.`);
+	}
+	if (endIndex < startIndex || (!allowEmpty && endIndex === startIndex)) {
+		throw invalidRequest(ctx.index, ctx.type, 'The range should not be empty.');
+	}
+	return { ...seg, start: startIndex, end: endIndex };
+}
+
+// Style for text inserted at `index`: the preceding character in the paragraph, else the following one
+function inheritedTextStyle(items, index) {
+	const prev = items[index - 1];
+	const base = prev && !isNewline(prev) && !isStructural(prev) ? prev : items[index];
+	return clone(base?.textStyle || {});
+}
+
+function paragraphBreak(terminator, textStyle) {
+	const item = newline(terminator.paragraphStyle || DEFAULT_PARAGRAPH_STYLE, textStyle);
+	if (terminator.bullet) item.bullet = clone(terminator.bullet);
+	return item;
+}
+
+function insertText(doc, { text = '', ...spec }, ctx) {
+	const { items, index } = insertionPoint(doc, spec, ctx);
+	const terminator = items[paragraphEnd(items, index)];
+	const textStyle = inheritedTextStyle(items, index);
+	const inserted = text.replace(/\r\n?/g, '\n').split('').map(ch => (ch === '\n'
+		? paragraphBreak(terminator, textStyle)
+		: { ch, textStyle: clone(textStyle) }));
+	items.splice(index, 0, ...inserted);
+}
+
+// Only whole tables may be deleted, and never the newline a table or cell depends on
+function checkDeletableRange(items, start, end, ctx) {
+	let depth = 0;
+	for (let k = start; k < end; k++) {
+		const item = items[k];
+		if (item.kind === 'tableStart') depth++;
+		else if (item.kind === 'tableEnd') depth--;
+		else if (isStructural(item) && depth === 0) depth = -1;
+		if (depth < 0) throw invalidRequest(ctx.index, ctx.type, 'Invalid deletion range. Cannot delete the requested range.');
+		if (isNewline(item) && k + 1 >= end && isStructural(items[k + 1]) && items[k + 1].kind !== 'sectionBreak') {
+			throw invalidRequest(ctx.index, ctx.type, 'Invalid deletion range. Cannot delete the requested range.');
+		}
+	}
+	if (depth !== 0) throw invalidRequest(ctx.index, ctx.type, 'Invalid deletion range. Cannot delete the requested range.');
+}
+
+function deleteContentRange(doc, { range }, ctx) {
+	const { items, start, end } = rangeIn(doc, range, ctx);
+	if (end >= items.length) {
+		throw invalidRequest(ctx.index, ctx.type, 'The range cannot include the newline character at the end of the segment.');
+	}
+	if (isStructural(items[start]) && items[start].kind !== 'tableStart') {
+		throw invalidRequest(ctx.index, ctx.type, 'Invalid deletion range. Cannot delete the requested range.');
+	}
+	checkDeletableRange(items, start, end, ctx);
+	// Deleting from mid-paragraph across its newline merges into the first paragraph's style
+	const first = paragraphEnd(items, start);
+	const merges = !isStructural(items[start]) && paragraphStart(items, start) < start && first >= 0 && first < end;
+	const carried = merges ? items[first] : null;
+	items.splice(start, end - start);
+	if (carried) {
+		const survivor = items[paragraphEnd(items, start)];
+		survivor.paragraphStyle = clone(carried.paragraphStyle);
+		if (carried.bullet) survivor.bullet = clone(carried.bullet);
+		else delete survivor.bullet;
+	}
+}
+
+function requireFields(fields, ctx) {
+	if (!fields) throw invalidRequest(ctx.index, ctx.type, 'fields is required.');
+}
+
+function updateParagraphStyle(doc, { range, paragraphStyle = {}, fields }, ctx) {
+	requireFields(fields, ctx);
+	const { items, start, end } = rangeIn(doc, range, ctx, { allowEmpty: true });
+	for (const t of paragraphTerminators(items, start, end)) {
+		items[t].paragraphStyle = applyFields(items[t].paragraphStyle || {}, paragraphStyle, fields);
+	}
+}
+
+function updateTextStyle(doc, { range, textStyle = {}, fields }, ctx) {
+	requireFields(fields, ctx);
+	const { items, start, end } = rangeIn(doc, range, ctx);
+	for (let k = start; k < end; k++) {
+		if (isStructural(items[k])) continue;
+		items[k].textStyle = applyFields(items[k].textStyle || {}, textStyle, fields);
+	}
+}
+
+function createParagraphBullets(doc, { range, bulletPreset }, ctx) {
+	if (!isKnownPreset(bulletPreset)) throw invalidRequest(ctx.index, ctx.type, `Unknown bulletPreset: ${bulletPreset}.`);
+	const { tab, items, start, end } = rangeIn(doc, range, ctx, { allowEmpty: true });
+	const terminators = paragraphTerminators(items, start, end);
+	if (!terminators.length) return;
+	// A list directly above with the same preset is continued rather than restarted
+	const firstStart = paragraphStart(items, terminators[0]);
+	const above = items[firstStart - 1];
+	let listId = above?.bullet && tab.listPresets[above.bullet.listId] === bulletPreset ? above.bullet.listId : null;
+	if (!listId) {
+		listId = ctx.nextId('kix.list.');
+		tab.lists[listId] = { listProperties: listPropertiesFor(bulletPreset) };
+		tab.listPresets[listId] = bulletPreset;
+	}
+	// Leading tabs become the nesting level and are removed; go backwards so indexes stay valid
+	for (const t of [...terminators].reverse()) {
+		const pStart = paragraphStart(items, t);
+		let tabs = 0;
+		while (items[pStart + tabs]?.ch === '\t') tabs++;
+		items[t].bullet = { listId, nestingLevel: tabs, textStyle: {} };
+		if (tabs) items.splice(pStart, tabs);
+	}
+}
+
+function deleteParagraphBullets(doc, { range }, ctx) {
+	const { tab, items, start, end } = rangeIn(doc, range, ctx, { allowEmpty: true });
+	for (const t of paragraphTerminators(items, start, end)) {
+		const bullet = items[t].bullet;
+		if (!bullet) continue;
+		// The nesting level stays visible: the paragraph is indented to where its text was
+		const level = tab.lists[bullet.listId]?.listProperties?.nestingLevels?.[bullet.nestingLevel || 0];
+		if (level?.indentStart) {
+			items[t].paragraphStyle = { ...items[t].paragraphStyle, indentStart: clone(level.indentStart), indentFirstLine: clone(level.indentStart) };
+		}
+		delete items[t].bullet;
+	}
+}
+
+function insertTable(doc, { rows, columns, ...spec }, ctx) {
+	if (!(rows > 0) || !(columns > 0)) throw invalidRequest(ctx.index, ctx.type, 'rows and columns must be positive.');
+	const { items, index } = insertionPoint(doc, spec, ctx);
+	const terminator = items[paragraphEnd(items, index)];
+	const table = [paragraphBreak(terminator, inheritedTextStyle(items, index)), { kind: 'tableStart' }];
+	for (let r = 0; r < rows; r++) {
+		table.push({ kind: 'rowStart' });
+		for (let c = 0; c < columns; c++) table.push({ kind: 'cellStart' }, newline());
+	}
+	table.push({ kind: 'tableEnd' });
+	items.splice(index, 0, ...table);
+}
+
+function insertInlineImage(doc, { uri, objectSize, ...spec }, ctx) {
+	if (!/^https?:\/\//.test(uri || '')) throw invalidRequest(ctx.index, ctx.type, 'There was a problem retrieving the image. The provided image should be publicly accessible, within size limit, and in supported formats.');
+	const { tab, items, index } = insertionPoint(doc, spec, ctx);
+	const objectId = ctx.nextId('kix.obj.');
+	tab.inlineObjects[objectId] = {
+		objectId,
+		inlineObjectProperties: {
+			embeddedObject: {
+				imageProperties: { contentUri: uri, sourceUri: uri, cropProperties: {} },
+				size: clone(objectSize) || { width: { magnitude: 200, unit: 'PT' }, height: { magnitude: 150, unit: 'PT' } },
+				marginTop: { magnitude: 9, unit: 'PT' },
+				marginBottom: { magnitude: 9, unit: 'PT' },
+			},
+		},
+	};
+	items.splice(index, 0, { kind: 'inlineObject', inlineObjectId: objectId, textStyle: inheritedTextStyle(items, index) });
+	return { insertInlineImage: { objectId } };
+}
+
+// Smart chips are one-index inline elements; the emulator has no directory, so a person has no name and a rich link no title
+function insertChip(doc, kind, properties, spec, ctx) {
+	const { items, index } = insertionPoint(doc, spec, ctx);
+	items.splice(index, 0, { kind, id: ctx.nextId('kix.'), properties: clone(properties), textStyle: inheritedTextStyle(items, index) });
+}
+
+function insertPerson(doc, { personProperties = {}, ...spec }, ctx) {
+	if (!personProperties.email) throw invalidRequest(ctx.index, ctx.type, 'personProperties.email is required.');
+	if (personProperties.name) throw invalidRequest(ctx.index, ctx.type, 'personProperties.name is output only.');
+	insertChip(doc, 'person', { email: personProperties.email }, spec, ctx);
+}
+
+function insertRichLink(doc, { richLinkProperties = {}, ...spec }, ctx) {
+	if (!/^https?:\/\//.test(richLinkProperties.uri || '')) throw invalidRequest(ctx.index, ctx.type, 'richLinkProperties.uri must be a URL.');
+	insertChip(doc, 'richLink', { uri: richLinkProperties.uri }, spec, ctx);
+}
+
+function insertDate(doc, { dateElementProperties = {}, ...spec }, ctx) {
+	const { timestamp, timeZoneId, timeFormat } = dateElementProperties;
+	if (!timestamp || Number.isNaN(Date.parse(timestamp))) throw invalidRequest(ctx.index, ctx.type, 'dateElementProperties.timestamp is required.');
+	if (timeZoneId && timeFormat !== 'TIME_FORMAT_HOUR_MINUTE_TIMEZONE') throw invalidRequest(ctx.index, ctx.type, 'timeZoneId requires TIME_FORMAT_HOUR_MINUTE_TIMEZONE.');
+	insertChip(doc, 'dateElement', { ...dateElementProperties, displayText: timestamp.slice(0, 10) }, spec, ctx);
+}
+
+// A new footnote holds a space and a newline; its reference is a one-index element at `location`
+function createFootnote(doc, spec, ctx) {
+	const { tab, items, index, segmentId } = insertionPoint(doc, spec, ctx);
+	if (segmentId) throw invalidRequest(ctx.index, ctx.type, 'Footnotes can only be created in the body.');
+	const footnoteId = ctx.nextId('kix.fn.');
+	tab.footnotes = { ...tab.footnotes, [footnoteId]: [{ ch: ' ', textStyle: {} }, newline()] };
+	items.splice(index, 0, { kind: 'footnoteReference', footnoteId, textStyle: inheritedTextStyle(items, index) });
+	return { createFootnote: { footnoteId } };
+}
+
+// A page break is a one-index element followed by a new paragraph, and is only allowed in the body outside tables
+function insertPageBreak(doc, spec, ctx) {
+	const { items, index, segmentId } = insertionPoint(doc, spec, ctx);
+	const tableDepth = items.slice(0, index).reduce((depth, item) => depth + (item.kind === 'tableStart') - (item.kind === 'tableEnd'), 0);
+	if (segmentId || tableDepth) throw invalidRequest(ctx.index, ctx.type, 'Page breaks cannot be inserted inside a table, footnote, header or footer.');
+	const terminator = items[paragraphEnd(items, index)];
+	const textStyle = inheritedTextStyle(items, index);
+	items.splice(index, 0, { kind: 'pageBreak', textStyle }, paragraphBreak(terminator, textStyle));
+}
+
+function createNamedRange(doc, { name, range }, ctx) {
+	if (!name || name.length > 256) throw invalidRequest(ctx.index, ctx.type, 'The name must be between 1 and 256 characters.');
+	const { tab, items, start, end } = rangeIn(doc, range, ctx);
+	const namedRangeId = ctx.nextId('kix.');
+	tab.namedRanges = { ...tab.namedRanges, [namedRangeId]: name };
+	for (let k = start; k < end; k++) items[k].namedRangeIds = [...(items[k].namedRangeIds || []), namedRangeId];
+	return { createNamedRange: { namedRangeId } };
+}
+
+const allTabs = tabs => (tabs || []).flatMap(t => [t, ...allTabs(t.childTabs)]);
+
+function deleteNamedRange(doc, { namedRangeId, name, tabsCriteria }, ctx) {
+	if (!namedRangeId === !name) throw invalidRequest(ctx.index, ctx.type, 'Exactly one of namedRangeId or name must be set.');
+	const tabs = tabsCriteria?.tabIds ? tabsCriteria.tabIds.map(id => segmentAt(doc, { tabId: id }, ctx).tab) : allTabs(doc.tabs);
+	for (const tab of tabs) {
+		const ids = new Set(Object.entries(tab.namedRanges || {}).filter(([id, n]) => id === namedRangeId || n === name).map(([id]) => id));
+		if (!ids.size) continue;
+		for (const id of ids) delete tab.namedRanges[id];
+		for (const item of tab.body) {
+			if (item.namedRangeIds) item.namedRangeIds = item.namedRangeIds.filter(id => !ids.has(id));
+		}
+	}
+}
+
+const HANDLERS = {
+	insertText,
+	deleteContentRange,
+	updateParagraphStyle,
+	updateTextStyle,
+	createParagraphBullets,
+	deleteParagraphBullets,
+	insertTable,
+	insertInlineImage,
+	insertPerson,
+	insertRichLink,
+	insertDate,
+	createFootnote,
+	insertPageBreak,
+	createNamedRange,
+	deleteNamedRange,
+};
+
+const HEADING_STYLES = /^(TITLE|SUBTITLE|HEADING_[1-6])$/;
+
+// Docs gives every heading paragraph a stable headingId (the target of heading links)
+function assignHeadingIds(tabs, nextId) {
+	for (const tab of tabs) {
+		const seen = new Set();
+		for (const item of tab.body) {
+			if (!isNewline(item)) continue;
+			const ps = item.paragraphStyle || {};
+			if (!HEADING_STYLES.test(ps.namedStyleType || '')) delete ps.headingId;
+			else if (!ps.headingId || seen.has(ps.headingId)) ps.headingId = nextId('h.');
+			if (ps.headingId) seen.add(ps.headingId);
+		}
+		assignHeadingIds(tab.childTabs, nextId);
+	}
+}
+
+/**
+ * Apply batchUpdate requests to a copy of `doc`; the caller swaps it in only
+ * when every request succeeded, matching the API's all-or-nothing semantics.
+ */
+export function applyRequests(doc, requests, nextId) {
+	const draft = clone(doc);
+	const replies = requests.map((request, index) => {
+		const [type] = Object.keys(request || {});
+		const handler = HANDLERS[type];
+		if (!handler) throw apiError(400, `Invalid requests[${index}]: ${type || '(empty)'} is not supported by the emulator.`);
+		return handler(draft, request[type], { index, type, nextId }) || {};
+	});
+	assignHeadingIds(draft.tabs, nextId);
+	return { draft, replies };
+}
@@ -0,0 +1,188 @@
+import { apiError } from './errors.js';
+import { clone } from './segment.js';
+
+// Split a Drive `q` string on top-level `and`, leaving quoted strings and `{...}` intact
+function splitConjunction(q) {
+	const parts = [];
+	let depth = 0;
+	let quoted = false;
+	let cur = '';
+	for (let i = 0; i < q.length; i++) {
+		const ch = q[i];
+		if (ch === '\\' && quoted) { cur += ch + q[++i]; continue; }
+		if (ch === '\'') quoted = !quoted;
+		if (!quoted && ch === '{') depth++;
+		if (!quoted && ch === '}') depth--;
+		if (!quoted && depth === 0 && /^\s+and\s+/i.test(q.slice(i))) {
+			parts.push(cur.trim());
+			cur = '';
+			i += q.slice(i).match(/^\s+and\s+/i)[0].length - 1;
+			continue;
+		}
+		cur += ch;
+	}
+	if (cur.trim()) parts.push(cur.trim());
+	return parts.map(p => p.replace(/^\((.*)\)$/s, '$1').trim());
+}
+
+const unquote = s => s.replace(/^'(.*)'$/s, '$1').replace(/\\'/g, '\'').replace(/\\\\/g, '\\');
+
+const CLAUSES = [
+	[/^('.+')\s+in\s+parents$/s, (f, [, id]) => (f.parents || []).includes(unquote(id))],
+	[/^mimeType\s*(!?=)\s*('.*')$/s, (f, [, op, v]) => (f.mimeType === unquote(v)) === (op === '=')],
+	[/^name\s*(!?=)\s*('.*')$/s, (f, [, op, v]) => (f.name === unquote(v)) === (op === '=')],
+	[/^name\s+contains\s+('.*')$/s, (f, [, v]) => (f.name || '').includes(unquote(v))],
+	[/^trashed\s*=\s*(true|false)$/, (f, [, v]) => !!f.trashed === (v === 'true')],
+	[/^(appProperties|properties)\s+has\s+\{\s*key\s*=\s*('.*?')\s+and\s+value\s*=\s*('.*?')\s*\}$/s,
+		(f, [, bag, k, v]) => f[bag]?.[unquote(k)] === unquote(v)],
+];
+
+function compileQuery(q) {
+	if (!q) return () => true;
+	const tests = splitConjunction(q).map(clause => {
+		for (const [re, test] of CLAUSES) {
+			const m = clause.match(re);
+			if (m) return f => test(f, m);
+		}
+		throw apiError(400, `Invalid Value: the emulator does not support the query clause "${clause}".`);
+	});
+	return f => tests.every(t => t(f));
+}
+
+function mergeBag(current = {}, patch) {
+	if (patch === undefined) return current;
+	const out = { ...current };
+	for (const [k, v] of Object.entries(patch || {})) {
+		if (v === null) delete out[k];
+		else out[k] = String(v);
+	}
+	return out;
+}
+
+async function readMedia(body) {
+	if (body == null) return Buffer.alloc(0);
+	if (Buffer.isBuffer(body)) return body;
+	if (typeof body === 'string') return Buffer.from(body);
+	const chunks = [];
+	for await (const chunk of body) chunks.push(Buffer.from(chunk));
+	return Buffer.concat(chunks);
+}
+
+function publicFile(file) {
+	const { content, permissions, ...rest } = file;
+	return clone(rest);
+}
+
+/**
+ * Drive v3 `files`, `changes`, `permissions` and `about` over the emulator store.
+ */
+export function createDriveApi(store) {
+	const { state } = store;
+
+	const requireFile = (fileId) => {
+		const file = state.files[fileId];
+		if (!file || file.accessLost) throw apiError(404, `File not found: ${fileId}.`);
+		return file;
+	};
+
+	const files = {
+		async create({ requestBody = {}, media } = {}) {
+			const mimeType = requestBody.mimeType || media?.mimeType || 'application/octet-stream';
+			const file = store.createFile({
+				name: requestBody.name || 'Untitled',
+				mimeType,
+				parents: requestBody.parents || ['root'],
+				appProperties: mergeBag({}, requestBody.appProperties),
+				properties: mergeBag({}, requestBody.properties),
+			});
+			if (media) {
+				file.content = (await readMedia(media.body)).toString('base64');
+				file.size = String(Buffer.from(file.content, 'base64').length);
+			}
+			return publicFile(file);
+		},
+		async get({ fileId, alt } = {}) {
+			const file = requireFile(fileId);
+			if (alt === 'media') return Buffer.from(file.content || '', 'base64');
+			return publicFile(file);
+		},
+		async list({ q, pageSize = 100, pageToken } = {}) {
+			const matches = compileQuery(q);
+			const all = Object.values(state.files).filter(f => !f.accessLost && matches(f));
+			const offset = pageToken ? parseInt(pageToken, 10) : 0;
+			const page = all.slice(offset, offset + pageSize);
+			const next = offset + pageSize < all.length ? String(offset + pageSize) : undefined;
+			return { kind: 'drive#fileList', files: page.map(publicFile), ...(next ? { nextPageToken: next } : {}) };
+		},
+		async update({ fileId, requestBody = {}, addParents, removeParents } = {}) {
+			const file = requireFile(fileId);
+			if (requestBody.name !== undefined) file.name = requestBody.name;
+			if (requestBody.trashed !== undefined) file.trashed = !!requestBody.trashed;
+			file.appProperties = mergeBag(file.appProperties, requestBody.appProperties);
+			file.properties = mergeBag(file.properties, requestBody.properties);
+			const remove = new Set((removeParents || '').split(',').filter(Boolean));
+			const add = (addParents || '').split(',').filter(Boolean);
+			file.parents = [...new Set([...(file.parents || []).filter(p => !remove.has(p)), ...add])];
+			store.touchFile(fileId);
+			return publicFile(file);
+		},
+		async delete({ fileId } = {}) {
+			requireFile(fileId);
+			store.deleteFile(fileId);
+			return '';
+		},
+	};
+
+	const changes = {
+		async getStartPageToken() {
+			return { kind: 'drive#startPageToken', startPageToken: String(state.changes.length + 1) };
+		},
+		async list({ pageToken, pageSize = 100 } = {}) {
+			const from = parseInt(pageToken, 10);
+			if (!(from >= 1) || from > state.changes.length + 1) throw apiError(400, `Invalid Value: pageToken ${pageToken}.`);
+			const slice = state.changes.slice(from - 1, from - 1 + pageSize);
+			// Drive reports each file at most once per page, with its latest state
+			const latest = new Map();
+			for (const ch of slice) {
+				latest.delete(ch.fileId);
+				latest.set(ch.fileId, ch);
+			}
+			const nextIndex = from + slice.length;
+			const more = nextIndex <= state.changes.length;
+			return {
+				kind: 'drive#changeList',
+				changes: [...latest.values()].map(ch => clone(ch)),
+				...(more ? { nextPageToken: String(nextIndex) } : { newStartPageToken: String(nextIndex) }),
+			};
+		},
+	};
+
+	const permissions = {
+		async create({ fileId, requestBody = {} } = {}) {
+			const file = requireFile(fileId);
+			const id = requestBody.type === 'anyone' ? 'anyoneWithLink' : store.nextId('perm');
+			const permission = { kind: 'drive#permission', id, ...clone(requestBody) };
+			file.permissions = [...(file.permissions || []).filter(p => p.id !== id), permission];
+			store.touchFile(fileId);
+			return clone(permission);
+		},
+		async list({ fileId } = {}) {
+			return { kind: 'drive#permissionList', permissions: clone(requireFile(fileId).permissions || []) };
+		},
+		async delete({ fileId, permissionId } = {}) {
+			const file = requireFile(fileId);
+			if (!(file.permissions || []).some(p => p.id === permissionId)) throw apiError(404, `Permission not found: ${permissionId}.`);
+			file.permissions = file.permissions.filter(p => p.id !== permissionId);
+			store.touchFile(fileId);
+			return '';
+		},
+	};
+
+	const about = {
+		async get() {
+			return { kind: 'drive#about', user: { displayName: 'Emulator User', emailAddress: 'emulator@example.com' } };
+		},
+	};
+
+	return { files, changes, permissions, about };
+}
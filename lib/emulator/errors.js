@@ -0,0 +1,26 @@
+const STATUS_NAMES = {
+	400: 'INVALID_ARGUMENT',
+	403: 'PERMISSION_DENIED',
+	404: 'NOT_FOUND',
+	409: 'ABORTED',
+	429: 'RESOURCE_EXHAUSTED',
+	500: 'INTERNAL',
+	503: 'UNAVAILABLE',
+};
+
+/**
+ * Build an error shaped like the GaxiosError googleapis rejects with, so
+ * callers can keep reading `err.code` and `err.response.data.error`.
+ */
+export function apiError(code, message, status = STATUS_NAMES[code] || 'UNKNOWN') {
+	const err = new Error(message);
+	err.code = code;
+	err.status = code;
+	err.errors = [{ message, domain: 'global', reason: status.toLowerCase() }];
+	err.response = { status: code, headers: {}, data: { error: { code, message, status } } };
+	return err;
+}
+
+export function invalidRequest(index, type, message) {
+	return apiError(400, `Invalid requests[${index}].${type}: ${message}`);
+}
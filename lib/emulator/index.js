@@ -0,0 +1,153 @@
+/**
+ * In-memory emulator of the Docs v1 and Drive v3 endpoints used by this repo.
+ *
+ * Enabled for lib/getAuth.js clients with GOOGLE_API_EMULATOR=1. Set
+ * GOOGLE_API_EMULATOR_STATE=<file.json> to persist state between processes
+ * (e.g. `bindNote` followed by `pollChanges`).
+ */
+import fs from 'fs';
+import { apiError } from './errors.js';
+import { DOC_MIME_TYPE, applyRequests, findTab, newDocument, newTab, renderDocument, revisionId } from './docs.js';
+import { createDriveApi } from './drive.js';
+import { clone } from './segment.js';
+
+function emptyState() {
+	return { counters: {}, files: {}, documents: {}, changes: [] };
+}
+
+function loadState(statePath) {
+	if (!statePath || !fs.existsSync(statePath)) return emptyState();
+	return JSON.parse(fs.readFileSync(statePath, 'utf8'));
+}
+
+// googleapis resolves with a GaxiosResponse; mirror `{ data, status }`
+function endpoint(store, fn) {
+	return async (params = {}) => {
+		const data = await fn(params);
+		store.commit();
+		return { data: Buffer.isBuffer(data) ? data : clone(data), status: 200, headers: {} };
+	};
+}
+
+function wrapResource(store, resource) {
+	return Object.fromEntries(Object.entries(resource).map(([name, fn]) => [name, endpoint(store, fn)]));
+}
+
+export function createEmulator({ statePath } = {}) {
+	const state = loadState(statePath);
+
+	const store = {
+		state,
+		nextId(prefix) {
+			state.counters[prefix] = (state.counters[prefix] || 0) + 1;
+			return `${prefix}${state.counters[prefix]}`;
+		},
+		recordChange(fileId, removed = false) {
+			const file = state.files[fileId];
+			state.changes.push({
+				kind: 'drive#change',
+				changeType: 'file',
+				fileId,
+				removed,
+				time: new Date().toISOString(),
+				...(removed ? {} : { file: { ...clone(file), content: undefined, permissions: undefined } }),
+			});
+		},
+		createFile(fields) {
+			const id = store.nextId('emu-file-');
+			const now = new Date().toISOString();
+			const file = { kind: 'drive#file', id, createdTime: now, modifiedTime: now, trashed: false, ...fields };
+			state.files[id] = file;
+			if (file.mimeType === DOC_MIME_TYPE) state.documents[id] = newDocument(id, file.name);
+			store.recordChange(id);
+			return file;
+		},
+		touchFile(fileId) {
+			state.files[fileId].modifiedTime = new Date().toISOString();
+			store.recordChange(fileId);
+		},
+		deleteFile(fileId) {
+			delete state.files[fileId];
+			delete state.documents[fileId];
+			store.recordChange(fileId, true);
+		},
+		commit() {
+			if (statePath) fs.writeFileSync(statePath, JSON.stringify(state));
+		},
+	};
+
+	const requireDocument = (documentId) => {
+		const doc = state.documents[documentId];
+		if (!doc || state.files[documentId]?.accessLost) throw apiError(404, `Requested entity was not found.`);
+		return doc;
+	};
+
+	const documents = {
+		async create({ requestBody = {} } = {}) {
+			const file = store.createFile({ name: requestBody.title || 'Untitled document', mimeType: DOC_MIME_TYPE, parents: ['root'] });
+			return renderDocument(state.documents[file.id]);
+		},
+		async get({ documentId, includeTabsContent } = {}) {
+			return renderDocument(requireDocument(documentId), { includeTabsContent });
+		},
+		async batchUpdate({ documentId, requestBody = {} } = {}) {
+			const doc = requireDocument(documentId);
+			const { requests = [], writeControl } = requestBody;
+			if (writeControl?.requiredRevisionId && writeControl.requiredRevisionId !== revisionId(doc)) {
+				throw apiError(400, 'The document has been modified since the required revision ID was issued.', 'FAILED_PRECONDITION');
+			}
+			const { draft, replies } = applyRequests(doc, requests, store.nextId);
+			if (requests.length) {
+				draft.revision++;
+				state.documents[documentId] = draft;
+				store.touchFile(documentId);
+			}
+			return { documentId, replies, writeControl: { requiredRevisionId: revisionId(draft) } };
+		},
+	};
+
+	const drive = createDriveApi(store);
+
+	return {
+		state,
+		docs: { documents: wrapResource(store, documents) },
+		drive: {
+			files: wrapResource(store, drive.files),
+			changes: wrapResource(store, drive.changes),
+			permissions: wrapResource(store, drive.permissions),
+			about: wrapResource(store, drive.about),
+		},
+		/** Add a (child) tab; the public API has no request for this. */
+		addTab(documentId, { title = 'Untitled tab', parentTabId } = {}) {
+			const doc = requireDocument(documentId);
+			const tab = newTab(store.nextId('t.emu'), title);
+			const siblings = parentTabId ? findTab(doc.tabs, parentTabId)?.childTabs : doc.tabs;
+			if (!siblings) throw apiError(404, `Tab not found: ${parentTabId}.`);
+			siblings.push(tab);
+			doc.revision++;
+			store.touchFile(documentId);
+			store.commit();
+			return tab.tabId;
+		},
+		/** Simulate the user losing access (unshare/delete elsewhere): emits a `removed` change. */
+		revokeAccess(fileId) {
+			if (!state.files[fileId]) throw apiError(404, `File not found: ${fileId}.`);
+			state.files[fileId].accessLost = true;
+			store.recordChange(fileId, true);
+			store.commit();
+		},
+	};
+}
+
+let shared = null;
+
+export function isEmulatorEnabled() {
+	const flag = process.env.GOOGLE_API_EMULATOR;
+	return !!flag && flag !== '0' && flag !== 'false';
+}
+
+// One emulator per process so Docs and Drive clients see the same files
+export function getEmulator() {
+	if (!shared) shared = createEmulator({ statePath: process.env.GOOGLE_API_EMULATOR_STATE });
+	return shared;
+}
@@ -0,0 +1,44 @@
+// Nesting levels produced by each createParagraphBullets preset (levels repeat every 3)
+const BULLET_PRESETS = {
+	BULLET_DISC_CIRCLE_SQUARE: ['●', '○', '■'],
+	BULLET_DIAMONDX_ARROW3D_SQUARE: ['❖', '➢', '■'],
+	BULLET_CHECKBOX: ['☐', '☐', '☐'],
+	BULLET_ARROW_DIAMOND_DISC: ['➔', '◆', '●'],
+	BULLET_STAR_CIRCLE_SQUARE: ['★', '○', '■'],
+	BULLET_ARROW3D_CIRCLE_SQUARE: ['➢', '○', '■'],
+	BULLET_LEFTTRIANGLE_DIAMOND_DISC: ['◄', '◆', '●'],
+	BULLET_DIAMONDX_HOLLOWDIAMOND_SQUARE: ['❖', '◇', '■'],
+	BULLET_DIAMOND_CIRCLE_SQUARE: ['◆', '○', '■'],
+};
+
+const NUMBERED_PRESETS = {
+	NUMBERED_DECIMAL_ALPHA_ROMAN: [['DECIMAL', '%0.'], ['ALPHA', '%1.'], ['ROMAN', '%2.']],
+	NUMBERED_DECIMAL_ALPHA_ROMAN_PARENS: [['DECIMAL', '%0)'], ['ALPHA', '%1)'], ['ROMAN', '%2)']],
+	NUMBERED_DECIMAL_NESTED: [['DECIMAL', '%0.'], ['DECIMAL', '%0.%1.'], ['DECIMAL', '%0.%1.%2.']],
+	NUMBERED_UPPERALPHA_ALPHA_ROMAN: [['UPPER_ALPHA', '%0.'], ['ALPHA', '%1.'], ['ROMAN', '%2.']],
+	NUMBERED_UPPERROMAN_UPPERALPHA_DECIMAL: [['UPPER_ROMAN', '%0.'], ['UPPER_ALPHA', '%1.'], ['DECIMAL', '%2.']],
+	NUMBERED_ZERODECIMAL_ALPHA_ROMAN: [['ZERO_DECIMAL', '%0.'], ['ALPHA', '%1.'], ['ROMAN', '%2.']],
+};
+
+export function isKnownPreset(preset) {
+	return preset in BULLET_PRESETS || preset in NUMBERED_PRESETS;
+}
+
+export function listPropertiesFor(preset) {
+	const nestingLevels = [];
+	for (let level = 0; level < 9; level++) {
+		const indent = {
+			indentFirstLine: { magnitude: 18 + level * 36, unit: 'PT' },
+			indentStart: { magnitude: 36 + level * 36, unit: 'PT' },
+			textStyle: { underline: false },
+		};
+		if (preset in NUMBERED_PRESETS) {
+			const [glyphType, glyphFormat] = NUMBERED_PRESETS[preset][level % 3];
+			nestingLevels.push({ bulletAlignment: 'START', glyphType, glyphFormat, startNumber: 1, ...indent });
+		} else {
+			const glyphSymbol = BULLET_PRESETS[preset][level % 3];
+			nestingLevels.push({ bulletAlignment: 'START', glyphSymbol, glyphFormat: `%${level}`, startNumber: 1, ...indent });
+		}
+	}
+	return { nestingLevels };
+}
@@ -0,0 +1,183 @@
+/**
+ * Flat model of a Docs segment (body, header, footnote...).
+ *
+ * A segment is an array of items, one per Docs index:
+ *   { ch, textStyle }                      a character; '\n' also carries paragraphStyle/bullet
+ *   { kind: 'inlineObject' | 'person' | 'richLink' | 'dateElement' | 'footnoteReference' | 'pageBreak', ..., textStyle }
+ *                                          a one-index inline element
+ *   { kind: 'sectionBreak' | 'tableStart' | 'rowStart' | 'cellStart' | 'tableEnd' }
+ * Any item may carry `namedRangeIds`, the named ranges covering it.
+ * Structural elements (paragraphs, tables) are rebuilt from it on read, which
+ * keeps insert/delete index arithmetic identical to the real API.
+ */
+
+const STRUCTURAL = new Set(['sectionBreak', 'tableStart', 'rowStart', 'cellStart', 'tableEnd']);
+
+export const DEFAULT_PARAGRAPH_STYLE = { namedStyleType: 'NORMAL_TEXT', direction: 'LEFT_TO_RIGHT' };
+
+export function clone(value) {
+	return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+export function isStructural(item) {
+	return !!item && STRUCTURAL.has(item.kind);
+}
+
+export function isNewline(item) {
+	return !!item && item.ch === '\n';
+}
+
+export function newline(paragraphStyle = DEFAULT_PARAGRAPH_STYLE, textStyle = {}) {
+	return { ch: '\n', textStyle: clone(textStyle), paragraphStyle: clone(paragraphStyle) };
+}
+
+export function emptyBody() {
+	return [{ kind: 'sectionBreak' }, newline()];
+}
+
+// Index of the newline terminating the paragraph that contains `index`
+export function paragraphEnd(items, index) {
+	let i = index;
+	while (i < items.length && !isNewline(items[i])) {
+		if (isStructural(items[i])) return -1;
+		i++;
+	}
+	return i < items.length ? i : -1;
+}
+
+// Index of the first item of the paragraph that contains `index`
+export function paragraphStart(items, index) {
+	let i = index;
+	while (i > 0 && !isNewline(items[i - 1]) && !isStructural(items[i - 1])) i--;
+	return i;
+}
+
+// Newline indexes of every paragraph overlapping [start, end)
+export function paragraphTerminators(items, start, end) {
+	const out = [];
+	let i = start;
+	do {
+		while (i < items.length && isStructural(items[i])) i++;
+		if (out.length && i >= end) break;
+		const t = i < items.length ? paragraphEnd(items, i) : -1;
+		if (t < 0) break;
+		out.push(t);
+		i = t + 1;
+	} while (i < end);
+	return out;
+}
+
+// Copy the top-level `fields` of `source` onto `target` ('*' replaces everything)
+export function applyFields(target, source = {}, fields = '') {
+	const keys = fields.trim() === '*'
+		? new Set([...Object.keys(target), ...Object.keys(source)])
+		: new Set(fields.split(',').map(f => f.trim().split('.')[0]).filter(Boolean));
+	for (const k of keys) {
+		if (source[k] === undefined || source[k] === null) delete target[k];
+		else target[k] = clone(source[k]);
+	}
+	return target;
+}
+
+function sameStyle(a, b) {
+	return JSON.stringify(a || {}) === JSON.stringify(b || {});
+}
+
+function inlineElement(item, index, renderInline) {
+	return { startIndex: index, endIndex: index + 1, ...renderInline(item) };
+}
+
+function buildParagraph(items, start, renderInline) {
+	const elements = [];
+	let i = start;
+	for (; i < items.length; i++) {
+		const item = items[i];
+		if (item.kind) {
+			elements.push(inlineElement(item, i, renderInline));
+			continue;
+		}
+		const prev = elements[elements.length - 1];
+		if (prev?.textRun && prev.endIndex === i && sameStyle(prev.textRun.textStyle, item.textStyle)) {
+			prev.textRun.content += item.ch;
+			prev.endIndex = i + 1;
+		} else {
+			elements.push({ startIndex: i, endIndex: i + 1, textRun: { content: item.ch, textStyle: clone(item.textStyle || {}) } });
+		}
+		if (item.ch === '\n') break;
+	}
+	const terminator = items[i];
+	const paragraph = { elements, paragraphStyle: clone(terminator.paragraphStyle || DEFAULT_PARAGRAPH_STYLE) };
+	if (terminator.bullet) paragraph.bullet = clone(terminator.bullet);
+	return { element: { startIndex: start, endIndex: i + 1, paragraph }, next: i + 1 };
+}
+
+function buildTable(items, start, renderInline) {
+	const tableRows = [];
+	let i = start + 1;
+	while (items[i]?.kind === 'rowStart') {
+		const row = { startIndex: i, tableCells: [], tableRowStyle: { minRowHeight: { unit: 'PT' } } };
+		i++;
+		while (items[i]?.kind === 'cellStart') {
+			const cellStart = i;
+			const { content, next } = buildRange(items, i + 1, renderInline);
+			row.tableCells.push({
+				startIndex: cellStart,
+				endIndex: next,
+				content,
+				tableCellStyle: { rowSpan: 1, columnSpan: 1, contentAlignment: 'TOP' },
+			});
+			i = next;
+		}
+		row.endIndex = i;
+		tableRows.push(row);
+	}
+	const columns = tableRows[0]?.tableCells.length || 0;
+	return {
+		element: {
+			startIndex: start,
+			endIndex: i + 1,
+			table: {
+				rows: tableRows.length,
+				columns,
+				tableRows,
+				tableStyle: { tableColumnProperties: Array.from({ length: columns }, () => ({ widthType: 'EVENLY_DISTRIBUTED' })) },
+			},
+		},
+		next: i + 1,
+	};
+}
+
+function buildRange(items, start, renderInline) {
+	const content = [];
+	let i = start;
+	while (i < items.length) {
+		const item = items[i];
+		if (item.kind === 'sectionBreak') {
+			content.push({
+				...(i > 0 ? { startIndex: i } : {}),
+				endIndex: i + 1,
+				sectionBreak: { sectionStyle: { columnSeparatorStyle: 'NONE', contentDirection: 'LEFT_TO_RIGHT', sectionType: 'CONTINUOUS' } },
+			});
+			i++;
+		} else if (item.kind === 'tableStart') {
+			const { element, next } = buildTable(items, i, renderInline);
+			content.push(element);
+			i = next;
+		} else if (isStructural(item)) {
+			break;
+		} else {
+			const { element, next } = buildParagraph(items, i, renderInline);
+			content.push(element);
+			i = next;
+		}
+	}
+	return { content, next: i };
+}
+
+/**
+ * Rebuild Docs StructuralElements from segment items. `renderInline(item)`
+ * returns the ParagraphElement payload for non-text items.
+ */
+export function buildContent(items, renderInline) {
+	return buildRange(items, 0, renderInline).content;
+}
@@ -0,0 +1,113 @@
+/**
+ * Advisory lock files shared by the local JSON stores (mapping.json,
+ * image-cache.json): `<file>.lock`, created with O_EXCL and holding the
+ * holder's `{ pid, ts }`. Locks left by dead processes or older than 30s are
+ * broken. Holders keep them for one synchronous read-modify-write.
+ */
+import fs from 'fs';
+
+const LOCK_TIMEOUT_MS = 10_000;
+const LOCK_STALE_MS = 30_000;
+const LOCK_POLL_MS = 50;
+
+/** Timed out waiting for a lock (`LOCK_TIMEOUT`). */
+export class FileLockError extends Error {
+	constructor(message, { code, lockPath } = {}) {
+		super(message);
+		this.name = 'FileLockError';
+		this.code = code;
+		this.lockPath = lockPath;
+	}
+}
+
+export const lockPathFor = filePath => `${filePath}.lock`;
+
+function sleepSync(ms) {
+	Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+// The lock file as seen now (inode, mtime, content), or null when there is none
+function lockSnapshot(lockPath) {
+	try {
+		const { ino, mtimeMs } = fs.statSync(lockPath);
+		return { ino, mtimeMs, raw: fs.readFileSync(lockPath, 'utf8') };
+	} catch (err) {
+		if (err.code === 'ENOENT') return null;
+		throw err;
+	}
+}
+
+function isStaleLock({ mtimeMs, raw }) {
+	let holder;
+	try {
+		holder = JSON.parse(raw);
+	} catch {
+		// Unparsable: either being written right now or its writer crashed
+		return Date.now() - mtimeMs > 1000;
+	}
+	if (Date.now() - holder.ts > LOCK_STALE_MS) return true;
+	try {
+		process.kill(holder.pid, 0);
+		return false;
+	} catch (err) {
+		return err.code === 'ESRCH';
+	}
+}
+
+/**
+ * Remove the stale lock in `snapshot`. It is first renamed aside, so of several
+ * processes breaking it only one wins; if what was renamed is not the lock
+ * judged stale (another process broke it and took a fresh one), it is put back.
+ */
+function breakStaleLock(lockPath, snapshot) {
+	const aside = `${lockPath}.${process.pid}.${Date.now()}.stale`;
+	try {
+		fs.renameSync(lockPath, aside);
+	} catch (err) {
+		if (err.code === 'ENOENT') return;
+		throw err;
+	}
+	try {
+		const taken = lockSnapshot(aside);
+		if (taken && (taken.ino !== snapshot.ino || taken.raw !== snapshot.raw)) {
+			try {
+				fs.linkSync(aside, lockPath);
+			} catch (err) {
+				if (err.code !== 'EEXIST') throw err;
+			}
+		}
+	} finally {
+		fs.rmSync(aside, { force: true });
+	}
+}
+
+/** Run `fn` while holding the lock of `filePath`; throws FileLockError after `timeoutMs`. */
+export function withFileLock(fn, filePath, { timeoutMs = LOCK_TIMEOUT_MS } = {}) {
+	const lockPath = lockPathFor(filePath);
+	const deadline = Date.now() + timeoutMs;
+	for (;;) {
+		try {
+			const fd = fs.openSync(lockPath, 'wx');
+			fs.writeFileSync(fd, JSON.stringify({ pid: process.pid, ts: Date.now() }));
+			fs.closeSync(fd);
+			break;
+		} catch (err) {
+			if (err.code !== 'EEXIST') throw err;
+			const snapshot = lockSnapshot(lockPath);
+			if (!snapshot) continue;
+			if (isStaleLock(snapshot)) {
+				breakStaleLock(lockPath, snapshot);
+				continue;
+			}
+			if (Date.now() > deadline) {
+				throw new FileLockError(`Timed out waiting for lock: ${lockPath}`, { code: 'LOCK_TIMEOUT', lockPath });
+			}
+			sleepSync(LOCK_POLL_MS);
+		}
+	}
+	try {
+		return fn();
+	} finally {
+		fs.rmSync(lockPath, { force: true });
+	}
+}
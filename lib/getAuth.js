@@ -1,41 +1,106 @@
 /**
- * Auth helper for integration tests.
- * Reads tokens from .token.json and returns authenticated OAuth2 client.
+ * Shared Google API client factory.
+ * Reads tokens from GOOGLE_TOKENS_PATH (default .token.json) and returns an
+ * authenticated OAuth2 client. Access tokens refreshed by googleapis (and any
+ * rotated refresh token) are written back to the same file, so long-running
+ * processes and the next run keep working after expiry.
+ * With GOOGLE_API_EMULATOR=1, getDocs/getDrive return the offline emulator
+ * from lib/emulator/ instead (no tokens needed).
  */
 import 'dotenv/config';
 import { google } from 'googleapis';
 import fs from 'fs';
+import { getEmulator, isEmulatorEnabled } from './emulator/index.js';
 
-export function getAuth() {
-  const tokensPath = process.env.GOOGLE_TOKENS_PATH || '.token.json';
-  
-  if (!fs.existsSync(tokensPath)) {
-    console.error(`Token file not found: ${tokensPath}`);
-    console.error('Run: npm run auth');
-    process.exit(1);
+export class AuthError extends Error {
+  constructor(message, { code, cause } = {}) {
+    super(message, { cause });
+    this.name = 'AuthError';
+    this.code = code;
   }
-  
-  const tokens = JSON.parse(fs.readFileSync(tokensPath, 'utf8'));
-  
-  const auth = new google.auth.OAuth2(
-    process.env.GOOGLE_CLIENT_ID,
-    process.env.GOOGLE_CLIENT_SECRET,
-    process.env.GOOGLE_REDIRECT_URI,
-  );
-  auth.setCredentials(tokens);
-  
+}
+
+/** Token file missing (`TOKENS_MISSING`), unreadable or not JSON (`TOKENS_INVALID`). */
+export class TokenFileError extends AuthError {
+  constructor(message, { code, cause, tokensPath } = {}) {
+    super(`${message} (run: npm run auth)`, { code, cause });
+    this.name = 'TokenFileError';
+    this.tokensPath = tokensPath;
+  }
+}
+
+/** GOOGLE_CLIENT_ID / GOOGLE_CLIENT_SECRET not configured. */
+export class ClientConfigError extends AuthError {
+  constructor(message) {
+    super(message, { code: 'CLIENT_CONFIG_MISSING' });
+    this.name = 'ClientConfigError';
+  }
+}
+
+export function tokensPathFromEnv() {
+  return process.env.GOOGLE_TOKENS_PATH || '.token.json';
+}
+
+/** OAuth2 client configured from env, without credentials (used by `npm run auth`). */
+export function createOAuthClient({ redirectUri = process.env.GOOGLE_REDIRECT_URI } = {}) {
+  const { GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET } = process.env;
+  if (!GOOGLE_CLIENT_ID || !GOOGLE_CLIENT_SECRET) {
+    throw new ClientConfigError('GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET must be set (see .env)');
+  }
+  return new google.auth.OAuth2(GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET, redirectUri);
+}
+
+export function readTokens(tokensPath = tokensPathFromEnv()) {
+  let raw;
+  try {
+    raw = fs.readFileSync(tokensPath, 'utf8');
+  } catch (err) {
+    const code = err.code === 'ENOENT' ? 'TOKENS_MISSING' : 'TOKENS_INVALID';
+    throw new TokenFileError(`Token file not readable: ${tokensPath}`, { code, cause: err, tokensPath });
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    throw new TokenFileError(`Token file is not valid JSON: ${tokensPath}`, { code: 'TOKENS_INVALID', cause: err, tokensPath });
+  }
+}
+
+/** Write tokens via temp file + rename so a crash never leaves a truncated token file. */
+export function writeTokens(tokens, tokensPath = tokensPathFromEnv()) {
+  const tmp = `${tokensPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(tokens, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, tokensPath);
+}
+
+export function getAuth({ tokensPath = tokensPathFromEnv() } = {}) {
+  if (isEmulatorEnabled()) return new google.auth.OAuth2();
+
+  const auth = createOAuthClient();
+  auth.setCredentials(readTokens(tokensPath));
+
+  // Refresh responses usually omit refresh_token: merge rather than replace
+  auth.on('tokens', (fresh) => {
+    try {
+      const current = fs.existsSync(tokensPath) ? readTokens(tokensPath) : {};
+      writeTokens({ ...current, ...fresh }, tokensPath);
+    } catch (err) {
+      console.warn(`Could not persist refreshed tokens to ${tokensPath}:`, err.message);
+    }
+  });
+
   return auth;
 }
 
 export function getDocs(auth) {
+  if (isEmulatorEnabled()) return getEmulator().docs;
   return google.docs({ version: 'v1', auth });
 }
 
 export function getDrive(auth) {
+  if (isEmulatorEnabled()) return getEmulator().drive;
   return google.drive({ version: 'v3', auth });
 }
 
 export function getStorage(auth) {
   return google.storage({ version: 'v1', auth });
 }
-
@@ -0,0 +1,161 @@
+/**
+ * Local cache of uploaded images, so a push does not upload the same image twice.
+ *
+ * `image-cache.json` (or IMAGE_CACHE_PATH) maps the SHA-256 of an image's
+ * bytes to what each uploader made of it, with the URL last used:
+ *   { images: { <sha256>: { drive: { fileId, uri, lastUsed },
+ *                           gcs: { bucket, object, uri, lastUsed } } } }
+ * The uploaded objects outlive the push; `npm run gc` deletes those no bound
+ * note refers to any more. Pushes and gc may run side by side, so both write
+ * their changes back under `<file>.lock` (lib/fileLock.js), merged into the
+ * cache as it is on disk then.
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { FileLockError, lockPathFor, withFileLock } from './fileLock.js';
+
+export class ImageCacheError extends Error {
+	constructor(message, { code, cause, filePath } = {}) {
+		super(message, { cause });
+		this.name = 'ImageCacheError';
+		this.code = code;
+		this.filePath = filePath;
+	}
+}
+
+export const defaultCachePath = () => path.resolve(process.cwd(), process.env.IMAGE_CACHE_PATH || 'image-cache.json');
+
+/** A missing file is an empty cache; a corrupt one is an error (it is the only record of the uploads). */
+export function loadImageCache(filePath = defaultCachePath()) {
+	let raw;
+	try {
+		raw = fs.readFileSync(filePath, 'utf8');
+	} catch (err) {
+		if (err.code === 'ENOENT') return { images: {} };
+		throw new ImageCacheError(`Image cache is not readable: ${filePath}`, { code: 'IMAGE_CACHE_UNREADABLE', cause: err, filePath });
+	}
+	let data;
+	try {
+		data = JSON.parse(raw);
+	} catch (err) {
+		throw new ImageCacheError(`Image cache is corrupt: ${filePath}`, { code: 'IMAGE_CACHE_CORRUPT', cause: err, filePath });
+	}
+	if (!data?.images || typeof data.images !== 'object') {
+		throw new ImageCacheError(`Image cache has no images map: ${filePath}`, { code: 'IMAGE_CACHE_CORRUPT', filePath });
+	}
+	return data;
+}
+
+/** Write via temp file + rename so an interrupted save keeps the previous cache. */
+export function saveImageCache(cache, filePath = defaultCachePath()) {
+	const tmp = `${filePath}.${process.pid}.tmp`;
+	fs.writeFileSync(tmp, JSON.stringify(cache, null, 2));
+	fs.renameSync(tmp, filePath);
+}
+
+/**
+ * Locked read-modify-write of the cache file; `mutate(cache)` edits in place.
+ * Throws IMAGE_CACHE_LOCKED if the lock is not free within `timeoutMs`.
+ */
+export function updateImageCache(mutate, filePath = defaultCachePath(), { timeoutMs } = {}) {
+	try {
+		return withFileLock(() => {
+			const cache = loadImageCache(filePath);
+			const result = mutate(cache);
+			saveImageCache(cache, filePath);
+			return result;
+		}, filePath, { timeoutMs });
+	} catch (err) {
+		if (err instanceof FileLockError && err.lockPath === lockPathFor(filePath)) {
+			throw new ImageCacheError(`Timed out waiting for image cache lock: ${err.lockPath}`, { code: 'IMAGE_CACHE_LOCKED', cause: err, filePath });
+		}
+		throw err;
+	}
+}
+
+/** Copy into `saved` the uploads `local` recorded or reused since `since` (an ISO timestamp). */
+export function mergeImageCache(saved, local, since) {
+	for (const [hash, kinds] of Object.entries(local.images)) {
+		for (const [kind, entry] of Object.entries(kinds)) {
+			if (entry.lastUsed >= since) saved.images[hash] = { ...saved.images[hash], [kind]: entry };
+		}
+	}
+}
+
+export function hashImage(filePath) {
+	return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+export function getCachedUpload(cache, hash, kind) {
+	return cache.images[hash]?.[kind] || null;
+}
+
+const sameUpload = (a, b) => a.fileId === b.fileId && a.bucket === b.bucket && a.object === b.object;
+
+/** Mark the cached upload of `hash` used now if it is still `ref`; false once gc has claimed or replaced it. */
+export function touchCachedUpload(cache, hash, kind, ref) {
+	const current = getCachedUpload(cache, hash, kind);
+	if (!current || !sameUpload(current, ref)) return false;
+	current.lastUsed = new Date().toISOString();
+	return true;
+}
+
+/** Record `ref` (uploader-specific ids plus `uri`) as the upload of `hash`. */
+export function setCachedUpload(cache, hash, kind, ref) {
+	cache.images[hash] = { ...cache.images[hash], [kind]: { ...ref, lastUsed: new Date().toISOString() } };
+}
+
+/** Cached uploads whose hash is not in `referenced`: [{ hash, kind, entry }]. */
+export function unreferencedUploads(cache, referenced) {
+	return Object.entries(cache.images)
+		.filter(([hash]) => !referenced.has(hash))
+		.flatMap(([hash, kinds]) => Object.entries(kinds).map(([kind, entry]) => ({ hash, kind, entry })));
+}
+
+const REMOVERS = {
+	drive: ({ drive }, { fileId }) => drive.files.delete({ fileId }),
+	gcs: ({ storage }, { bucket, object }) => storage.objects.delete({ bucket, object }),
+};
+
+/** Drop a deleted upload from `cache`, unless its entry has since been replaced by another upload. */
+export function forgetUpload(cache, { hash, kind, entry }) {
+	const current = cache.images[hash]?.[kind];
+	if (!current || !sameUpload(current, entry)) return;
+	const { [kind]: _, ...rest } = cache.images[hash];
+	if (Object.keys(rest).length) cache.images[hash] = rest;
+	else delete cache.images[hash];
+}
+
+/**
+ * Drop an unreferenced upload from `cache` before deleting it, unless it has
+ * been replaced or was used at or after `usedSince` (a push may be inserting
+ * it right now). Returns whether it was dropped, i.e. may be deleted.
+ */
+export function claimForDeletion(cache, upload, usedSince) {
+	const current = getCachedUpload(cache, upload.hash, upload.kind);
+	if (!current || !sameUpload(current, upload.entry) || current.lastUsed >= usedSince) return false;
+	forgetUpload(cache, upload);
+	return true;
+}
+
+/** Put back an upload claimed for deletion that could not be deleted, unless another took its place. */
+export function restoreUpload(cache, { hash, kind, entry }) {
+	if (!getCachedUpload(cache, hash, kind)) cache.images[hash] = { ...cache.images[hash], [kind]: entry };
+}
+
+/**
+ * Delete one cached upload from Drive or GCS and drop it from the cache.
+ * An object that is already gone counts as deleted.
+ */
+export async function deleteCachedUpload(cache, upload, clients) {
+	const { kind, entry } = upload;
+	const remove = REMOVERS[kind];
+	if (!remove) throw new ImageCacheError(`Unknown upload kind in image cache: ${kind}`, { code: 'IMAGE_CACHE_CORRUPT' });
+	try {
+		await remove(clients, entry);
+	} catch (err) {
+		if ((err?.response?.status ?? err?.code) !== 404) throw err;
+	}
+	forgetUpload(cache, upload);
+}
@@ -0,0 +1,100 @@
+/**
+ * Downloads pulled images into a local attachments folder.
+ *
+ * A pulled image points at its inline object's `contentUri`, which Docs
+ * mints afresh (and expires) on every read. Each image is saved as
+ * `<dir>/<sha256 of the bytes><ext>`, so identical images share a file, and
+ * `<dir>/index.json` remembers which file an inline object was saved as.
+ * An object is only downloaded again when its image properties change.
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { mapImages } from './converter/images.js';
+
+export class ImageDownloadError extends Error {
+	constructor(message, { code, cause, uri } = {}) {
+		super(message, { cause });
+		this.name = 'ImageDownloadError';
+		this.code = code;
+		this.uri = uri;
+	}
+}
+
+export const RESOURCES_DIR = '_resources';
+
+const SIGNATURES = [
+	['.png', [0x89, 0x50, 0x4e, 0x47]],
+	['.jpg', [0xff, 0xd8, 0xff]],
+	['.gif', [0x47, 0x49, 0x46, 0x38]],
+	['.bmp', [0x42, 0x4d]],
+];
+
+// File extension from the image bytes (the contentUri has none)
+function extensionOf(data) {
+	if (data.subarray(0, 4).toString() === 'RIFF' && data.subarray(8, 12).toString() === 'WEBP') return '.webp';
+	const match = SIGNATURES.find(([, bytes]) => bytes.every((b, i) => data[i] === b));
+	return match ? match[0] : '.img';
+}
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+// Stable across reads: the object id and every image property but the minted contentUri
+function cacheKey(documentId, objectId, inlineObject) {
+	const { contentUri, ...properties } = inlineObject?.inlineObjectProperties?.embeddedObject?.imageProperties || {};
+	return sha256(JSON.stringify([documentId || '', objectId, properties]));
+}
+
+async function fetchImage(uri) {
+	const res = await fetch(uri);
+	if (!res.ok) throw new ImageDownloadError(`Image download failed (${res.status}): ${uri}`, { code: 'IMAGE_DOWNLOAD_FAILED', uri });
+	return Buffer.from(await res.arrayBuffer());
+}
+
+function readIndex(indexPath) {
+	try {
+		return JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+	} catch {
+		return {};
+	}
+}
+
+/**
+ * Save the pulled images of `ir` under `dir` and point them at the saved
+ * files, relative to `noteDir` (where the Markdown is written).
+ * `inlineObjects` is the body's `inlineObjects` map; `fetchImage(uri)`
+ * resolves to the image bytes (global fetch by default). An image that
+ * cannot be downloaded keeps its remote `contentUri` and is reported in `failed`.
+ * Returns { ir, failed: [{ src, error }] }.
+ */
+export async function downloadImages(ir, { inlineObjects, documentId, dir, noteDir, fetchImage: fetchBytes = fetchImage }) {
+	const indexPath = path.join(dir, 'index.json');
+	const index = readIndex(indexPath);
+	let changed = false;
+	const failed = [];
+
+	const resolved = await mapImages(ir, async image => {
+		if (!image.objectId) return image;
+		const { objectId, ...rest } = image;
+		const key = cacheKey(documentId, objectId, inlineObjects?.[objectId]);
+		let fileName = index[key];
+		if (!fileName || !fs.existsSync(path.join(dir, fileName))) {
+			try {
+				const data = await fetchBytes(image.src);
+				fileName = `${sha256(data)}${extensionOf(data)}`;
+				fs.mkdirSync(dir, { recursive: true });
+				const filePath = path.join(dir, fileName);
+				if (!fs.existsSync(filePath)) fs.writeFileSync(filePath, data);
+				index[key] = fileName;
+				changed = true;
+			} catch (error) {
+				failed.push({ src: image.src, error });
+				return rest;
+			}
+		}
+		return { ...rest, src: path.relative(noteDir, path.join(dir, fileName)).split(path.sep).join('/') };
+	});
+
+	if (changed) fs.writeFileSync(indexPath, JSON.stringify(index, null, 2));
+	return { ir: resolved, failed };
+}
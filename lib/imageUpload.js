@@ -0,0 +1,238 @@
+/**
+ * Image uploaders for the push.
+ *
+ * insertInlineImage only takes a URL Docs can fetch, so local images are
+ * made reachable first. An uploader's `upload(filePath)` resolves to
+ * { uri, revoke, ref }; revoke() withdraws the temporary public access once
+ * Docs has copied the image (it keeps its own copy). Uploaders that keep an
+ * object also have `share(ref)`, which makes an earlier upload public again
+ * (see lib/imageCache.js), resolving to { uri, revoke } or to null once the
+ * object is gone.
+ *   drive - upload to Drive and share with anyone who has the link
+ *   gcs   - upload to GCS_BUCKET_NAME and grant allUsers read
+ *   url   - the files are already public under IMAGE_BASE_URL; nothing is uploaded
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { mapImages } from './converter/images.js';
+import { getCachedUpload, hashImage, setCachedUpload } from './imageCache.js';
+
+export class ImageUploadError extends Error {
+	constructor(message, { code, cause, filePath, stillPublic } = {}) {
+		super(message, { cause });
+		this.name = 'ImageUploadError';
+		this.code = code;
+		this.filePath = filePath;
+		// IMAGE_REVOKE_FAILED: [{ filePath, uri }] of the uploads left public
+		this.stillPublic = stillPublic;
+	}
+}
+
+const MIME_TYPES = {
+	'.png': 'image/png',
+	'.jpg': 'image/jpeg',
+	'.jpeg': 'image/jpeg',
+	'.gif': 'image/gif',
+	'.webp': 'image/webp',
+	'.bmp': 'image/bmp',
+};
+
+/** MIME type of a supported image file; other formats raise `IMAGE_UNSUPPORTED`. */
+export function imageMimeType(filePath) {
+	const mimeType = MIME_TYPES[path.extname(filePath).toLowerCase()];
+	if (!mimeType) throw new ImageUploadError(`Unsupported image format: ${filePath}`, { code: 'IMAGE_UNSUPPORTED', filePath });
+	return mimeType;
+}
+
+const isNotFound = err => (err?.response?.status ?? err?.code) === 404;
+
+export function createDriveUploader(drive, { folderId } = {}) {
+	async function share({ fileId }) {
+		const { data: permission } = await drive.permissions.create({
+			fileId,
+			requestBody: { role: 'reader', type: 'anyone' },
+			fields: 'id',
+		});
+		return {
+			uri: `https://lh3.googleusercontent.com/d/${fileId}`,
+			revoke: () => drive.permissions.delete({ fileId, permissionId: permission.id }),
+		};
+	}
+	return {
+		name: 'drive',
+		async upload(filePath) {
+			const mimeType = imageMimeType(filePath);
+			const { data: file } = await drive.files.create({
+				requestBody: { name: path.basename(filePath), ...(folderId ? { parents: [folderId] } : {}) },
+				media: { mimeType, body: fs.createReadStream(filePath) },
+				fields: 'id',
+			});
+			const ref = { fileId: file.id };
+			return { ...await share(ref), ref };
+		},
+		async share(ref) {
+			try {
+				return await share(ref);
+			} catch (err) {
+				if (isNotFound(err)) return null;
+				throw err;
+			}
+		},
+	};
+}
+
+export function createGcsUploader(storage, bucket) {
+	async function share({ object }) {
+		await storage.objectAccessControls.insert({ bucket, object, requestBody: { entity: 'allUsers', role: 'READER' } });
+		return {
+			uri: `https://storage.googleapis.com/${bucket}/${encodeURIComponent(object)}`,
+			revoke: () => storage.objectAccessControls.delete({ bucket, object, entity: 'allUsers' }),
+		};
+	}
+	return {
+		name: 'gcs',
+		async upload(filePath) {
+			const mimeType = imageMimeType(filePath);
+			const name = `img_${Date.now()}_${crypto.randomBytes(8).toString('hex')}${path.extname(filePath)}`;
+			await storage.objects.insert({
+				bucket,
+				name,
+				media: { mimeType, body: fs.createReadStream(filePath) },
+				requestBody: { name, contentType: mimeType },
+			});
+			const ref = { bucket, object: name };
+			return { ...await share(ref), ref };
+		},
+		// Objects cached from another GCS_BUCKET_NAME are uploaded again
+		async share(ref) {
+			if (ref.bucket !== bucket) return null;
+			try {
+				return await share(ref);
+			} catch (err) {
+				if (isNotFound(err)) return null;
+				throw err;
+			}
+		},
+	};
+}
+
+/** Files under `root` are served as-is under `baseUrl` (e.g. a static site or a public bucket). */
+export function createPublicUrlUploader(baseUrl, { root = process.cwd() } = {}) {
+	const base = baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`;
+	return {
+		name: 'url',
+		async upload(filePath) {
+			const relative = path.relative(root, filePath);
+			if (relative.startsWith('..') || path.isAbsolute(relative)) {
+				throw new ImageUploadError(`Image is outside ${root}: ${filePath}`, { code: 'IMAGE_OUTSIDE_ROOT', filePath });
+			}
+			return { uri: new URL(relative.split(path.sep).map(encodeURIComponent).join('/'), base).href, revoke: async () => {} };
+		},
+	};
+}
+
+// Missing settings only matter once a local image needs uploading
+function unconfigured(name, message) {
+	return {
+		name,
+		async upload() {
+			throw new ImageUploadError(message, { code: 'UPLOADER_CONFIG_MISSING' });
+		},
+	};
+}
+
+/**
+ * The uploader named by IMAGE_UPLOADER (`drive` by default, `gcs`, `url`).
+ * `clients` supplies `drive` / `storage` for the chosen kind.
+ */
+export function createImageUploader(clients, { kind = process.env.IMAGE_UPLOADER || 'drive', env = process.env } = {}) {
+	if (kind === 'drive') return createDriveUploader(clients.drive, { folderId: env.IMAGE_DRIVE_FOLDER_ID });
+	if (kind === 'gcs') {
+		if (!env.GCS_BUCKET_NAME) return unconfigured(kind, 'GCS_BUCKET_NAME must be set for IMAGE_UPLOADER=gcs');
+		return createGcsUploader(clients.storage, env.GCS_BUCKET_NAME);
+	}
+	if (kind === 'url') {
+		if (!env.IMAGE_BASE_URL) return unconfigured(kind, 'IMAGE_BASE_URL must be set for IMAGE_UPLOADER=url');
+		return createPublicUrlUploader(env.IMAGE_BASE_URL, { root: env.IMAGE_ROOT || process.cwd() });
+	}
+	throw new ImageUploadError(`Unknown IMAGE_UPLOADER: ${kind} (drive, gcs or url)`, { code: 'UPLOADER_UNKNOWN' });
+}
+
+const isUrl = src => /^https?:\/\//i.test(src);
+
+// Markdown destinations are URL-ish: `my%20image.png`, `file:///abs/path.png`
+export function localPath(src, baseDir) {
+	const raw = src.replace(/^file:\/\//, '');
+	let decoded = raw;
+	try {
+		decoded = decodeURI(raw);
+	} catch {
+		// not percent-encoded after all
+	}
+	return path.resolve(baseDir, decoded);
+}
+
+/**
+ * Give every image of `ir` (table cells included) the `uri` Docs fetches it
+ * from. Public URLs are used as they are; local paths, relative to `baseDir`,
+ * go through `uploader`, each file once. With a `cache` (lib/imageCache.js)
+ * an image uploaded before is shared again instead of uploaded, and new
+ * uploads are recorded in it; saving the cache is up to the caller. When
+ * other processes share the cache, `claim(hash, kind, ref)` marks a cached
+ * upload used where they see it before it is shared again; if it returns
+ * false (gc is deleting it), the image is uploaded anew.
+ * An image that cannot be uploaded is pushed as its alt text and reported in `failed`.
+ * Returns { ir, failed: [{ src, error }], revoke } — call revoke() once the
+ * images are in the document; it throws IMAGE_REVOKE_FAILED naming the
+ * uploads it could not withdraw (`stillPublic`).
+ */
+export async function uploadImages(ir, uploader, { baseDir = process.cwd(), cache, claim } = {}) {
+	const uploads = new Map(); // absolute path → { uri, revoke } | { error }
+	const failed = [];
+
+	async function publish(filePath) {
+		if (!cache || !uploader.share) return uploader.upload(filePath);
+		const hash = hashImage(filePath);
+		let cached = getCachedUpload(cache, hash, uploader.name);
+		if (cached && claim && !await claim(hash, uploader.name, cached)) cached = null;
+		const shared = cached && await uploader.share(cached);
+		const { uri, revoke, ref = cached } = shared || await uploader.upload(filePath);
+		setCachedUpload(cache, hash, uploader.name, { ...ref, uri });
+		return { uri, revoke };
+	}
+
+	async function resolve(image) {
+		if (isUrl(image.src)) return { ...image, uri: image.src };
+		const filePath = localPath(image.src, baseDir);
+		if (!uploads.has(filePath)) {
+			try {
+				if (!fs.existsSync(filePath)) throw new ImageUploadError(`Image not found: ${filePath}`, { code: 'IMAGE_NOT_FOUND', filePath });
+				uploads.set(filePath, await publish(filePath));
+			} catch (error) {
+				uploads.set(filePath, { error });
+			}
+		}
+		const upload = uploads.get(filePath);
+		if (upload.error) {
+			failed.push({ src: image.src, error: upload.error });
+			return null;
+		}
+		return { ...image, uri: upload.uri };
+	}
+
+	const resolved = await mapImages(ir, resolve);
+
+	async function revoke() {
+		const done = [...uploads].filter(([, u]) => u.revoke);
+		const results = await Promise.allSettled(done.map(([, u]) => u.revoke()));
+		const failedAt = results.flatMap((r, i) => (r.status === 'rejected' ? [i] : []));
+		if (failedAt.length) {
+			const stillPublic = failedAt.map(i => ({ filePath: done[i][0], uri: done[i][1].uri }));
+			throw new ImageUploadError(`Could not revoke public access for ${failedAt.length} image(s)`,
+				{ code: 'IMAGE_REVOKE_FAILED', cause: results[failedAt[0]].reason, stillPublic });
+		}
+	}
+
+	return { ir: resolved, failed, revoke };
+}
@@ -1,33 +1,132 @@
 import fs from 'fs';
 import path from 'path';
+import { FileLockError, lockPathFor, withFileLock } from './fileLock.js';
+import { MAPPING_SCHEMA_VERSION, migrateMapping, schemaVersionOf } from './mappingMigrations.js';
+
+export { MAPPING_SCHEMA_VERSION };
 
 const DEFAULT_PATH = path.resolve(process.cwd(), 'mapping.json');
 
+export class MappingError extends Error {
+	constructor(message, { code, cause, filePath } = {}) {
+		super(message, { cause });
+		this.name = 'MappingError';
+		this.code = code;
+		this.filePath = filePath;
+	}
+}
+
+export const backupPathFor = filePath => `${filePath}.bak`;
+export const migrationBackupPathFor = (filePath, version) => `${filePath}.v${version}.bak`;
+
+function parseMapping(raw, filePath) {
+	let data;
+	try {
+		data = JSON.parse(raw);
+	} catch (err) {
+		const backup = backupPathFor(filePath);
+		const hint = fs.existsSync(backup) ? ` The last good generation is in ${backup}.` : '';
+		throw new MappingError(`Mapping file is corrupt: ${filePath}.${hint}`, { code: 'MAPPING_CORRUPT', cause: err, filePath });
+	}
+	if (!data || typeof data !== 'object' || Array.isArray(data)) {
+		throw new MappingError(`Mapping file does not contain an object: ${filePath}`, { code: 'MAPPING_CORRUPT', filePath });
+	}
+	return data;
+}
+
+// Copy of the file as first seen at `version`; an existing copy is never overwritten
+function backupBeforeMigration(filePath, version) {
+	try {
+		fs.copyFileSync(filePath, migrationBackupPathFor(filePath, version), fs.constants.COPYFILE_EXCL);
+	} catch (err) {
+		if (err.code === 'EEXIST') return;
+		throw new MappingError(`Could not back up mapping before migrating it: ${filePath}`, { code: 'MAPPING_UNREADABLE', cause: err, filePath });
+	}
+}
+
+// `notes` and `notebooks` are always objects, even in a hand-edited file at the current version
+function withSections(data) {
+	const section = value => (value && typeof value === 'object' && !Array.isArray(value) ? value : {});
+	return { ...data, notes: section(data.notes), notebooks: section(data.notebooks) };
+}
+
+/**
+ * A missing file is an empty mapping; an unreadable or corrupt one is an error.
+ * Older schema versions are migrated in memory (see lib/mappingMigrations.js)
+ * after copying the file to `<file>.v<N>.bak`; the upgrade is persisted by the next save.
+ */
 export function loadMapping(filePath = DEFAULT_PATH) {
+	let raw;
 	try {
-		const raw = fs.readFileSync(filePath, 'utf8');
-		const data = JSON.parse(raw);
-		// Back-compat: promote flat map to namespaced structure
-		if (!data.notes && !data.notebooks) {
-			return { notes: data, notebooks: {} };
-		}
-		if (!data.notes) data.notes = {};
-		if (!data.notebooks) data.notebooks = {};
-		return data;
-	} catch {
-		return { notes: {}, notebooks: {} };
+		raw = fs.readFileSync(filePath, 'utf8');
+	} catch (err) {
+		if (err.code === 'ENOENT') return { schemaVersion: MAPPING_SCHEMA_VERSION, notes: {}, notebooks: {} };
+		throw new MappingError(`Mapping file is not readable: ${filePath}`, { code: 'MAPPING_UNREADABLE', cause: err, filePath });
+	}
+	const data = parseMapping(raw, filePath);
+	const version = schemaVersionOf(data);
+	if (version > MAPPING_SCHEMA_VERSION) {
+		throw new MappingError(`Mapping file has schemaVersion ${version}; this version understands up to ${MAPPING_SCHEMA_VERSION}: ${filePath}`,
+			{ code: 'MAPPING_VERSION_UNSUPPORTED', filePath });
 	}
+	if (version === MAPPING_SCHEMA_VERSION) return withSections(data);
+	backupBeforeMigration(filePath, version);
+	return withSections(migrateMapping(data).data);
 }
 
+/**
+ * Write via temp file + fsync + rename so readers never see a partial file.
+ * The generation being replaced is kept as `<file>.bak` if it still parses.
+ */
 export function saveMapping(data, filePath = DEFAULT_PATH) {
-	fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+	const tmp = `${filePath}.${process.pid}.tmp`;
+	const { schemaVersion, ...rest } = data;
+	const fd = fs.openSync(tmp, 'w');
+	try {
+		fs.writeFileSync(fd, JSON.stringify({ schemaVersion: MAPPING_SCHEMA_VERSION, ...rest }, null, 2));
+		fs.fsyncSync(fd);
+	} finally {
+		fs.closeSync(fd);
+	}
+	try {
+		parseMapping(fs.readFileSync(filePath, 'utf8'), filePath);
+		fs.copyFileSync(filePath, backupPathFor(filePath));
+	} catch {
+		// No previous file, or it is corrupt: keep the existing backup
+	}
+	fs.renameSync(tmp, filePath);
+}
+
+/**
+ * Run `fn` while holding the advisory `<file>.lock` (see lib/fileLock.js).
+ * Locks left by dead processes or older than 30s are broken.
+ */
+export function withMappingLock(fn, filePath = DEFAULT_PATH, { timeoutMs } = {}) {
+	try {
+		return withFileLock(fn, filePath, { timeoutMs });
+	} catch (err) {
+		if (err instanceof FileLockError && err.lockPath === lockPathFor(filePath)) {
+			throw new MappingError(`Timed out waiting for mapping lock: ${err.lockPath}`, { code: 'MAPPING_LOCKED', cause: err, filePath });
+		}
+		throw err;
+	}
+}
+
+/** Locked read-modify-write; `mutate(map)` edits in place and its result is returned. */
+export function updateMapping(mutate, filePath = DEFAULT_PATH) {
+	return withMappingLock(() => {
+		const map = loadMapping(filePath);
+		const result = mutate(map);
+		saveMapping(map, filePath);
+		return result;
+	}, filePath);
 }
 
 export function bindNote(noteId, binding, filePath = DEFAULT_PATH) {
-	const map = loadMapping(filePath);
-	map.notes[noteId] = { ...map.notes[noteId], ...binding };
-	saveMapping(map, filePath);
-	return map.notes[noteId];
+	return updateMapping(map => {
+		map.notes[noteId] = { ...map.notes[noteId], ...binding };
+		return map.notes[noteId];
+	}, filePath);
 }
 
 export function getBinding(noteId, filePath = DEFAULT_PATH) {
@@ -36,27 +135,40 @@ export function getBinding(noteId, filePath = DEFAULT_PATH) {
 }
 
 export function updateSyncCheckpoint(noteId, checkpoint, filePath = DEFAULT_PATH) {
-	const map = loadMapping(filePath);
-	if (!map.notes[noteId]) return null;
-	map.notes[noteId] = { ...map.notes[noteId], ...checkpoint };
-	saveMapping(map, filePath);
-	return map.notes[noteId];
+	return updateMapping(map => {
+		if (!map.notes[noteId]) return null;
+		map.notes[noteId] = { ...map.notes[noteId], ...checkpoint };
+		return map.notes[noteId];
+	}, filePath);
+}
+
+// One locked write for several notes, e.g. every tab refreshed from one documents.get
+export function updateSyncCheckpoints(checkpoints, filePath = DEFAULT_PATH) {
+	return updateMapping(map => {
+		const updated = {};
+		for (const [noteId, checkpoint] of Object.entries(checkpoints)) {
+			if (!map.notes[noteId]) continue;
+			map.notes[noteId] = { ...map.notes[noteId], ...checkpoint };
+			updated[noteId] = map.notes[noteId];
+		}
+		return updated;
+	}, filePath);
 }
 
 export function markAccessLost(noteId, filePath = DEFAULT_PATH) {
-	const map = loadMapping(filePath);
-	if (!map.notes[noteId]) return null;
-	map.notes[noteId].accessLost = true;
-	saveMapping(map, filePath);
-	return map.notes[noteId];
+	return updateMapping(map => {
+		if (!map.notes[noteId]) return null;
+		map.notes[noteId].accessLost = true;
+		return map.notes[noteId];
+	}, filePath);
 }
 
 // Notebook ↔ Doc binding (notebook → document)
 export function bindNotebook(notebookId, binding, filePath = DEFAULT_PATH) {
-	const map = loadMapping(filePath);
-	map.notebooks[notebookId] = { ...map.notebooks[notebookId], ...binding };
-	saveMapping(map, filePath);
-	return map.notebooks[notebookId];
+	return updateMapping(map => {
+		map.notebooks[notebookId] = { ...map.notebooks[notebookId], ...binding };
+		return map.notebooks[notebookId];
+	}, filePath);
 }
 
 export function getNotebookBinding(notebookId, filePath = DEFAULT_PATH) {
@@ -64,13 +176,22 @@ export function getNotebookBinding(notebookId, filePath = DEFAULT_PATH) {
 	return map.notebooks[notebookId] || null;
 }
 
-// Reverse lookup: fileId -> noteId (first match)
-export function findNoteIdByFileId(fileId, filePath = DEFAULT_PATH) {
-	const map = loadMapping(filePath);
+// Reverse index: fileId -> [{ noteId, ...binding }] for every note bound to that file
+export function buildFileIndex(map) {
+	const index = new Map();
 	for (const [noteId, binding] of Object.entries(map.notes)) {
-		if (binding.fileId === fileId) return noteId;
+		if (!binding?.fileId) continue;
+		if (!index.has(binding.fileId)) index.set(binding.fileId, []);
+		index.get(binding.fileId).push({ noteId, ...binding });
 	}
-	return null;
+	return index;
 }
 
+export function findNotesByFileId(fileId, filePath = DEFAULT_PATH) {
+	return buildFileIndex(loadMapping(filePath)).get(fileId) || [];
+}
 
+// The note bound to one tab of a file (a notebook document holds one note per tab)
+export function findNoteIdByTab(fileId, tabId, filePath = DEFAULT_PATH) {
+	return findNotesByFileId(fileId, filePath).find(n => n.tabId === tabId)?.noteId || null;
+}
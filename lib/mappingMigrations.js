@@ -0,0 +1,46 @@
+/**
+ * Ordered mapping.json schema migrations. Each entry upgrades a mapping from
+ * `version - 1` to `version`; a file without `schemaVersion` is version 0.
+ *
+ * To change the schema, append a migration; MAPPING_SCHEMA_VERSION follows
+ * the last entry. Migrations take the parsed object and return the upgraded
+ * one without doing I/O.
+ */
+
+export const MIGRATIONS = [
+	{
+		version: 1,
+		description: 'namespace bindings as { notes, notebooks }',
+		up(data) {
+			// v0 was either a flat noteId → binding map or already namespaced
+			const { schemaVersion, ...rest } = data;
+			if (!rest.notes && !rest.notebooks) return { notes: rest, notebooks: {} };
+			return { ...rest, notes: rest.notes || {}, notebooks: rest.notebooks || {} };
+		},
+	},
+];
+
+export const MAPPING_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+export function schemaVersionOf(data) {
+	const v = data?.schemaVersion;
+	return Number.isInteger(v) && v >= 0 ? v : 0;
+}
+
+/** Migrations that would run for `data`, in order. */
+export function pendingMigrations(data) {
+	const from = schemaVersionOf(data);
+	return MIGRATIONS.filter(m => m.version > from);
+}
+
+/** Upgrade `data` to MAPPING_SCHEMA_VERSION; returns { data, from, applied }. */
+export function migrateMapping(data) {
+	const from = schemaVersionOf(data);
+	let out = data;
+	const applied = [];
+	for (const migration of pendingMigrations(data)) {
+		out = { ...migration.up(out), schemaVersion: migration.version };
+		applied.push(migration);
+	}
+	return { data: out, from, applied };
+}
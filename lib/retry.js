@@ -0,0 +1,179 @@
+/**
+ * Retry/backoff execution layer for Docs and Drive calls.
+ *
+ * - Exponential backoff with full jitter, honouring Retry-After when present
+ * - Errors are classified as retryable or fatal (see classifyError)
+ * - Docs writes (documents.batchUpdate/create) are counted against a per-minute
+ *   quota window and wait for a free slot instead of tripping 429s
+ *
+ * Usage: const docs = withRetries(getDocs(auth));
+ */
+
+const RETRYABLE_STATUS = new Set([500, 502, 503, 504]);
+const RATE_LIMIT_REASONS = new Set(['rateLimitExceeded', 'userRateLimitExceeded', 'quotaExceeded']);
+const NETWORK_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE']);
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+function statusOf(err) {
+	const status = err?.response?.status ?? err?.status ?? err?.code;
+	return typeof status === 'number' ? status : parseInt(status, 10) || null;
+}
+
+function reasonsOf(err) {
+	const errors = err?.response?.data?.error?.errors || err?.errors || [];
+	return errors.map(e => e?.reason).filter(Boolean);
+}
+
+/**
+ * 'rateLimit' (the request was rejected unexecuted), 'transient' (server or
+ * network failure; the request may or may not have been applied) or 'fatal'.
+ */
+export function classifyError(err) {
+	const status = statusOf(err);
+	if (status === 429) return 'rateLimit';
+	if (status === 403 && reasonsOf(err).some(r => RATE_LIMIT_REASONS.has(r))) return 'rateLimit';
+	if (RETRYABLE_STATUS.has(status)) return 'transient';
+	if (!err?.response && NETWORK_CODES.has(err?.code)) return 'transient';
+	return 'fatal';
+}
+
+/** Retry-After header (seconds or HTTP date) in ms, or null. */
+export function retryAfterMs(err, now = Date.now()) {
+	const headers = err?.response?.headers || {};
+	const raw = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+	if (raw == null || raw === '') return null;
+	const secs = Number(raw);
+	if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+	const at = Date.parse(raw);
+	return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+/**
+ * Sliding one-minute window of request slots. acquire() resolves once a slot
+ * is free; penalize() blocks the window after the server reported a 429.
+ */
+export class QuotaWindow {
+	constructor({ limit, windowMs = 60_000, now = Date.now, wait = sleep } = {}) {
+		this.limit = limit;
+		this.windowMs = windowMs;
+		this.now = now;
+		this.wait = wait;
+		this.stamps = [];
+		this.blockedUntil = 0;
+	}
+
+	prune() {
+		const cutoff = this.now() - this.windowMs;
+		while (this.stamps.length && this.stamps[0] <= cutoff) this.stamps.shift();
+	}
+
+	used() {
+		this.prune();
+		return this.stamps.length;
+	}
+
+	async acquire() {
+		for (;;) {
+			this.prune();
+			const t = this.now();
+			if (t < this.blockedUntil) {
+				await this.wait(this.blockedUntil - t);
+				continue;
+			}
+			if (this.stamps.length < this.limit) {
+				this.stamps.push(t);
+				return;
+			}
+			await this.wait(this.stamps[0] + this.windowMs - t);
+		}
+	}
+
+	penalize(ms) {
+		this.blockedUntil = Math.max(this.blockedUntil, this.now() + ms);
+	}
+}
+
+// Docs API default: 60 write requests per minute per user
+const DEFAULT_WRITES_PER_MINUTE = 60;
+
+/**
+ * DOCS_WRITES_PER_MINUTE as a positive integer. Anything else falls back to
+ * the default: a NaN or zero limit would make every write wait forever.
+ */
+export function writesPerMinute(raw = process.env.DOCS_WRITES_PER_MINUTE) {
+	if (raw == null || raw === '') return DEFAULT_WRITES_PER_MINUTE;
+	const limit = Number(raw);
+	if (Number.isInteger(limit) && limit > 0) return limit;
+	console.warn(`DOCS_WRITES_PER_MINUTE must be a positive integer, got "${raw}"; using ${DEFAULT_WRITES_PER_MINUTE}`);
+	return DEFAULT_WRITES_PER_MINUTE;
+}
+
+export const docsWriteQuota = new QuotaWindow({ limit: writesPerMinute() });
+
+/**
+ * Run `fn` with retries. `idempotent: false` limits retries to rate-limit
+ * rejections, which the server guarantees were not applied.
+ */
+export async function withRetry(fn, {
+	retries = 5,
+	baseDelayMs = 500,
+	maxDelayMs = 32_000,
+	idempotent = true,
+	quota = null,
+	label = 'request',
+	onRetry = (info) => console.warn(`${info.label}: ${info.kind} error (${info.status ?? info.code}), retry ${info.attempt}/${retries} in ${info.delayMs}ms`),
+	wait = sleep,
+	random = Math.random,
+} = {}) {
+	for (let attempt = 0; ; attempt++) {
+		if (quota) await quota.acquire();
+		try {
+			return await fn();
+		} catch (err) {
+			const kind = classifyError(err);
+			const retryable = kind === 'rateLimit' || (kind === 'transient' && idempotent);
+			if (!retryable || attempt >= retries) throw err;
+			const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+			const delayMs = Math.round(Math.min(retryAfterMs(err) ?? random() * backoff, maxDelayMs));
+			if (kind === 'rateLimit' && quota) quota.penalize(delayMs);
+			onRetry({ label, kind, status: statusOf(err), code: err?.code, attempt: attempt + 1, delayMs });
+			await wait(delayMs);
+		}
+	}
+}
+
+function isDocsWrite(resource, method) {
+	return resource === 'documents' && (method === 'batchUpdate' || method === 'create');
+}
+
+// Reads and deletes can be replayed; a batchUpdate only when a revision pin rejects a duplicate
+function isIdempotent(method, params) {
+	if (method === 'batchUpdate') return !!params?.requestBody?.writeControl?.requiredRevisionId;
+	return method === 'get' || method === 'list' || method === 'delete' || method === 'getStartPageToken';
+}
+
+/**
+ * Wrap a googleapis Docs or Drive client so every `client.<resource>.<method>()`
+ * call runs through withRetry (Docs writes also through the write quota).
+ */
+export function withRetries(client, { quota = docsWriteQuota, ...options } = {}) {
+	return new Proxy(client, {
+		get(target, resource) {
+			const res = target[resource];
+			if (!res || typeof res !== 'object' || typeof resource !== 'string') return res;
+			return new Proxy(res, {
+				get(r, method) {
+					const fn = r[method];
+					if (typeof fn !== 'function' || typeof method !== 'string') return fn;
+					return (params, ...rest) => withRetry(() => fn.call(r, params, ...rest), {
+						...options,
+						label: `${resource}.${method}`,
+						idempotent: isIdempotent(method, params),
+						quota: isDocsWrite(resource, method) ? quota : null,
+					});
+				},
+			});
+		},
+	});
+}
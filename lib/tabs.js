@@ -0,0 +1,106 @@
+/**
+ * Tab-tree navigation for documents fetched with includeTabsContent=true.
+ *
+ * A tab reference is one of:
+ *   - a tab id ('t.0', 't.abc123')
+ *   - a title path, '/'-separated from the top level ('Projects/2026/Q3'; escape '/' in titles as '\/')
+ *   - an index into the depth-first tab order (the order of the Docs sidebar), e.g. '0' or 3
+ * Prefix with 'id:', 'path:' or 'index:' to force one interpretation.
+ */
+
+export class TabNotFoundError extends Error {
+	constructor(ref, available = [], { code = 'TAB_NOT_FOUND', detail } = {}) {
+		const list = available.map(t => `  ${t.index}: ${t.tabId}  ${t.pathString}`).join('\n');
+		super(`${detail || `Tab not found: ${ref}`}${list ? `\nAvailable tabs:\n${list}` : ''}`);
+		this.name = 'TabNotFoundError';
+		this.code = code;
+		this.ref = ref;
+	}
+}
+
+function tabsOf(docOrTabs) {
+	return Array.isArray(docOrTabs) ? docOrTabs : (docOrTabs?.tabs || []);
+}
+
+export function splitTabPath(path) {
+	return path.split(/(?<!\\)\//).map(s => s.replace(/\\\//g, '/').trim()).filter(Boolean);
+}
+
+function joinTabPath(titles) {
+	return titles.map(t => t.replace(/\//g, '\\/')).join('/');
+}
+
+export function tabEndIndex(body) {
+	const last = body?.content?.[body.content.length - 1];
+	return last?.endIndex ?? 1;
+}
+
+function describe(tab, parents, index) {
+	const titles = [...parents.map(p => p.tabProperties?.title || ''), tab.tabProperties?.title || ''];
+	const body = tab.documentTab?.body;
+	return {
+		tab,
+		tabId: tab.tabProperties?.tabId,
+		title: tab.tabProperties?.title || '',
+		index,
+		depth: parents.length,
+		path: titles,
+		pathString: joinTabPath(titles),
+		parents: parents.map(p => ({ tabId: p.tabProperties?.tabId, title: p.tabProperties?.title || '' })),
+		documentTab: tab.documentTab,
+		body,
+		endIndex: tabEndIndex(body),
+	};
+}
+
+/** Every tab, depth-first (parents before children), as resolveTab() results. */
+export function listTabs(docOrTabs) {
+	const out = [];
+	const visit = (tabs, parents) => {
+		for (const tab of tabs || []) {
+			out.push(describe(tab, parents, out.length));
+			visit(tab.childTabs, [...parents, tab]);
+		}
+	};
+	visit(tabsOf(docOrTabs), []);
+	return out;
+}
+
+export function findTabById(docOrTabs, tabId) {
+	return listTabs(docOrTabs).find(t => t.tabId === tabId) || null;
+}
+
+export function findTabByPath(docOrTabs, path) {
+	const titles = Array.isArray(path) ? path : splitTabPath(path);
+	if (!titles.length) return null;
+	const all = listTabs(docOrTabs);
+	const matches = all.filter(t => t.path.length === titles.length && t.path.every((title, i) => title === titles[i]));
+	if (matches.length > 1) {
+		throw new TabNotFoundError(joinTabPath(titles), matches, { code: 'TAB_AMBIGUOUS', detail: `Tab path is ambiguous: ${joinTabPath(titles)}` });
+	}
+	return matches[0] || null;
+}
+
+export function findTabByIndex(docOrTabs, index) {
+	return listTabs(docOrTabs)[Number(index)] || null;
+}
+
+/**
+ * Resolve a tab reference (see module doc) or throw TabNotFoundError listing
+ * the available tabs. Returns { tab, tabId, title, index, depth, path,
+ * pathString, parents, documentTab, body, endIndex }.
+ */
+export function resolveTab(docOrTabs, ref) {
+	let found = null;
+	if (typeof ref === 'number') {
+		found = findTabByIndex(docOrTabs, ref);
+	} else {
+		const m = String(ref ?? '').match(/^(id|path|index):(.*)$/s);
+		const [kind, value] = m ? [m[1], m[2]] : [null, String(ref ?? '')];
+		if (!kind || kind === 'id') found = findTabById(docOrTabs, value);
+		if (!found && (!kind || kind === 'path')) found = findTabByPath(docOrTabs, value);
+		if (!found && (!kind || kind === 'index') && /^\d+$/.test(value)) found = findTabByIndex(docOrTabs, value);
+	}
+	if (!found) throw new TabNotFoundError(ref, listTabs(docOrTabs));
+	return found;
+}
@@ -1,21 +1,14 @@
 import 'dotenv/config';
 import http from 'http';
 import open from 'open';
-import fs from 'fs';
-import { google } from 'googleapis';
+import { createOAuthClient, tokensPathFromEnv, writeTokens } from '../lib/getAuth.js';
 
 const {
-	GOOGLE_CLIENT_ID,
-	GOOGLE_CLIENT_SECRET,
 	GOOGLE_REDIRECT_URI = 'http://localhost:3000/oauth2callback',
-	GOOGLE_TOKENS_PATH = '.token.json',
 } = process.env;
+const GOOGLE_TOKENS_PATH = tokensPathFromEnv();
 
-const oauth2Client = new google.auth.OAuth2(
-	GOOGLE_CLIENT_ID,
-	GOOGLE_CLIENT_SECRET,
-	GOOGLE_REDIRECT_URI,
-);
+const oauth2Client = createOAuthClient({ redirectUri: GOOGLE_REDIRECT_URI });
 
 const scopes = [
 	'https://www.googleapis.com/auth/drive.file',
@@ -43,7 +36,7 @@ const server = http
 			}
 			const code = new URL(req.url, 'http://localhost:3000').searchParams.get('code');
 			const { tokens } = await oauth2Client.getToken(code ?? '');
-			fs.writeFileSync(GOOGLE_TOKENS_PATH, JSON.stringify(tokens, null, 2));
+			writeTokens(tokens, GOOGLE_TOKENS_PATH);
 			res.end(`Tokens saved to ${GOOGLE_TOKENS_PATH}; you can close this.`);
 			server.close();
 		} catch (err) {
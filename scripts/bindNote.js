@@ -1,15 +1,25 @@
-// Usage: npm run bindNote -- <noteId> <fileId> <tabId>
+// Usage: npm run bindNote -- <noteId> <fileId> <tabId> [--local-only]
 import { bindNote, getBinding } from '../lib/mapping.js';
+import { getAuth, getDrive } from '../lib/getAuth.js';
+import { mirrorNoteBinding } from '../lib/driveIdentity.js';
 
-const [noteId, fileId, tabId] = process.argv.slice(2);
+const localOnly = process.argv.includes('--local-only');
+const [noteId, fileId, tabId] = process.argv.slice(2).filter(a => !a.startsWith('--'));
 if (!noteId || !fileId || !tabId) {
-	console.error('Usage: npm run bindNote -- <noteId> <fileId> <tabId>');
+	console.error('Usage: npm run bindNote -- <noteId> <fileId> <tabId> [--local-only]');
 	process.exit(1);
 }
 
 bindNote(noteId, { fileId, tabId, lastSyncTs: new Date().toISOString() });
 console.log('binding:', getBinding(noteId));
 
-
-
-
+// Mirror into Drive appProperties so `npm run rebuildMapping` can recover it
+if (!localOnly) {
+	try {
+		const appProperties = await mirrorNoteBinding(getDrive(getAuth()), noteId, { fileId, tabId });
+		console.log('appProperties:', appProperties);
+	} catch (err) {
+		console.error('Drive mirror failed (local binding kept; rerun to retry):', err?.response?.data ?? err?.message ?? err);
+		process.exit(2);
+	}
+}
@@ -1,13 +1,25 @@
-// Usage: npm run bindNotebook -- <notebookId> <fileId>
+// Usage: npm run bindNotebook -- <notebookId> <fileId> [--local-only]
 import { bindNotebook, getNotebookBinding } from '../lib/mapping.js';
+import { getAuth, getDrive } from '../lib/getAuth.js';
+import { mirrorNotebookBinding } from '../lib/driveIdentity.js';
 
-const [notebookId, fileId] = process.argv.slice(2);
+const localOnly = process.argv.includes('--local-only');
+const [notebookId, fileId] = process.argv.slice(2).filter(a => !a.startsWith('--'));
 if (!notebookId || !fileId) {
-	console.error('Usage: npm run bindNotebook -- <notebookId> <fileId>');
+	console.error('Usage: npm run bindNotebook -- <notebookId> <fileId> [--local-only]');
 	process.exit(1);
 }
 
 bindNotebook(notebookId, { fileId, lastSyncTs: new Date().toISOString() });
 console.log('notebook binding:', getNotebookBinding(notebookId));
 
-
+// Mirror into Drive appProperties so `npm run rebuildMapping` can recover it
+if (!localOnly) {
+	try {
+		const appProperties = await mirrorNotebookBinding(getDrive(getAuth()), notebookId, { fileId });
+		console.log('appProperties:', appProperties);
+	} catch (err) {
+		console.error('Drive mirror failed (local binding kept; rerun to retry):', err?.response?.data ?? err?.message ?? err);
+		process.exit(2);
+	}
+}
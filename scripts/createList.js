@@ -1,11 +1,11 @@
 import 'dotenv/config';
-import { google } from 'googleapis';
-import fs from 'fs';
+import { getAuth, getDocs } from '../lib/getAuth.js';
+import { findTabById, resolveTab } from '../lib/tabs.js';
 
 /**
  * Test script for creating native Google Docs lists using CreateParagraphBulletsRequest.
  * 
- * Usage: npm run createList -- <documentId> <tabId> [testCase]
+ * Usage: npm run createList -- <documentId> <tab> [testCase]
  * 
  * Test cases:
  *   unordered  - Simple unordered list (3 items)
@@ -15,25 +15,18 @@ import fs from 'fs';
  *   all        - Run all test cases (default)
  */
 
-const [documentId, tabId, testCase = 'all'] = process.argv.slice(2);
-if (!documentId || !tabId) {
-	console.error('Usage: npm run createList -- <documentId> <tabId> [testCase]');
+const [documentId, tabRef, testCase = 'all'] = process.argv.slice(2);
+if (!documentId || !tabRef) {
+	console.error('Usage: npm run createList -- <documentId> <tab> [testCase]');
 	console.error('Test cases: unordered, ordered, nested, mixed, all');
 	process.exit(1);
 }
 
-// Setup auth
-const tokensPath = process.env.GOOGLE_TOKENS_PATH || '.token.json';
-const tokens = JSON.parse(fs.readFileSync(tokensPath));
+const auth = getAuth();
+const docs = getDocs(auth);
 
-const auth = new google.auth.OAuth2(
-	process.env.GOOGLE_CLIENT_ID,
-	process.env.GOOGLE_CLIENT_SECRET,
-	process.env.GOOGLE_REDIRECT_URI,
-);
-auth.setCredentials(tokens);
-
-const docs = google.docs({ version: 'v1', auth });
+// Resolved once up front so every helper below can address the tab by id
+const { tabId } = resolveTab((await docs.documents.get({ documentId, includeTabsContent: true })).data, tabRef);
 
 /**
  * Clear tab content and insert new text
@@ -42,7 +35,7 @@ const docs = google.docs({ version: 'v1', auth });
 async function clearAndInsert(text) {
 	const meta = await docs.documents.get({ documentId, includeTabsContent: true });
 	const revisionId = meta.data.revisionId;
-	const tabBody = meta.data.tabs?.find(t => t.tabProperties?.tabId === tabId)?.documentTab?.body;
+	const tabBody = findTabById(meta.data, tabId)?.body;
 	const last = tabBody?.content?.[tabBody.content.length - 1];
 	const endIndex = last?.endIndex ?? 1;
 
@@ -60,7 +53,7 @@ async function clearAndInsert(text) {
 	
 	// Step 2: Remove any inherited bullet formatting from ALL content (including trailing newline)
 	const afterInsert = await docs.documents.get({ documentId, includeTabsContent: true });
-	const afterTabBody = afterInsert.data.tabs?.find(t => t.tabProperties?.tabId === tabId)?.documentTab?.body;
+	const afterTabBody = findTabById(afterInsert.data, tabId)?.body;
 	const afterLast = afterTabBody?.content?.[afterTabBody.content.length - 1];
 	const actualEndIndex = afterLast?.endIndex ?? 1;
 	
@@ -77,7 +70,7 @@ async function clearAndInsert(text) {
 	
 	// Verify bullets are cleared
 	const afterClear = await docs.documents.get({ documentId, includeTabsContent: true });
-	const clearBody = afterClear.data.tabs?.find(t => t.tabProperties?.tabId === tabId)?.documentTab?.body;
+	const clearBody = findTabById(afterClear.data, tabId)?.body;
 	const hasBulletsAfterClear = (clearBody?.content || []).some(se => se.paragraph?.bullet);
 	console.log(`Bullets remaining after clear: ${hasBulletsAfterClear}`);
 	if (hasBulletsAfterClear) {
@@ -109,8 +102,8 @@ async function applyBullets(startIndex, endIndex, bulletPreset) {
  */
 async function readDocStructure() {
 	const meta = await docs.documents.get({ documentId, includeTabsContent: true });
-	const tabBody = meta.data.tabs?.find(t => t.tabProperties?.tabId === tabId)?.documentTab?.body;
-	const lists = meta.data.tabs?.find(t => t.tabProperties?.tabId === tabId)?.documentTab?.lists || {};
+	const tabBody = findTabById(meta.data, tabId)?.body;
+	const lists = findTabById(meta.data, tabId)?.documentTab?.lists || {};
 	
 	const paragraphs = (tabBody?.content || [])
 		.filter(se => se.paragraph)
@@ -3,16 +3,16 @@
   Fetch and print content of a specific Google Docs tab.
 
   Usage:
-    node scripts/fetch-tab-content.cjs --doc <DOCUMENT_ID> [--tabId <TAB_ID> | --tabTitle <TITLE> | --tabIndex <N>] [--env <PATH_TO_.env>] [--token <PATH_TO_.token.json>]
+    node scripts/fetch-tab-content.cjs --doc <DOCUMENT_ID> [--tabId <TAB_ID> | --tabTitle <TITLE/PATH> | --tabIndex <N>] [--env <PATH_TO_.env>] [--token <PATH_TO_.token.json>]
 
   Notes:
-    - Loads env (GOOGLE_CLIENT_ID/SECRET/REDIRECT_URI) and .token.json similarly to other tests
+    - Loads env (GOOGLE_CLIENT_ID/SECRET) and .token.json via lib/getAuth.js like the other scripts
     - Uses documents.get(includeTabsContent=true), then reads tab.documentTab.body.content
+    - Tabs are resolved with lib/tabs.js: child tabs included, --tabIndex counts in sidebar (depth-first) order
 */
 
 const fs = require('fs');
 const path = require('path');
-const { google } = require('googleapis');
 
 function parseArgs(argv) {
   const out = {};
@@ -39,10 +39,6 @@ function loadEnvFile(p) {
   } catch (_) {}
 }
 
-function readJson(p, fallback = null) {
-  try { return JSON.parse(fs.readFileSync(p, 'utf8')); } catch { return fallback; }
-}
-
 function extractPlainTextFromBodyContent(contentArr) {
   if (!Array.isArray(contentArr)) return { paragraphs: 0, runs: 0, chars: 0, text: '' };
   let paragraphs = 0, runs = 0, chars = 0; let out = '';
@@ -77,17 +73,9 @@ async function main() {
   const tokenPath = args.token || path.resolve(baseDir, '.token.json');
 
   loadEnvFile(envPath);
-  const tokens = readJson(tokenPath);
-  if (!tokens) { console.error('Missing or invalid token file:', tokenPath); process.exit(1); }
-  const { GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET, GOOGLE_REDIRECT_URI } = process.env;
-  if (!GOOGLE_CLIENT_ID || !GOOGLE_CLIENT_SECRET || !GOOGLE_REDIRECT_URI) {
-    console.error('Missing GOOGLE_CLIENT_ID/GOOGLE_CLIENT_SECRET/GOOGLE_REDIRECT_URI in env:', envPath);
-    process.exit(1);
-  }
-
-  const auth = new google.auth.OAuth2(GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET, GOOGLE_REDIRECT_URI);
-  auth.setCredentials(tokens);
-  const docs = google.docs({ version: 'v1', auth });
+  // lib/ is ESM: load the shared client factory dynamically
+  const { getAuth, getDocs } = await import('../lib/getAuth.js');
+  const docs = getDocs(getAuth({ tokensPath: tokenPath }));
 
   try {
     const withTabs = await docs.documents.get({ documentId: args.doc, includeTabsContent: true });
@@ -97,33 +85,26 @@ async function main() {
       process.exit(2);
     }
 
-    let picked = null; let pickedIndex = -1;
-    if (args.tabId) {
-      pickedIndex = tabs.findIndex(t => (t?.tabProperties?.tabId === args.tabId) || (t?.id === args.tabId));
-    } else if (typeof args.tabIndex === 'number' && !Number.isNaN(args.tabIndex)) {
-      pickedIndex = (args.tabIndex >= 0 && args.tabIndex < tabs.length) ? args.tabIndex : -1;
-    } else if (args.tabTitle) {
-      pickedIndex = tabs.findIndex(t => (t?.tabProperties?.title === args.tabTitle) || (t?.name === args.tabTitle) || (t?.title === args.tabTitle));
-    } else if (tabs.length === 1) {
-      pickedIndex = 0;
-    }
-
-    if (pickedIndex < 0) {
-      console.error('Tab not found. Available tabs:');
-      tabs.forEach((t, idx) => {
-        console.error(`${idx}: id=${t?.tabProperties?.tabId || t?.id || '(none)'} title=${t?.tabProperties?.title || t?.name || t?.title || '(none)'}`);
-      });
+    // --tabTitle accepts a title path for nested tabs, e.g. "Projects/2026/Q3"
+    const { listTabs, resolveTab } = await import('../lib/tabs.js');
+    const all = listTabs(withTabs.data);
+    let ref = null;
+    if (args.tabId) ref = `id:${args.tabId}`;
+    else if (typeof args.tabIndex === 'number' && !Number.isNaN(args.tabIndex)) ref = `index:${args.tabIndex}`;
+    else if (args.tabTitle) ref = `path:${args.tabTitle}`;
+    else if (all.length === 1) ref = 'index:0';
+
+    let picked;
+    try {
+      if (!ref) throw new Error('Several tabs: pass --tabId, --tabTitle or --tabIndex.\n' + all.map(t => `  ${t.index}: ${t.tabId}  ${t.pathString}`).join('\n'));
+      picked = resolveTab(withTabs.data, ref);
+    } catch (e) {
+      console.error(e.message);
       process.exit(3);
     }
-    picked = tabs[pickedIndex];
-
-    const id = picked?.tabProperties?.tabId || picked?.id || String(pickedIndex);
-    const title = picked?.tabProperties?.title || picked?.name || picked?.title || `Tab ${pickedIndex+1}`;
-    const contentArr = picked?.documentTab?.body?.content
-      || picked?.document?.body?.content
-      || picked?.body?.content
-      || picked?.tab?.body?.content
-      || ([]);
+
+    const { index: pickedIndex, tabId: id, pathString: title } = picked;
+    const contentArr = picked.body?.content || [];
 
     const plain = extractPlainTextFromBodyContent(contentArr);
     const output = {
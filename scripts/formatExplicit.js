@@ -1,12 +1,13 @@
 import 'dotenv/config';
-import { google } from 'googleapis';
+import { getAuth, getDocs } from '../lib/getAuth.js';
 import fs from 'fs';
+import { findTabById, resolveTab } from '../lib/tabs.js';
 
-// Usage: npm run formatExplicit -- <documentId> <tabId> <textFilePath> <stylesCSV>
+// Usage: npm run formatExplicit -- <documentId> <tab> <textFilePath> <stylesCSV>   (tab: id, title path or index)
 // stylesCSV example: H1,P,H2 (maps to HEADING_1, NORMAL_TEXT, HEADING_2)
-const [documentId, tabId, filePath, stylesCsv] = process.argv.slice(2);
-if (!documentId || !tabId || !filePath || !stylesCsv) {
-	console.error('Usage: npm run formatExplicit -- <documentId> <tabId> <textFilePath> <stylesCSV>');
+const [documentId, tabRef, filePath, stylesCsv] = process.argv.slice(2);
+if (!documentId || !tabRef || !filePath || !stylesCsv) {
+	console.error('Usage: npm run formatExplicit -- <documentId> <tab> <textFilePath> <stylesCSV>');
 	process.exit(1);
 }
 
@@ -24,27 +25,16 @@ const styleMap = {
 };
 const styles = stylesInp.map(s => styleMap[s] || 'NORMAL_TEXT');
 
-const tokensPath = process.env.GOOGLE_TOKENS_PATH || '.token.json';
-const tokens = JSON.parse(fs.readFileSync(tokensPath));
-
-const auth = new google.auth.OAuth2(
-	process.env.GOOGLE_CLIENT_ID,
-	process.env.GOOGLE_CLIENT_SECRET,
-	process.env.GOOGLE_REDIRECT_URI,
-);
-auth.setCredentials(tokens);
-
-const docs = google.docs({ version: 'v1', auth });
+const auth = getAuth();
+const docs = getDocs(auth);
 
 // Get revision and clear tab content
 const meta = await docs.documents.get({ documentId, includeTabsContent: true });
 const revisionId = meta.data.revisionId;
-const tabBody = meta.data.tabs?.find(t => t.tabProperties?.tabId === tabId)?.documentTab?.body;
-const last = tabBody?.content?.[tabBody.content.length - 1];
-const endIndex = last?.endIndex ?? 1;
+const { tabId, endIndex } = resolveTab(meta.data, tabRef);
 
 const reqs = [];
-if (endIndex > 1) reqs.push({ deleteContentRange: { range: { tabId, startIndex: 1, endIndex: endIndex - 1 } } });
+if (endIndex > 2) reqs.push({ deleteContentRange: { range: { tabId, startIndex: 1, endIndex: endIndex - 1 } } });
 reqs.push({ insertText: { location: { tabId, index: 1 }, text } });
 
 await docs.documents.batchUpdate({ documentId, requestBody: { requests: reqs, writeControl: { requiredRevisionId: revisionId } } });
@@ -74,7 +64,7 @@ await docs.documents.batchUpdate({ documentId, requestBody: { requests: styleReq
 
 // Read back first few paragraph styles
 const meta2 = await docs.documents.get({ documentId, includeTabsContent: true });
-const tab2 = meta2.data.tabs?.find(t => t.tabProperties?.tabId === tabId)?.documentTab?.body;
+const tab2 = findTabById(meta2.data, tabId)?.body;
 const paras = (tab2?.content || [])
 	.filter(se => se.paragraph)
 	.slice(0, 6)
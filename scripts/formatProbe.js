@@ -1,49 +1,29 @@
 import 'dotenv/config';
-import { google } from 'googleapis';
+import { getAuth, getDocs } from '../lib/getAuth.js';
 import fs from 'fs';
+import { findTabById, resolveTab } from '../lib/tabs.js';
 
-// Usage: npm run formatProbe -- <documentId> <tabId> <textFilePath> [preStyle]
+// Usage: npm run formatProbe -- <documentId> <tab> <textFilePath> [preStyle]   (tab: id, title path or index)
 // preStyle examples: NORMAL_TEXT, HEADING_1, HEADING_2, TITLE, SUBTITLE
-const [documentId, tabId, filePath, preStyle] = process.argv.slice(2);
-if (!documentId || !tabId || !filePath) {
-	console.error('Usage: npm run formatProbe -- <documentId> <tabId> <textFilePath> [preStyle]');
+const [documentId, tabRef, filePath, preStyle] = process.argv.slice(2);
+if (!documentId || !tabRef || !filePath) {
+	console.error('Usage: npm run formatProbe -- <documentId> <tab> <textFilePath> [preStyle]');
 	process.exit(1);
 }
 
 const newText = fs.readFileSync(filePath, 'utf8');
 
-const tokensPath = process.env.GOOGLE_TOKENS_PATH || '.token.json';
-const tokens = JSON.parse(fs.readFileSync(tokensPath));
-
-const auth = new google.auth.OAuth2(
-	process.env.GOOGLE_CLIENT_ID,
-	process.env.GOOGLE_CLIENT_SECRET,
-	process.env.GOOGLE_REDIRECT_URI,
-);
-auth.setCredentials(tokens);
-
-const docs = google.docs({ version: 'v1', auth });
-
-const findTab = (tabs) => {
-	const stack = [...(tabs || [])];
-	while (stack.length) {
-		const t = stack.shift();
-		if (t.tabProperties?.tabId === tabId) return t;
-		for (const c of t.childTabs || []) stack.push(c);
-	}
-	return null;
-};
+const auth = getAuth();
+const docs = getDocs(auth);
 
 // Load full tab content to compute indices and revisionId
 const meta = await docs.documents.get({ documentId, includeTabsContent: true });
 const revisionId = meta.data.revisionId;
-const tab = findTab(meta.data.tabs);
-if (!tab) { console.error('Tab not found:', tabId); process.exit(2); }
+let tab;
+try { tab = resolveTab(meta.data, tabRef); } catch (err) { console.error(err.message); process.exit(2); }
 
-const body = tab.documentTab?.body;
+const { tabId, body, endIndex } = tab;
 const first = body?.content?.[0];
-const last = body?.content?.[body.content.length - 1];
-const endIndex = last?.endIndex ?? 1;
 const firstStart = first?.startIndex ?? 1;
 const firstEnd = first?.endIndex ?? Math.min(10, endIndex);
 
@@ -61,7 +41,7 @@ if (preStyle) {
 }
 
 // Delete all existing content in the tab body (except the final newline)
-if (endIndex > 1) {
+if (endIndex > 2) {
 	requests.push({ deleteContentRange: { range: { tabId, startIndex: 1, endIndex: endIndex - 1 } } });
 }
 
@@ -74,8 +54,8 @@ await docs.documents.batchUpdate({ documentId, requestBody: bodyReq });
 
 // Read back styles of the first few paragraphs to observe formatting
 const meta2 = await docs.documents.get({ documentId, includeTabsContent: true });
-const tab2 = findTab(meta2.data.tabs);
-const paras = (tab2?.documentTab?.body?.content || [])
+const tab2 = findTabById(meta2.data, tabId);
+const paras = (tab2?.body?.content || [])
 	.filter(se => se.paragraph)
 	.slice(0, 6)
 	.map((se, idx) => ({ idx, style: se.paragraph.paragraphStyle?.namedStyleType || 'UNKNOWN' }));
@@ -0,0 +1,84 @@
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { getAuth, getDrive, getStorage } from '../lib/getAuth.js';
+import { withRetries } from '../lib/retry.js';
+import { loadMapping } from '../lib/mapping.js';
+import { loadMdMapping, markdownToIR } from '../lib/converter/index.js';
+import { mapImages } from '../lib/converter/images.js';
+import { localPath } from '../lib/imageUpload.js';
+import { claimForDeletion, deleteCachedUpload, hashImage, loadImageCache, restoreUpload, unreferencedUploads, updateImageCache } from '../lib/imageCache.js';
+
+// Usage: npm run gc [--dry-run] [--force] [--notes-dir=local]
+// Deletes the Drive files and GCS objects in image-cache.json that no bound note's Markdown refers to.
+// Docs keeps its own copy of every inserted image, so this only costs a re-upload if an image comes back.
+// Uploads used in the last IN_USE_MS are kept: a push may be inserting them.
+//   --dry-run    report only
+//   --force      delete even though some bound notes have no Markdown (their images count as unreferenced)
+//   --notes-dir  where bound notes are kept as <noteId>.md (default: local, as written by pollChanges)
+const IN_USE_MS = 10 * 60_000;
+const dryRun = process.argv.includes('--dry-run');
+const force = process.argv.includes('--force');
+const notesDir = path.resolve(process.argv.find(a => a.startsWith('--notes-dir='))?.split('=')[1] || 'local');
+
+const map = loadMapping();
+const mdMapping = loadMdMapping();
+
+// Hashes of the local images of every bound note
+const referenced = new Set();
+const missing = [];
+for (const noteId of Object.keys(map.notes)) {
+	const notePath = path.join(notesDir, `${noteId}.md`);
+	if (!fs.existsSync(notePath)) {
+		missing.push(`${noteId} (${notePath})`);
+		continue;
+	}
+	await mapImages(markdownToIR(fs.readFileSync(notePath, 'utf8'), mdMapping), image => {
+		if (/^https?:\/\//i.test(image.src)) return image;
+		const filePath = localPath(image.src, path.dirname(notePath));
+		if (fs.existsSync(filePath)) referenced.add(hashImage(filePath));
+		return image;
+	});
+}
+
+// Without a note's Markdown its images cannot be told apart from unreferenced ones
+if (missing.length) {
+	console.warn(`No Markdown for bound notes; their images count as unreferenced: ${missing.join(', ')}`);
+	if (!dryRun && !force) {
+		console.error('Not deleting anything: pull these notes first (npm run pollChanges) or pass --force');
+		process.exit(1);
+	}
+}
+
+const describe = ({ kind, entry }) => `${kind} ${entry.fileId || `${entry.bucket}/${entry.object}`}`;
+
+const cache = loadImageCache();
+const stale = unreferencedUploads(cache, referenced);
+console.log(`Cached images: ${Object.keys(cache.images).length}, referenced: ${referenced.size}, uploads to delete: ${stale.length}`);
+
+if (dryRun) {
+	for (const upload of stale) console.log(`would delete ${describe(upload)} (${upload.hash.slice(0, 12)}, last used ${upload.entry.lastUsed})`);
+	process.exit(0);
+}
+
+const auth = getAuth();
+const clients = { drive: withRetries(getDrive(auth)), storage: getStorage(auth) };
+const usedSince = new Date(Date.now() - IN_USE_MS).toISOString();
+let failures = 0;
+for (const upload of stale) {
+	// Dropped from the cache under its lock before it is deleted: a push either marked it used first, and it is
+	// kept, or finds it gone and uploads the image again
+	if (!updateImageCache(saved => claimForDeletion(saved, upload, usedSince))) {
+		console.log(`kept ${describe(upload)} (used in the last ${IN_USE_MS / 60_000} minutes, or replaced)`);
+		continue;
+	}
+	try {
+		await deleteCachedUpload(cache, upload, clients);
+		console.log(`deleted ${describe(upload)}`);
+	} catch (err) {
+		failures++;
+		console.error(`Could not delete ${describe(upload)}:`, err?.response?.data ?? err?.message ?? err);
+		updateImageCache(saved => restoreUpload(saved, upload));
+	}
+}
+if (failures) process.exit(1);
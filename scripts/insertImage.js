@@ -1,5 +1,5 @@
 import 'dotenv/config';
-import { google } from 'googleapis';
+import { getAuth, getDocs, getDrive } from '../lib/getAuth.js';
 import fs from 'fs';
 import path from 'path';
 
@@ -35,15 +35,8 @@ if (isUrl) {
 	console.log(`Insert index: ${indexArg ? parseInt(indexArg, 10) : 1}`);
 	console.log('');
 
-	const tokensPath = process.env.GOOGLE_TOKENS_PATH || '.token.json';
-	const tokens = JSON.parse(fs.readFileSync(tokensPath));
-	const auth = new google.auth.OAuth2(
-		process.env.GOOGLE_CLIENT_ID,
-		process.env.GOOGLE_CLIENT_SECRET,
-		process.env.GOOGLE_REDIRECT_URI,
-	);
-	auth.setCredentials(tokens);
-	const docs = google.docs({ version: 'v1', auth });
+	const auth = getAuth();
+	const docs = getDocs(auth);
 
 	try {
 		console.log('Inserting image from URL...');
@@ -92,19 +85,9 @@ if (!mimeType) {
 	process.exit(1);
 }
 
-// Setup auth
-const tokensPath = process.env.GOOGLE_TOKENS_PATH || '.token.json';
-const tokens = JSON.parse(fs.readFileSync(tokensPath));
-
-const auth = new google.auth.OAuth2(
-	process.env.GOOGLE_CLIENT_ID,
-	process.env.GOOGLE_CLIENT_SECRET,
-	process.env.GOOGLE_REDIRECT_URI,
-);
-auth.setCredentials(tokens);
-
-const drive = google.drive({ version: 'v3', auth });
-const docs = google.docs({ version: 'v1', auth });
+const auth = getAuth();
+const drive = getDrive(auth);
+const docs = getDocs(auth);
 
 console.log('=== Image Insert POC ===');
 console.log(`Doc ID: ${docId}`);
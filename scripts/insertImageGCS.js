@@ -1,5 +1,5 @@
 import 'dotenv/config';
-import { google } from 'googleapis';
+import { getAuth, getDocs, getStorage } from '../lib/getAuth.js';
 import fs from 'fs';
 import path from 'path';
 import crypto from 'crypto';
@@ -57,25 +57,11 @@ if (!bucketName) {
   process.exit(1);
 }
 
-// OAuth Setup (same as Drive/Docs)
-const tokensPath = process.env.GOOGLE_TOKENS_PATH || '.token.json';
-if (!fs.existsSync(tokensPath)) {
-  console.error(`Error: OAuth tokens not found: ${tokensPath}`);
-  console.error('Run: npm run auth');
-  process.exit(1);
-}
-
-const tokens = JSON.parse(fs.readFileSync(tokensPath));
-const auth = new google.auth.OAuth2(
-  process.env.GOOGLE_CLIENT_ID,
-  process.env.GOOGLE_CLIENT_SECRET,
-  process.env.GOOGLE_REDIRECT_URI,
-);
-auth.setCredentials(tokens);
+const auth = getAuth();
 
 // Initialize APIs
-const storage = google.storage({ version: 'v1', auth });
-const docs = google.docs({ version: 'v1', auth });
+const storage = getStorage(auth);
+const docs = getDocs(auth);
 
 // Helper functions
 function generateUniqueFilename(originalPath) {
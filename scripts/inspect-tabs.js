@@ -14,7 +14,6 @@
 
 const fs = require('fs');
 const path = require('path');
-const { google } = require('googleapis');
 
 function parseArgs(argv) {
   const out = {};
@@ -38,10 +37,6 @@ function loadEnvFile(p) {
   } catch (_) {}
 }
 
-function readJson(p, fallback = null) {
-  try { return JSON.parse(fs.readFileSync(p, 'utf8')); } catch { return fallback; }
-}
-
 async function main() {
   const args = parseArgs(process.argv);
   if (!args.doc) {
@@ -53,20 +48,9 @@ async function main() {
   const tokenPath = args.token || path.resolve(baseDir, '.token.json');
 
   loadEnvFile(envPath);
-  const tokens = readJson(tokenPath);
-  if (!tokens) {
-    console.error('Missing or invalid token file:', tokenPath);
-    process.exit(1);
-  }
-  const { GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET, GOOGLE_REDIRECT_URI } = process.env;
-  if (!GOOGLE_CLIENT_ID || !GOOGLE_CLIENT_SECRET || !GOOGLE_REDIRECT_URI) {
-    console.error('Missing GOOGLE_CLIENT_ID/GOOGLE_CLIENT_SECRET/GOOGLE_REDIRECT_URI in env:', envPath);
-    process.exit(1);
-  }
-
-  const auth = new google.auth.OAuth2(GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET, GOOGLE_REDIRECT_URI);
-  auth.setCredentials(tokens);
-  const docs = google.docs({ version: 'v1', auth });
+  // lib/ is ESM: load the shared client factory dynamically
+  const { getAuth, getDocs } = await import('../lib/getAuth.js');
+  const docs = getDocs(getAuth({ tokensPath: tokenPath }));
 
   try {
     // 1) Plain fetch for conversion baseline
@@ -1,6 +1,5 @@
 import 'dotenv/config';
-import { google } from 'googleapis';
-import * as fs from 'fs';
+import { getAuth, getDocs } from '../lib/getAuth.js';
 
 // Usage: node scripts/inspectCodeBlock.js <documentId>
 const [documentId] = process.argv.slice(2);
@@ -9,15 +8,8 @@ if (!documentId) {
   process.exit(1);
 }
 
-const tokensPath = process.env.GOOGLE_TOKENS_PATH || '.token.json';
-const tokens = fs.readFileSync(tokensPath);
-const auth = new google.auth.OAuth2(
-  process.env.GOOGLE_CLIENT_ID,
-  process.env.GOOGLE_CLIENT_SECRET,
-  process.env.GOOGLE_REDIRECT_URI,
-);
-auth.setCredentials(JSON.parse(tokens.toString()));
-const docs = google.docs({ version: 'v1', auth });
+const auth = getAuth();
+const docs = getDocs(auth);
 
 // Fetch document
 const res = await docs.documents.get({ documentId });
@@ -5,22 +5,13 @@
  */
 
 import 'dotenv/config';
-import { google } from 'googleapis';
-import * as fs from 'fs';
+import { getAuth, getDrive } from '../lib/getAuth.js';
 
 const PARENT_FOLDER_ID = process.env.PARENT_FOLDER_ID || '';
 const WRONG_FOLDER_ID = process.env.WRONG_FOLDER_ID || '';
 
-// Auth setup
-const tokensPath = process.env.GOOGLE_TOKENS_PATH || '.token.json';
-const tokens = fs.readFileSync(tokensPath);
-const auth = new google.auth.OAuth2(
-  process.env.GOOGLE_CLIENT_ID,
-  process.env.GOOGLE_CLIENT_SECRET,
-  process.env.GOOGLE_REDIRECT_URI,
-);
-auth.setCredentials(JSON.parse(tokens.toString()));
-const drive = google.drive({ version: 'v3', auth });
+const auth = getAuth();
+const drive = getDrive(auth);
 
 async function inspectFolder(folderId, label = '') {
   try {
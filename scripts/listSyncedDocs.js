@@ -7,34 +7,20 @@
  *   --delete   Delete all found docs (use with caution!)
  *   --dry-run  Show what would be deleted without actually deleting
  * 
- * This script finds all files with the 'joplinNoteId' app property,
+ * This script finds all files carrying note identity app properties
+ * (joplinNoteId, notebookId or tab.<tabId>; see lib/driveIdentity.js),
  * which indicates they were created/synced by the Joplin plugin.
  */
 
 import 'dotenv/config';
-import { google } from 'googleapis';
-import * as fs from 'fs';
+import { getAuth, getDrive } from '../lib/getAuth.js';
+import { hasIdentity } from '../lib/driveIdentity.js';
 
 const shouldDelete = process.argv.includes('--delete');
 const isDryRun = process.argv.includes('--dry-run');
 
-// Load OAuth tokens
-const tokensPath = process.env.GOOGLE_TOKENS_PATH || '.token.json';
-if (!fs.existsSync(tokensPath)) {
-  console.error(`Token file not found: ${tokensPath}`);
-  console.error('Run the authorization flow first.');
-  process.exit(1);
-}
-
-const tokens = JSON.parse(fs.readFileSync(tokensPath, 'utf8'));
-const auth = new google.auth.OAuth2(
-  process.env.GOOGLE_CLIENT_ID,
-  process.env.GOOGLE_CLIENT_SECRET,
-  process.env.GOOGLE_REDIRECT_URI,
-);
-auth.setCredentials(tokens);
-
-const drive = google.drive({ version: 'v3', auth });
+const auth = getAuth();
+const drive = getDrive(auth);
 
 async function findSyncedDocs(folderIds) {
   console.log('\nSearching for docs in sync folders...\n');
@@ -55,8 +41,8 @@ async function findSyncedDocs(folderIds) {
       });
       
       if (response.data.files) {
-        // Only include files that have joplinNoteId property
-        const syncedFiles = response.data.files.filter(f => f.appProperties?.joplinNoteId);
+        // Only include files that carry note or notebook identity
+        const syncedFiles = response.data.files.filter(f => hasIdentity(f.appProperties));
         allFiles.push(...syncedFiles);
       }
       pageToken = response.data.nextPageToken;
@@ -1,172 +1,155 @@
 import 'dotenv/config';
-import { google } from 'googleapis';
+import { getAuth, getDocs, getDrive, getStorage } from '../lib/getAuth.js';
+import { withRetries } from '../lib/retry.js';
 import fs from 'fs';
-
-// Usage: npm run mdToDocs -- <documentId> <tabId> <markdownFile>
-const [documentId, tabId, mdPath] = process.argv.slice(2);
-if (!documentId || !tabId || !mdPath) {
-	console.error('Usage: npm run mdToDocs -- <documentId> <tabId> <markdownFile>');
+import path from 'path';
+import {
+	loadMdMapping,
+	markdownToIR,
+	irToPlainTextWithRanges,
+	buildDocsStyleUpdateRequests,
+	buildHeadingLinkRequests,
+	buildImageRequests,
+	buildChipRequests,
+	buildFootnoteRequests,
+	buildFootnoteContentRequests,
+	buildPageBreakRequests,
+	buildTableRequests,
+	codeRangeDeletions,
+	imageRangeDeletions,
+	mixedLists,
+} from '../lib/converter/index.js';
+import { isFetchableImage, mapImages } from '../lib/converter/images.js';
+import { createImageUploader, uploadImages } from '../lib/imageUpload.js';
+import { loadImageCache, mergeImageCache, touchCachedUpload, updateImageCache } from '../lib/imageCache.js';
+import { resolveTab } from '../lib/tabs.js';
+
+// Usage: npm run mdToDocs -- <documentId> <tab> <markdownFile>   (tab: id, title path or index)
+// Local images are uploaded with IMAGE_UPLOADER (drive, gcs or url; see lib/imageUpload.js),
+// once per content: image-cache.json remembers the uploads (npm run gc deletes unused ones)
+const [documentId, tabRef, mdPath] = process.argv.slice(2);
+if (!documentId || !tabRef || !mdPath) {
+	console.error('Usage: npm run mdToDocs -- <documentId> <tab> <markdownFile>');
 	process.exit(1);
 }
 
 const md = fs.readFileSync(mdPath, 'utf8');
 
-const tokensPath = process.env.GOOGLE_TOKENS_PATH || '.token.json';
-const tokens = JSON.parse(fs.readFileSync(tokensPath));
-const auth = new google.auth.OAuth2(
-	process.env.GOOGLE_CLIENT_ID,
-	process.env.GOOGLE_CLIENT_SECRET,
-	process.env.GOOGLE_REDIRECT_URI,
-);
-auth.setCredentials(tokens);
-const docs = google.docs({ version: 'v1', auth });
-
-// Load mapping config (user-editable)
-let mapping = null;
-try {
-    mapping = JSON.parse(fs.readFileSync(new URL('../config/md-mapping.json', import.meta.url)));
-} catch {
-    mapping = { headings: { h1: 'HEADING_1', h2: 'HEADING_2', h3: 'HEADING_3', default: 'NORMAL_TEXT' } };
-}
-
-// Parse headings and inline bold/italic, generating plain text and style ranges
-const lines = md.replace(/\r\n/g, '\n').replace(/\r/g, '\n').split('\n');
-
-function paragraphStyleFor(line) {
-    const h = mapping.headings || {};
-    if (/^#\s+/.test(line)) return h.h1 || 'HEADING_1';
-    if (/^##\s+/.test(line)) return h.h2 || 'HEADING_2';
-    if (/^###\s+/.test(line)) return h.h3 || 'HEADING_3';
-    return h.default || 'NORMAL_TEXT';
-}
+const auth = getAuth();
+const docs = withRetries(getDocs(auth));
 
-function stripHeadingMarkers(line) {
-	return line.replace(/^#{1,6}\s+/, '');
+const mapping = loadMdMapping();
+const parsed = markdownToIR(md, mapping);
+// Docs gives a list one preset, so nested levels of the other kind change their markers
+for (const first of mixedLists(parsed)) {
+	console.warn(`List mixes numbered and bulleted items; all levels get the markers of its first item: ${first.runs.map(r => r.text).join('')}`);
 }
 
-// Build plain text and collect paragraph style + inline style ranges
-let plain = '';
-const paraRanges = []; // { start, end, style }
-const textRanges = []; // { start, end, bold?, italic? }
-let cursor = 0;
+// Image paths are relative to the note; uploads stay public only until the push is done
+const uploader = createImageUploader({ drive: withRetries(getDrive(auth)), storage: getStorage(auth) });
+const cache = loadImageCache();
+const startedAt = new Date().toISOString();
+// A cached upload is marked used in image-cache.json before it is shared again, so `npm run gc` leaves it alone
+const claim = (hash, kind, ref) => updateImageCache(saved => touchCachedUpload(saved, hash, kind, ref));
+const uploaded = await uploadImages(parsed, uploader, { baseDir: path.dirname(path.resolve(mdPath)), cache, claim });
+const { failed, revoke } = uploaded;
+// Only this push's uploads are written back, so entries another push or gc wrote meanwhile survive
+updateImageCache(saved => mergeImageCache(saved, cache, startedAt));
+for (const { src, error } of failed) console.warn(`Image not uploaded (pushed as its alt text): ${src}: ${error.message}`);
+// Images with no http(s) URL Docs can fetch go in as their alt text too, instead of a bare placeholder
+const unfetchable = [];
+const ir = await mapImages(uploaded.ir, image => (isFetchableImage(image) ? image : (unfetchable.push(image.src), null)));
+if (unfetchable.length) console.warn('No URL Docs can fetch for images (pushed as their alt text):', [...new Set(unfetchable)].join(', '));
+const { plain, paraRanges, textRanges, tables, images, chips, footnotes, pageBreaks } = irToPlainTextWithRanges(ir, { mapping });
 
-let inFence = false;
-let fenceLang = '';
+try {
+	// Fetch revision and clear target tab content, insert plain text, then apply styles
+	const meta = await docs.documents.get({ documentId, includeTabsContent: true });
+	const revisionId = meta.data.revisionId;
+	const { tabId, endIndex, documentTab } = resolveTab(meta.data, tabRef);
+
+	// Code block and image ranges of the previous push go with the text they covered
+	const reqs = [...codeRangeDeletions(documentTab?.namedRanges, tabId), ...imageRangeDeletions(documentTab?.namedRanges, tabId)];
+	if (endIndex > 2) reqs.push({ deleteContentRange: { range: { tabId, startIndex: 1, endIndex: endIndex - 1 } } });
+	reqs.push({ insertText: { location: { tabId, index: 1 }, text: plain } });
+	// Inserted paragraphs inherit the bullet and indents of the tab's last paragraph; lists and quotes are rebuilt below
+	const inserted = { tabId, startIndex: 1, endIndex: plain.length + 2 };
+	reqs.push({ deleteParagraphBullets: { range: inserted } });
+	reqs.push({ updateParagraphStyle: { range: inserted, paragraphStyle: {}, fields: 'indentStart,indentFirstLine' } });
+	const pushRes = await docs.documents.batchUpdate({ documentId, requestBody: { requests: reqs, writeControl: { requiredRevisionId: revisionId } } });
+
+	// Apply paragraph and text styles (TITLE/SUBTITLE rules are resolved in markdownToIR)
+	const allStyleReqs = buildDocsStyleUpdateRequests(paraRanges, textRanges, { tabId, mapping });
+	// Pinned to the revision written above so a retried or concurrent batch cannot misplace styles
+	let requiredRevisionId = pushRes.data.writeControl?.requiredRevisionId;
+	if (allStyleReqs.length) {
+		const styleRes = await docs.documents.batchUpdate({
+			documentId,
+			requestBody: { requests: allStyleReqs, writeControl: { requiredRevisionId } },
+		});
+		requiredRevisionId = styleRes.data.writeControl?.requiredRevisionId;
+	}
 
-for (let i = 0; i < lines.length; i++) {
-	const original = lines[i];
-	// Fenced code block toggle
-	const fenceMatch = original.match(/^```\s*([a-zA-Z0-9_-]+)?\s*$/);
-	if (fenceMatch) {
-		inFence = !inFence;
-		fenceLang = inFence ? (fenceMatch[1] || '') : '';
-		continue; // do not emit the backtick line itself
+	// Images, smart chips and page breaks replace their one-character placeholders, leaving every other offset as it was
+	if (images.length || chips.length || pageBreaks.length) {
+		const { requests: imageReqs, unresolved } = buildImageRequests(images, { tabId });
+		if (unresolved.length) console.warn('No URL Docs can fetch for images (left as placeholders):', [...new Set(unresolved)].join(', '));
+		const requests = [
+			...imageReqs,
+			...buildChipRequests(chips, { tabId, mapping }),
+			...buildPageBreakRequests(pageBreaks, { tabId }),
+		];
+		const inlineRes = await docs.documents.batchUpdate({ documentId, requestBody: { requests, writeControl: { requiredRevisionId } } });
+		requiredRevisionId = inlineRes.data.writeControl?.requiredRevisionId;
 	}
 
-	const namedStyleType = inFence ? 'CODEBLOCK' : paragraphStyleFor(original);
-	let line = inFence ? original : stripHeadingMarkers(original);
-	// Inline: bold **text** and italic *text* or _text_
-	// Simple non-nested handling
-	const applyInline = (re, updater) => {
-		let m;
-		let offset = 0;
-		while ((m = re.exec(line)) !== null) {
-			const full = m[0];
-			const inner = m[1];
-			const startInLine = m.index - offset; // after removing markers
-			const endInLine = startInLine + inner.length;
-			updater(cursor + startInLine, cursor + endInLine);
-			// Replace match in line with inner (remove markers) and adjust offset
-			line = line.slice(0, m.index) + inner + line.slice(m.index + full.length);
-			offset += full.length - inner.length;
-			re.lastIndex = m.index + inner.length; // continue after replaced segment
-		}
+	// Footnotes replace their placeholders too; the replies name the segments their text goes into
+	const pushFootnotes = async (notes, baseIndex) => {
+		const createRes = await docs.documents.batchUpdate({
+			documentId,
+			requestBody: { requests: buildFootnoteRequests(notes, { tabId, baseIndex }), writeControl: { requiredRevisionId } },
+		});
+		requiredRevisionId = createRes.data.writeControl?.requiredRevisionId;
+		const footnoteIds = (createRes.data.replies || []).filter(r => r.createFootnote).map(r => r.createFootnote.footnoteId);
+		const requests = buildFootnoteContentRequests(notes, footnoteIds, { tabId, mapping });
+		if (!requests.length) return;
+		const contentRes = await docs.documents.batchUpdate({ documentId, requestBody: { requests, writeControl: { requiredRevisionId } } });
+		requiredRevisionId = contentRes.data.writeControl?.requiredRevisionId;
 	};
-	applyInline(/\*\*([^*]+)\*\*/g, (s, e) => textRanges.push({ start: s, end: e, bold: true }));
-	applyInline(/\*([^*]+)\*/g, (s, e) => textRanges.push({ start: s, end: e, italic: true }));
-	applyInline(/_([^_]+)_/g, (s, e) => textRanges.push({ start: s, end: e, italic: true }));
-
-	const start = cursor;
-	plain += line + '\n';
-	const end = start + line.length; // exclude newline
-	paraRanges.push({ start, end, style: namedStyleType });
-	cursor = end + 1;
-}
-
-// Enforce first line as Docs Title when configured
-if (mapping?.title?.useTitle && paraRanges.length > 0) {
-	paraRanges[0].style = 'TITLE';
-}
-
-// Fetch revision and clear target tab content, insert plain text, then apply styles
-const meta = await docs.documents.get({ documentId, includeTabsContent: true });
-const revisionId = meta.data.revisionId;
-const tabBody = meta.data.tabs?.find(t => t.tabProperties?.tabId === tabId)?.documentTab?.body;
-const last = tabBody?.content?.[tabBody.content.length - 1];
-const endIndex = last?.endIndex ?? 1;
-
-const reqs = [];
-if (endIndex > 1) reqs.push({ deleteContentRange: { range: { tabId, startIndex: 1, endIndex: endIndex - 1 } } });
-reqs.push({ insertText: { location: { tabId, index: 1 }, text: plain } });
-await docs.documents.batchUpdate({ documentId, requestBody: { requests: reqs, writeControl: { requiredRevisionId: revisionId } } });
+	if (footnotes.length) await pushFootnotes(footnotes, 1);
+
+	// Links to `#heading` anchors need the headingIds Docs assigned to the pushed headings
+	if (textRanges.some(r => r.link?.slug)) {
+		const after = await docs.documents.get({ documentId, includeTabsContent: true });
+		const { requests, unresolved } = buildHeadingLinkRequests(textRanges, resolveTab(after.data, tabId).body, { tabId });
+		if (requests.length) {
+			const linkRes = await docs.documents.batchUpdate({ documentId, requestBody: { requests, writeControl: { requiredRevisionId } } });
+			requiredRevisionId = linkRes.data.writeControl?.requiredRevisionId;
+		}
+		if (unresolved.length) console.warn('No heading for link anchors (left unlinked):', [...new Set(unresolved)].join(', '));
+	}
 
-// Apply paragraph styles (first line enforced to TITLE; if second line is italic and mapping.subtitle.mode=italic, set SUBTITLE)
-if (mapping?.title?.useTitle && paraRanges.length > 0) {
-    paraRanges[0].style = 'TITLE';
-}
-if (mapping?.subtitle?.mode === 'italic' && paraRanges.length > 1) {
-    // Detect italic via textRanges that fully cover the second line
-    const second = paraRanges[1];
-    const fullItalic = textRanges.some(r => r.italic && r.start <= second.start && r.end >= second.end);
-    if (fullItalic) paraRanges[1].style = 'SUBTITLE';
+	// Tables go in last: their cells shift every offset after them
+	if (tables.length) {
+		const after = await docs.documents.get({ documentId, includeTabsContent: true });
+		const { requests, unresolved, footnotes: cellFootnotes } = buildTableRequests(tables, { tabId, mapping, body: resolveTab(after.data, tabId).body });
+		const tableRes = await docs.documents.batchUpdate({ documentId, requestBody: { requests, writeControl: { requiredRevisionId } } });
+		requiredRevisionId = tableRes.data.writeControl?.requiredRevisionId;
+		if (unresolved.length) console.warn('No heading for link anchors in tables (left unlinked):', [...new Set(unresolved)].join(', '));
+		// Their indexes are known only once the tables are in
+		if (cellFootnotes.length) await pushFootnotes(cellFootnotes, 0);
+	}
+} finally {
+	// Docs has copied the images (or the push failed): withdraw the public access either way.
+	// A failure here is reported, but the push's own outcome decides how the script ends
+	try {
+		await revoke();
+	} catch (err) {
+		const uploads = (err.stillPublic || []).map(({ filePath, uri }) => `${filePath} (${uri})`);
+		console.error(`${err.message}; still public: ${uploads.join(', ') || 'unknown'}`, err.cause?.message ?? '');
+	}
 }
 
-// Apply paragraph styles
-const paraReqs = paraRanges
-	.filter(r => r.end >= r.start)
-	.map(r => ({
-		updateParagraphStyle: {
-			range: { tabId, startIndex: r.start + 1, endIndex: r.end + 1 }, // +1 due to insertion starting at index 1
-			paragraphStyle: r.style === 'CODEBLOCK'
-				? {
-					shading: { backgroundColor: { color: { rgbColor: { red: 0.96, green: 0.96, blue: 0.96 } } } },
-					borderLeft: {
-						width: { magnitude: 1, unit: 'PT' },
-						padding: { magnitude: 6, unit: 'PT' },
-						color: { color: { rgbColor: { red: 0.8, green: 0.8, blue: 0.8 } } },
-						dashStyle: 'SOLID',
-					},
-				}
-				: { namedStyleType: r.style },
-			fields: r.style === 'CODEBLOCK'
-				? 'shading,borderLeft'
-				: 'namedStyleType',
-		},
-	}))
-;
-// Apply text styles
-const textReqs = textRanges.map(r => ({
-	updateTextStyle: {
-		range: { tabId, startIndex: r.start + 1, endIndex: r.end + 1 },
-		textStyle: { bold: !!r.bold, italic: !!r.italic },
-		fields: [r.bold ? 'bold' : null, r.italic ? 'italic' : null].filter(Boolean).join(','),
-	},
-}));
-
-// Enforce monospace font for CODEBLOCK paragraphs
-const codeMonoReqs = paraRanges
-	.filter(r => r.style === 'CODEBLOCK')
-	.map(r => ({
-		updateTextStyle: {
-			range: { tabId, startIndex: r.start + 1, endIndex: r.end + 1 },
-			textStyle: { weightedFontFamily: { fontFamily: 'Roboto Mono' } },
-			fields: 'weightedFontFamily',
-		},
-	}));
-
-const allStyleReqs = [...paraReqs, ...textReqs, ...codeMonoReqs];
-if (allStyleReqs.length) await docs.documents.batchUpdate({ documentId, requestBody: { requests: allStyleReqs } });
-
-console.log('Applied md→Docs styles. Paragraphs:', paraRanges.length, 'Text ranges:', textRanges.length);
+console.log('Applied md→Docs styles. Paragraphs:', paraRanges.length, 'Text ranges:', textRanges.length, 'Tables:', tables.length, 'Images:', images.length, 'Chips:', chips.length, 'Footnotes:', footnotes.length, 'Page breaks:', pageBreaks.length);
 
 
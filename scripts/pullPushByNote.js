@@ -1,7 +1,9 @@
 import 'dotenv/config';
-import { google } from 'googleapis';
+import { getAuth, getDocs } from '../lib/getAuth.js';
+import { withRetries } from '../lib/retry.js';
 import fs from 'fs';
 import { getBinding, updateSyncCheckpoint } from '../lib/mapping.js';
+import { findTabById } from '../lib/tabs.js';
 
 // Usage: npm run pullPushByNote -- <noteId> <localPath>
 const [noteId, localPath] = process.argv.slice(2);
@@ -17,20 +19,10 @@ if (!binding) {
 }
 const { fileId: documentId, tabId } = binding;
 
-const tokensPath = process.env.GOOGLE_TOKENS_PATH || '.token.json';
-const tokens = JSON.parse(fs.readFileSync(tokensPath));
+const auth = getAuth();
+const docs = withRetries(getDocs(auth));
 
-const auth = new google.auth.OAuth2(
-	process.env.GOOGLE_CLIENT_ID,
-	process.env.GOOGLE_CLIENT_SECRET,
-	process.env.GOOGLE_REDIRECT_URI,
-);
-auth.setCredentials(tokens);
-
-const docs = google.docs({ version: 'v1', auth });
-
-const getTabText = (tab) => {
-	const body = tab.documentTab?.body;
+const getTabText = ({ body }) => {
 	if (!body?.content) return '';
 	let out = '';
 	for (const el of body.content) {
@@ -41,20 +33,10 @@ const getTabText = (tab) => {
 	return out;
 };
 
-const findTab = (tabs) => {
-	const stack = [...(tabs || [])];
-	while (stack.length) {
-		const t = stack.shift();
-		if (t.tabProperties?.tabId === tabId) return t;
-		for (const c of t.childTabs || []) stack.push(c);
-	}
-	return null;
-};
-
 // Pull
 const meta = await docs.documents.get({ documentId, includeTabsContent: true });
 const revisionId = meta.data.revisionId;
-const tab = findTab(meta.data.tabs);
+const tab = findTabById(meta.data, tabId);
 if (!tab) {
 	console.error('Tab not found for binding:', tabId);
 	process.exit(3);
@@ -68,13 +50,10 @@ if (remoteText === localText) {
 	process.exit(0);
 }
 
-// Compute endIndex for replace
-const body = tab.documentTab?.body;
-const last = body.content[body.content.length - 1];
-const endIndex = last.endIndex ?? 1;
+const { endIndex } = tab;
 
 const requests = [];
-if (endIndex > 1) {
+if (endIndex > 2) {
 	requests.push({ deleteContentRange: { range: { tabId, startIndex: 1, endIndex: endIndex - 1 } } });
 }
 requests.push({ insertText: { location: { tabId, index: 1 }, text: localText } });
@@ -1,29 +1,20 @@
 import 'dotenv/config';
-import { google } from 'googleapis';
+import { getAuth, getDocs } from '../lib/getAuth.js';
 import fs from 'fs';
+import { resolveTab } from '../lib/tabs.js';
 
-// Usage: npm run pullPush -- <documentId> <tabId> <localPath>
+// Usage: npm run pullPush -- <documentId> <tab> <localPath>   (tab: id, title path or index)
 // Simulates: pull Doc tab -> compare -> push if different (optimistic concurrency)
-const [documentId, tabId, localPath] = process.argv.slice(2);
-if (!documentId || !tabId || !localPath) {
-	console.error('Usage: npm run pullPush -- <documentId> <tabId> <localPath>');
+const [documentId, tabRef, localPath] = process.argv.slice(2);
+if (!documentId || !tabRef || !localPath) {
+	console.error('Usage: npm run pullPush -- <documentId> <tab> <localPath>');
 	process.exit(1);
 }
 
-const tokensPath = process.env.GOOGLE_TOKENS_PATH || '.token.json';
-const tokens = JSON.parse(fs.readFileSync(tokensPath));
+const auth = getAuth();
+const docs = getDocs(auth);
 
-const auth = new google.auth.OAuth2(
-	process.env.GOOGLE_CLIENT_ID,
-	process.env.GOOGLE_CLIENT_SECRET,
-	process.env.GOOGLE_REDIRECT_URI,
-);
-auth.setCredentials(tokens);
-
-const docs = google.docs({ version: 'v1', auth });
-
-const getTabText = (tab) => {
-	const body = tab.documentTab?.body;
+const getTabText = ({ body }) => {
 	if (!body?.content) return '';
 	let out = '';
 	for (const el of body.content) {
@@ -34,24 +25,17 @@ const getTabText = (tab) => {
 	return out;
 };
 
-const findTab = (tabs) => {
-	const stack = [...(tabs || [])];
-	while (stack.length) {
-		const t = stack.shift();
-		if (t.tabProperties?.tabId === tabId) return t;
-		for (const c of t.childTabs || []) stack.push(c);
-	}
-	return null;
-};
-
 // Pull
 const meta = await docs.documents.get({ documentId, includeTabsContent: true });
 const revisionId = meta.data.revisionId;
-const tab = findTab(meta.data.tabs);
-if (!tab) {
-	console.error('Tab not found:', tabId);
+let tab;
+try {
+	tab = resolveTab(meta.data, tabRef);
+} catch (err) {
+	console.error(err.message);
 	process.exit(2);
 }
+const { tabId, endIndex } = tab;
 const remoteText = getTabText(tab);
 
 // Compare
@@ -61,13 +45,8 @@ if (remoteText === localText) {
 	process.exit(0);
 }
 
-// Compute endIndex for replace
-const body = tab.documentTab?.body;
-const last = body.content[body.content.length - 1];
-const endIndex = last.endIndex ?? 1;
-
 const requests = [];
-if (endIndex > 1) {
+if (endIndex > 2) {
 	requests.push({ deleteContentRange: { range: { tabId, startIndex: 1, endIndex: endIndex - 1 } } });
 }
 requests.push({ insertText: { location: { tabId, index: 1 }, text: localText } });
@@ -0,0 +1,77 @@
+import 'dotenv/config';
+import { getAuth, getDrive } from '../lib/getAuth.js';
+import { withRetries } from '../lib/retry.js';
+import { findBoundDocs, findSyncFolders, mappingFromDocs } from '../lib/driveIdentity.js';
+import { loadMapping, saveMapping, withMappingLock } from '../lib/mapping.js';
+
+// Usage: npm run rebuildMapping [--dry-run] [--prune]
+// Rebuilds mapping.json from the appProperties mirrored by bindNote/bindNotebook.
+//   --dry-run  report only
+//   --prune    drop local bindings that no doc in Drive claims
+const dryRun = process.argv.includes('--dry-run');
+const prune = process.argv.includes('--prune');
+
+const drive = withRetries(getDrive(getAuth()));
+
+const folders = await findSyncFolders(drive);
+const docs = await findBoundDocs(drive, { folders });
+const rebuilt = mappingFromDocs(docs);
+console.log(`Sync folders: ${folders.length}, bound docs: ${docs.length}`);
+
+// Keep sync checkpoints only where Drive agrees with the local binding
+function merge(local, remote, sameTarget) {
+	const out = {};
+	const report = { added: [], moved: [], unchanged: [], localOnly: [] };
+	for (const [id, binding] of Object.entries(remote)) {
+		const prev = local[id];
+		if (!prev) {
+			report.added.push(id);
+			out[id] = binding;
+		} else if (sameTarget(prev, binding)) {
+			report.unchanged.push(id);
+			const { accessLost, ...kept } = prev;
+			out[id] = { ...kept, ...binding };
+		} else {
+			report.moved.push(id);
+			out[id] = binding;
+		}
+	}
+	for (const [id, binding] of Object.entries(local)) {
+		if (id in remote) continue;
+		report.localOnly.push(id);
+		if (!prune) out[id] = binding;
+	}
+	return { out, report };
+}
+
+const run = () => {
+	let local;
+	try {
+		local = loadMapping();
+	} catch (err) {
+		// Recovering from a corrupt mapping is the point of this command
+		if (err.code !== 'MAPPING_CORRUPT') throw err;
+		console.warn(`${err.message}\nRebuilding from Drive only.`);
+		local = { notes: {}, notebooks: {} };
+	}
+	const notes = merge(local.notes, rebuilt.notes, (a, b) => a.fileId === b.fileId && a.tabId === b.tabId);
+	const notebooks = merge(local.notebooks, rebuilt.notebooks, (a, b) => a.fileId === b.fileId);
+	for (const [label, { out, report }] of [['notes', notes], ['notebooks', notebooks]]) {
+		const kept = report.localOnly.length ? (prune ? ' (pruned)' : ' (kept)') : '';
+		console.log(`${label}: ${report.added.length} added, ${report.moved.length} rebound, `
+			+ `${report.unchanged.length} unchanged, ${report.localOnly.length} local-only${kept}`);
+		for (const id of report.moved) console.log(`  rebound ${id}: ${local[label][id].fileId} -> ${out[id].fileId} ${out[id].tabId || ''}`);
+		for (const id of report.localOnly) console.log(`  local-only ${id}`);
+	}
+	for (const c of rebuilt.conflicts) {
+		console.warn(`conflict: ${c.kind} ${c.id} claimed by ${c.kept} and ${c.ignored}; kept ${c.kept} (${c.reason})`);
+	}
+	if (dryRun) {
+		console.log('Dry run: mapping.json not written.');
+		return;
+	}
+	saveMapping({ ...local, notes: notes.out, notebooks: notebooks.out });
+	console.log('mapping.json rebuilt (previous generation kept in mapping.json.bak).');
+};
+
+withMappingLock(run);
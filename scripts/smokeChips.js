@@ -17,21 +17,11 @@
  */
 
 import 'dotenv/config';
-import { google } from 'googleapis';
-import fs from 'fs';
+import { getAuth, getDocs, getDrive } from '../lib/getAuth.js';
 
-const tokensPath = process.env.GOOGLE_TOKENS_PATH || '.token.json';
-const tokens = JSON.parse(fs.readFileSync(tokensPath));
-
-const auth = new google.auth.OAuth2(
-  process.env.GOOGLE_CLIENT_ID,
-  process.env.GOOGLE_CLIENT_SECRET,
-  process.env.GOOGLE_REDIRECT_URI,
-);
-auth.setCredentials(tokens);
-
-const docs = google.docs({ version: 'v1', auth });
-const drive = google.drive({ version: 'v3', auth });
+const auth = getAuth();
+const docs = getDocs(auth);
+const drive = getDrive(auth);
 
 const log = (...args) => console.log(...args);
 const die = (msg, err) => {
@@ -245,7 +235,7 @@ const main = async () => {
   log('\nLeaving test doc in place for manual inspection.');
   log(`  open: https://docs.google.com/document/d/${documentId}/edit`);
   log('  delete later with:');
-  log(`    node -e "import('googleapis').then(async m => { const a = new m.google.auth.OAuth2(process.env.GOOGLE_CLIENT_ID, process.env.GOOGLE_CLIENT_SECRET); a.setCredentials(JSON.parse(require('fs').readFileSync(process.env.GOOGLE_TOKENS_PATH || '.token.json'))); await m.google.drive({version:'v3',auth:a}).files.delete({ fileId: '${documentId}', supportsAllDrives: true }); console.log('deleted'); })"`);
+  log(`    node -e "import('./lib/getAuth.js').then(async m => { await m.getDrive(m.getAuth()).files.delete({ fileId: '${documentId}', supportsAllDrives: true }); console.log('deleted'); })"`);
 
   log('\n✅ All three chip-insert request types accepted and round-tripped via documents.get.');
 };
@@ -1,6 +1,7 @@
 import 'dotenv/config';
-import { google } from 'googleapis';
-import fs from 'fs';
+import { getAuth, getDocs } from '../lib/getAuth.js';
+import { findTabById, resolveTab } from '../lib/tabs.js';
+import { irToMarkdown, isOrderedGlyph, listItemFromBullet, normalizeMarkdown } from '../lib/converter/index.js';
 
 /**
  * Test list round-trip behavior to understand how different list types
@@ -9,34 +10,29 @@ import fs from 'fs';
  * Based on Joplin's markdown syntax:
  * - Unordered: "- item" with 4-space indent for nesting
  * - Ordered: "1. item" with 4-space indent for nesting
+ * Read-back lists are rendered with the converter (lib/converter/lists.js).
  * 
- * Usage: npm run testListRoundtrip -- <documentId> <tabId>
+ * Usage: npm run testListRoundtrip -- <documentId> <tab>
  */
 
-const [documentId, tabId] = process.argv.slice(2);
-if (!documentId || !tabId) {
-	console.error('Usage: npm run testListRoundtrip -- <documentId> <tabId>');
+const [documentId, tabRef] = process.argv.slice(2);
+if (!documentId || !tabRef) {
+	console.error('Usage: npm run testListRoundtrip -- <documentId> <tab>');
 	process.exit(1);
 }
 
-// Setup auth
-const tokensPath = process.env.GOOGLE_TOKENS_PATH || '.token.json';
-const tokens = JSON.parse(fs.readFileSync(tokensPath));
+const auth = getAuth();
+const docs = getDocs(auth);
 
-const auth = new google.auth.OAuth2(
-	process.env.GOOGLE_CLIENT_ID,
-	process.env.GOOGLE_CLIENT_SECRET
-);
-auth.setCredentials(tokens);
-
-const docs = google.docs({ version: 'v1', auth });
+// Resolved once up front so every helper below can address the tab by id
+const { tabId } = resolveTab((await docs.documents.get({ documentId, includeTabsContent: true })).data, tabRef);
 
 /**
  * Clear tab content and insert new text
  */
 async function clearAndInsert(text) {
 	const meta = await docs.documents.get({ documentId, includeTabsContent: true });
-	const tabBody = meta.data.tabs?.find(t => t.tabProperties?.tabId === tabId)?.documentTab?.body;
+	const tabBody = findTabById(meta.data, tabId)?.body;
 	const endIndex = tabBody?.content?.slice(-1)[0]?.endIndex || 1;
 	
 	const requests = [];
@@ -75,7 +71,7 @@ async function applyBullets(startIndex, endIndex, bulletPreset) {
  */
 async function readDocLists() {
 	const meta = await docs.documents.get({ documentId, includeTabsContent: true });
-	const tab = meta.data.tabs?.find(t => t.tabProperties?.tabId === tabId);
+	const tab = findTabById(meta.data, tabId);
 	const tabBody = tab?.documentTab?.body;
 	const lists = tab?.documentTab?.lists || {};
 	
@@ -98,49 +94,16 @@ async function readDocLists() {
 }
 
 /**
- * Determine if a list is ordered based on its glyphType
- */
-function isOrderedGlyph(glyphType) {
-	const orderedTypes = ['DECIMAL', 'ALPHA', 'UPPER_ALPHA', 'ROMAN', 'UPPER_ROMAN', 'ZERODECIMAL'];
-	return orderedTypes.includes(glyphType);
-}
-
-/**
- * Convert Google Docs list back to Markdown format
+ * Convert read-back paragraphs to Markdown with the pull converter's list
+ * reader and writer (lists section of config/md-mapping.json)
  */
 function docsListToMarkdown(paragraphs, lists) {
-	const result = [];
-	
-	for (const para of paragraphs) {
-		if (!para.hasBullet) {
-			result.push(para.text);
-			continue;
-		}
-		
-		// Get list definition
-		const listDef = lists[para.listId];
-		const nestingLevelDef = listDef?.listProperties?.nestingLevels?.[para.nestingLevel];
-		
-		// Determine list type
-		const glyphType = nestingLevelDef?.glyphType;
-		const glyphSymbol = nestingLevelDef?.glyphSymbol;
-		
-		// Determine prefix
-		let prefix;
-		if (isOrderedGlyph(glyphType)) {
-			prefix = '1. ';
-		} else {
-			// For unordered, always use dash (Joplin standard)
-			prefix = '- ';
-		}
-		
-		// Add indentation (4 spaces per level, Joplin standard)
-		const indent = '    '.repeat(para.nestingLevel);
-		
-		result.push(indent + prefix + para.text);
-	}
-	
-	return result.join('\n');
+	const ir = paragraphs.map(para => ({
+		style: 'NORMAL_TEXT',
+		runs: para.text ? [{ text: para.text }] : [],
+		...(para.hasBullet ? { list: listItemFromBullet({ listId: para.listId, nestingLevel: para.nestingLevel }, lists) } : {}),
+	}));
+	return irToMarkdown(ir);
 }
 
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
@@ -225,8 +188,9 @@ async function testUnorderedListRoundtrip() {
 	console.log(markdownOutput);
 	
 	// Compare
-	const inputNormalized = markdownInput.trim();
-	const outputNormalized = markdownOutput.trim();
+	// Numbering is compared as Joplin writes it (`1.` throughout)
+	const inputNormalized = normalizeMarkdown(markdownInput);
+	const outputNormalized = normalizeMarkdown(markdownOutput);
 	const match = inputNormalized === outputNormalized;
 	
 	console.log('\n6. ROUND-TRIP RESULT:', match ? '✅ MATCH' : '❌ MISMATCH');
@@ -312,9 +276,9 @@ async function testOrderedListRoundtrip() {
 	console.log(markdownOutput);
 	
 	// For ordered lists, normalize numbering (Joplin uses sequential numbers but we output 1.)
-	const inputNormalized = markdownInput.replace(/^\d+\./gm, '1.');
-	const outputNormalized = markdownOutput.trim();
-	const match = inputNormalized.trim() === outputNormalized;
+	const inputNormalized = normalizeMarkdown(markdownInput);
+	const outputNormalized = normalizeMarkdown(markdownOutput);
+	const match = inputNormalized === outputNormalized;
 	
 	console.log('\n6. ROUND-TRIP RESULT:', match ? '✅ MATCH' : '❌ MISMATCH (numbering normalized)');
 	if (!match) {
@@ -550,8 +514,9 @@ async function testDeepUnorderedNesting() {
 	console.log('\n5. NESTING LEVELS FOUND:', levels.sort().join(', '));
 	
 	const has4Levels = levels.length >= 4;
-	const inputNormalized = markdownInput.trim();
-	const outputNormalized = markdownOutput.trim();
+	// Numbering is compared as Joplin writes it (`1.` throughout)
+	const inputNormalized = normalizeMarkdown(markdownInput);
+	const outputNormalized = normalizeMarkdown(markdownOutput);
 	const match = inputNormalized === outputNormalized;
 	
 	console.log('\n6. ROUND-TRIP RESULT:', match ? '✅ MATCH' : '❌ MISMATCH');
@@ -634,8 +599,9 @@ async function testDeepOrderedNesting() {
 	const has4Levels = levels.length >= 4;
 	
 	// Normalize: all ordered items use "1." as prefix
-	const inputNormalized = markdownInput.trim();
-	const outputNormalized = markdownOutput.trim();
+	// Numbering is compared as Joplin writes it (`1.` throughout)
+	const inputNormalized = normalizeMarkdown(markdownInput);
+	const outputNormalized = normalizeMarkdown(markdownOutput);
 	const match = inputNormalized === outputNormalized;
 	
 	console.log('\n5. ROUND-TRIP RESULT:', match ? '✅ MATCH' : '❌ MISMATCH');
@@ -1,6 +1,6 @@
 import 'dotenv/config';
-import { google } from 'googleapis';
-import fs from 'fs';
+import { getAuth, getDocs } from '../lib/getAuth.js';
+import { findTabById, resolveTab } from '../lib/tabs.js';
 
 /**
  * Test table insert/read with Google Docs API to confirm:
@@ -8,32 +8,27 @@ import fs from 'fs';
  * - Re-fetch to get table structure and cell indices
  * - insertText into cell paragraph indices
  *
- * Usage: npm run testTableRoundtrip -- <documentId> <tabId>
+ * Usage: npm run testTableRoundtrip -- <documentId> <tab>
  */
 
-const [documentId, tabId] = process.argv.slice(2);
-if (!documentId || !tabId) {
-	console.error('Usage: npm run testTableRoundtrip -- <documentId> <tabId>');
+const [documentId, tabRef] = process.argv.slice(2);
+if (!documentId || !tabRef) {
+	console.error('Usage: npm run testTableRoundtrip -- <documentId> <tab>');
 	process.exit(1);
 }
 
-const tokensPath = process.env.GOOGLE_TOKENS_PATH || '.token.json';
-const tokens = JSON.parse(fs.readFileSync(tokensPath));
+const auth = getAuth();
+const docs = getDocs(auth);
 
-const auth = new google.auth.OAuth2(
-	process.env.GOOGLE_CLIENT_ID,
-	process.env.GOOGLE_CLIENT_SECRET
-);
-auth.setCredentials(tokens);
-
-const docs = google.docs({ version: 'v1', auth });
+// Resolved once up front so every helper below can address the tab by id
+const { tabId } = resolveTab((await docs.documents.get({ documentId, includeTabsContent: true })).data, tabRef);
 
 /**
  * Get tab body content and end index for insertion
  */
 async function getTabBody() {
 	const meta = await docs.documents.get({ documentId, includeTabsContent: true });
-	const tab = meta.data.tabs?.find(t => t.tabProperties?.tabId === tabId);
+	const tab = findTabById(meta.data, tabId);
 	const body = tab?.documentTab?.body;
 	const content = body?.content || [];
 	const last = content[content.length - 1];
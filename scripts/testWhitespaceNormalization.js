@@ -1,6 +1,6 @@
 import 'dotenv/config';
-import { google } from 'googleapis';
-import fs from 'fs';
+import { getAuth, getDocs } from '../lib/getAuth.js';
+import { findTabById, resolveTab } from '../lib/tabs.js';
 
 /**
  * Test script for investigating whitespace normalization in Google Docs.
@@ -12,7 +12,7 @@ import fs from 'fs';
  * 
  * This could explain discrepancies between plain.length and actual document endIndex.
  * 
- * Usage: npm run testWhitespace -- <documentId> <tabId> [testCase]
+ * Usage: npm run testWhitespace -- <documentId> <tab> [testCase]
  * 
  * Test cases:
  *   basic      - Basic insertion length verification
@@ -23,25 +23,18 @@ import fs from 'fs';
  *   all        - Run all test cases (default)
  */
 
-const [documentId, tabId, testCase = 'all'] = process.argv.slice(2);
-if (!documentId || !tabId) {
-	console.error('Usage: npm run testWhitespace -- <documentId> <tabId> [testCase]');
+const [documentId, tabRef, testCase = 'all'] = process.argv.slice(2);
+if (!documentId || !tabRef) {
+	console.error('Usage: npm run testWhitespace -- <documentId> <tab> [testCase]');
 	console.error('Test cases: basic, tabs, blanktabs, trailing, fullcase, all');
 	process.exit(1);
 }
 
-// Setup auth
-const tokensPath = process.env.GOOGLE_TOKENS_PATH || '.token.json';
-const tokens = JSON.parse(fs.readFileSync(tokensPath));
+const auth = getAuth();
+const docs = getDocs(auth);
 
-const auth = new google.auth.OAuth2(
-	process.env.GOOGLE_CLIENT_ID,
-	process.env.GOOGLE_CLIENT_SECRET,
-	process.env.GOOGLE_REDIRECT_URI,
-);
-auth.setCredentials(tokens);
-
-const docs = google.docs({ version: 'v1', auth });
+// Resolved once up front so every helper below can address the tab by id
+const { tabId } = resolveTab((await docs.documents.get({ documentId, includeTabsContent: true })).data, tabRef);
 
 /**
  * Convert string to hex dump for comparison
@@ -70,7 +63,7 @@ async function clearAndInsertWithAnalysis(text, testName, useTabId = true) {
 	// Get current state - always read with includeTabsContent to get actual content
 	const meta = await docs.documents.get({ documentId, includeTabsContent: true });
 	const revisionId = meta.data.revisionId;
-	const tabBody = meta.data.tabs?.find(t => t.tabProperties?.tabId === tabId)?.documentTab?.body;
+	const tabBody = findTabById(meta.data, tabId)?.body;
 	const last = tabBody?.content?.[tabBody.content.length - 1];
 	const endIndex = last?.endIndex ?? 1;
 
@@ -97,7 +90,7 @@ async function clearAndInsertWithAnalysis(text, testName, useTabId = true) {
 	
 	// Read the document after insertion - always with includeTabsContent
 	const afterInsert = await docs.documents.get({ documentId, includeTabsContent: true });
-	const afterTabBody = afterInsert.data.tabs?.find(t => t.tabProperties?.tabId === tabId)?.documentTab?.body;
+	const afterTabBody = findTabById(afterInsert.data, tabId)?.body;
 	const afterLast = afterTabBody?.content?.[afterTabBody.content.length - 1];
 	const documentEndIndex = afterLast?.endIndex ?? 1;
 	
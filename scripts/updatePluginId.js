@@ -13,8 +13,7 @@
  */
 
 import 'dotenv/config';
-import { google } from 'googleapis';
-import * as fs from 'fs';
+import { getAuth, getDrive } from '../lib/getAuth.js';
 
 const NEW_PLUGIN_ID = 'io.github.albertbaubledeem.joplin.google-docs';
 
@@ -30,23 +29,8 @@ if (args.length === 0) {
 
 const OLD_PLUGIN_ID = args[0];
 
-// Load OAuth tokens
-const tokensPath = process.env.GOOGLE_TOKENS_PATH || '.token.json';
-if (!fs.existsSync(tokensPath)) {
-  console.error(`Token file not found: ${tokensPath}`);
-  console.error('Run the authorization flow first.');
-  process.exit(1);
-}
-
-const tokens = JSON.parse(fs.readFileSync(tokensPath, 'utf8'));
-const auth = new google.auth.OAuth2(
-  process.env.GOOGLE_CLIENT_ID,
-  process.env.GOOGLE_CLIENT_SECRET,
-  process.env.GOOGLE_REDIRECT_URI,
-);
-auth.setCredentials(tokens);
-
-const drive = google.drive({ version: 'v3', auth });
+const auth = getAuth();
+const drive = getDrive(auth);
 
 async function findFilesWithOldPluginId() {
   console.log(`\nSearching for files with pluginId='${OLD_PLUGIN_ID}'...`);
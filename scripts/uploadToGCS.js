@@ -1,5 +1,5 @@
 import 'dotenv/config';
-import { google } from 'googleapis';
+import { getAuth, getStorage } from '../lib/getAuth.js';
 import fs from 'fs';
 import path from 'path';
 import crypto from 'crypto';
@@ -44,23 +44,8 @@ if (!bucketName) {
   process.exit(1);
 }
 
-// OAuth Setup
-const tokensPath = process.env.GOOGLE_TOKENS_PATH || '.token.json';
-if (!fs.existsSync(tokensPath)) {
-  console.error(`Error: OAuth tokens not found: ${tokensPath}`);
-  console.error('Run: npm run auth');
-  process.exit(1);
-}
-
-const tokens = JSON.parse(fs.readFileSync(tokensPath));
-const auth = new google.auth.OAuth2(
-  process.env.GOOGLE_CLIENT_ID,
-  process.env.GOOGLE_CLIENT_SECRET,
-  process.env.GOOGLE_REDIRECT_URI,
-);
-auth.setCredentials(tokens);
-
-const storage = google.storage({ version: 'v1', auth });
+const auth = getAuth();
+const storage = getStorage(auth);
 
 // Generate unique filename to avoid collisions
 function generateUniqueFilename(originalPath) {
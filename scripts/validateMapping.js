@@ -0,0 +1,131 @@
+import 'dotenv/config';
+import fs from 'fs';
+import { getAuth, getDocs, getDrive } from '../lib/getAuth.js';
+import { withRetries } from '../lib/retry.js';
+import { listTabs } from '../lib/tabs.js';
+import { readIdentity } from '../lib/driveIdentity.js';
+import { MAPPING_SCHEMA_VERSION, buildFileIndex, loadMapping } from '../lib/mapping.js';
+import { pendingMigrations, schemaVersionOf } from '../lib/mappingMigrations.js';
+
+// Usage: npm run mapping:validate [--offline] [--json]
+// Reports dangling or inconsistent bindings in mapping.json; exits 1 if any error is found.
+//   --offline  only check mapping.json itself (no Docs/Drive calls)
+//   --json     print issues as JSON
+const offline = process.argv.includes('--offline');
+const asJson = process.argv.includes('--json');
+
+const issues = [];
+const report = (severity, code, subject, message) => issues.push({ severity, code, subject, message });
+
+let map;
+try {
+	map = loadMapping();
+} catch (err) {
+	// Corrupt, unreadable or too new: nothing else can be checked
+	console.error(err.message);
+	process.exit(1);
+}
+
+// loadMapping() migrates in memory, so the version on disk is read separately
+const onDisk = fs.existsSync('mapping.json') ? JSON.parse(fs.readFileSync('mapping.json', 'utf8')) : map;
+const diskVersion = schemaVersionOf(onDisk);
+for (const m of pendingMigrations(onDisk)) {
+	report('warning', 'SCHEMA_OUTDATED', 'mapping.json', `pending migration to v${m.version} (${m.description}); applied on the next write`);
+}
+
+// Local checks: shape and bindings that contradict each other
+for (const [noteId, b] of Object.entries(map.notes)) {
+	if (!b || typeof b !== 'object') {
+		report('error', 'BINDING_INVALID', `note ${noteId}`, 'binding is not an object');
+		continue;
+	}
+	if (!b.fileId) report('error', 'BINDING_NO_FILE', `note ${noteId}`, 'binding has no fileId');
+	if (!b.tabId) report('error', 'BINDING_NO_TAB', `note ${noteId}`, 'binding has no tabId');
+	if (b.accessLost) report('warning', 'ACCESS_LOST', `note ${noteId}`, `access to ${b.fileId} was lost during a previous sync`);
+}
+for (const [notebookId, b] of Object.entries(map.notebooks)) {
+	if (!b?.fileId) report('error', 'BINDING_NO_FILE', `notebook ${notebookId}`, 'binding has no fileId');
+}
+const fileIndex = buildFileIndex(map);
+for (const [fileId, notes] of fileIndex) {
+	const byTab = new Map();
+	for (const n of notes) {
+		if (!n.tabId) continue;
+		if (byTab.has(n.tabId)) {
+			report('error', 'TAB_BOUND_TWICE', `${fileId} ${n.tabId}`, `bound to both ${byTab.get(n.tabId)} and ${n.noteId}`);
+		} else {
+			byTab.set(n.tabId, n.noteId);
+		}
+	}
+}
+const notebookFiles = new Map();
+for (const [notebookId, b] of Object.entries(map.notebooks)) {
+	if (!b?.fileId) continue;
+	if (notebookFiles.has(b.fileId)) {
+		report('error', 'FILE_BOUND_TWICE', b.fileId, `bound to notebooks ${notebookFiles.get(b.fileId)} and ${notebookId}`);
+	} else {
+		notebookFiles.set(b.fileId, notebookId);
+	}
+}
+
+// Remote checks: the bound files and tabs still exist, and the Drive mirror agrees
+async function checkRemote() {
+	const auth = getAuth();
+	const docs = withRetries(getDocs(auth));
+	const drive = withRetries(getDrive(auth));
+	const fileIds = new Set([...fileIndex.keys(), ...notebookFiles.keys()]);
+	for (const fileId of fileIds) {
+		const notes = fileIndex.get(fileId) || [];
+		const owners = [...notes.map(n => `note ${n.noteId}`), ...(notebookFiles.has(fileId) ? [`notebook ${notebookFiles.get(fileId)}`] : [])];
+		let doc;
+		try {
+			({ data: doc } = await docs.documents.get({ documentId: fileId, includeTabsContent: true }));
+		} catch (err) {
+			const status = err?.response?.status ?? err?.code;
+			if (status === 404 || status === 403) {
+				report('error', 'FILE_MISSING', fileId, `not found or not accessible (${status}); bound to ${owners.join(', ')}`);
+				continue;
+			}
+			throw err;
+		}
+		const tabIds = new Set(listTabs(doc).map(t => t.tabId));
+		for (const n of notes) {
+			if (n.tabId && !tabIds.has(n.tabId)) {
+				report('error', 'TAB_MISSING', `note ${n.noteId}`, `tab ${n.tabId} no longer exists in ${fileId} ("${doc.title}")`);
+			}
+		}
+
+		const { data: file } = await drive.files.get({ fileId, fields: 'id,appProperties', supportsAllDrives: true });
+		const identity = readIdentity(file.appProperties);
+		for (const n of notes) {
+			if (!n.tabId) continue;
+			const mirrored = identity.tabs[n.tabId];
+			if (mirrored !== n.noteId) {
+				report('warning', 'MIRROR_MISMATCH', `note ${n.noteId}`,
+					mirrored ? `Drive says ${fileId} ${n.tabId} belongs to ${mirrored}` : `binding is not mirrored in ${fileId} appProperties (rerun bindNote)`);
+			}
+		}
+		for (const [tabId, noteId] of Object.entries(identity.tabs)) {
+			if (!notes.some(n => n.tabId === tabId)) {
+				report('warning', 'MIRROR_ONLY', `note ${noteId}`, `Drive binds it to ${fileId} ${tabId} but mapping.json does not (see rebuildMapping)`);
+			}
+		}
+		const notebookId = notebookFiles.get(fileId);
+		if (notebookId && identity.notebookId !== notebookId) {
+			report('warning', 'MIRROR_MISMATCH', `notebook ${notebookId}`,
+				identity.notebookId ? `Drive says ${fileId} belongs to notebook ${identity.notebookId}` : `binding is not mirrored in ${fileId} appProperties (rerun bindNotebook)`);
+		}
+	}
+}
+
+if (!offline) await checkRemote();
+
+const errors = issues.filter(i => i.severity === 'error').length;
+if (asJson) {
+	console.log(JSON.stringify({ schemaVersion: diskVersion, supported: MAPPING_SCHEMA_VERSION, issues }, null, 2));
+} else {
+	console.log(`mapping.json: schemaVersion ${diskVersion}, ${Object.keys(map.notes).length} notes, ${Object.keys(map.notebooks).length} notebooks`);
+	for (const i of issues) console.log(`  ${i.severity.toUpperCase()} ${i.code} ${i.subject}: ${i.message}`);
+	console.log(`${errors} error(s), ${issues.length - errors} warning(s)${offline ? ' (offline: files and tabs not checked)' : ''}`);
+}
+process.exit(errors ? 1 : 0);
@@ -1,31 +1,23 @@
 import 'dotenv/config';
-import { google } from 'googleapis';
-import fs from 'fs';
-import { findNoteIdByFileId, updateSyncCheckpoint } from '../lib/mapping.js';
-
-// Usage: npm run writeToTab -- <documentId> <tabId> <text>
-const [documentId, tabId, ...rest] = process.argv.slice(2);
-if (!documentId || !tabId || !rest.length) {
-	console.error('Usage: npm run writeToTab -- <documentId> <tabId> <text>');
+import { getAuth, getDocs } from '../lib/getAuth.js';
+import { findNoteIdByTab, updateSyncCheckpoint } from '../lib/mapping.js';
+import { resolveTab } from '../lib/tabs.js';
+
+// Usage: npm run writeToTab -- <documentId> <tab> <text>   (tab: id, title path or index)
+const [documentId, tabRef, ...rest] = process.argv.slice(2);
+if (!documentId || !tabRef || !rest.length) {
+	console.error('Usage: npm run writeToTab -- <documentId> <tab> <text>');
 	process.exit(1);
 }
 const text = rest.join(' ');
 
-const tokensPath = process.env.GOOGLE_TOKENS_PATH || '.token.json';
-const tokens = JSON.parse(fs.readFileSync(tokensPath));
-
-const auth = new google.auth.OAuth2(
-	process.env.GOOGLE_CLIENT_ID,
-	process.env.GOOGLE_CLIENT_SECRET,
-	process.env.GOOGLE_REDIRECT_URI,
-);
-auth.setCredentials(tokens);
-
-const docs = google.docs({ version: 'v1', auth });
+const auth = getAuth();
+const docs = getDocs(auth);
 
 // Get current revisionId for optimistic concurrency
-const meta = await docs.documents.get({ documentId });
+const meta = await docs.documents.get({ documentId, includeTabsContent: true });
 const revisionId = meta.data.revisionId;
+const { tabId } = resolveTab(meta.data, tabRef);
 
 const requests = [
 	{
@@ -44,7 +36,7 @@ const body = {
 try {
 	const res = await docs.documents.batchUpdate({ documentId, requestBody: body });
 	const meta2 = await docs.documents.get({ documentId });
-	const noteId = findNoteIdByFileId(documentId);
+	const noteId = findNoteIdByTab(documentId, tabId);
 	if (noteId) updateSyncCheckpoint(noteId, { lastKnownRevisionId: meta2.data.revisionId, lastSyncTs: new Date().toISOString() });
 	console.log('OK: wrote to tab', tabId, 'newRevisionId:', res.data.writeControl?.requiredRevisionId ?? '(n/a)');
 } catch (err) {